@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+
+/**
+ * Local Hybrid Search API
+ *
+ * Loads converter output (JSONL) and ranks products for a text query using the
+ * same EmbeddingGenerator/TextProcessor that produced the embeddings:
+ * - Dense score: cosine similarity between query and dense_embedding
+ * - Sparse score: cosine overlap between query keywords and sparse_embedding
+ * - Hybrid score: DENSE_WEIGHT x dense + SPARSE_WEIGHT x sparse
+ *
+ * When the output directory holds corpus statistics (TF-IDF/BM25 runs), query keywords are
+ * weighted with them too. Products written with indexed sparse vectors are read back through
+ * the sparse vocabulary saved next to them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const { EmbeddingGenerator } = require('../universal_converter');
+const { CorpusStats } = require('../lib/corpus_stats');
+const { SparseVocabulary } = require('../lib/sparse_vocabulary');
+const { EmbeddingSidecarReader, findEmbeddingSidecar } = require('../lib/embedding_sidecar');
+const { CONFIG, PATHS } = require('../constants');
+
+/**
+ * Cosine similarity between two dense vectors
+ */
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Parse "term:weight" strings into a Map
+ */
+function parseSparseTerms(terms) {
+    const sparse = new Map();
+    (terms || []).forEach(item => {
+        const separator = item.lastIndexOf(':');
+        if (separator <= 0) return;
+
+        const weight = parseFloat(item.substring(separator + 1));
+        if (!isNaN(weight)) {
+            sparse.set(item.substring(0, separator), weight);
+        }
+    });
+    return sparse;
+}
+
+/**
+ * Euclidean norm of a sparse vector
+ */
+function sparseNorm(sparse) {
+    let sum = 0;
+    sparse.forEach(weight => { sum += weight * weight; });
+    return Math.sqrt(sum);
+}
+
+class CommerceSearchAPI {
+    constructor() {
+        this.embeddingGenerator = new EmbeddingGenerator();
+        this.textProcessor = this.embeddingGenerator.textProcessor;
+        this.entries = new Map();
+        this.sparseWeighting = 'tf';
+        this.sparseVocabulary = null;
+    }
+
+    /**
+     * Number of indexed products
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Load converter output from the output directory
+     * Prefers the combined output (or its shards) so products are not loaded twice.
+     * Corpus statistics saved next to the output switch query keywords to the same weighting.
+     * Dense vectors kept in an embedding sidecar are joined back by product id.
+     * @param {string} directory - Directory containing *_commerce_ready.jsonl files
+     * @returns {Promise<number>} Number of indexed products
+     */
+    async loadFromDirectory(directory = PATHS.OUTPUT_DIRECTORY) {
+        const outputDir = path.resolve(directory);
+        if (!fs.existsSync(outputDir)) {
+            throw new Error(`Output directory not found: ${outputDir}`);
+        }
+
+        const files = fs.readdirSync(outputDir)
+            .filter(file => CONFIG.SEARCH.INDEX_FILE_PATTERN.test(file))
+            .sort();
+
+        const combinedName = path.basename(PATHS.OUTPUT_FILES.COMBINED_OUTPUT, '.jsonl');
+        const combinedFiles = files.filter(file => file.startsWith(combinedName));
+        const filesToLoad = combinedFiles.length > 0 ? combinedFiles : files;
+
+        if (filesToLoad.length === 0) {
+            throw new Error(`No converted JSONL files found in ${outputDir}. Run the converter first: npm run convert`);
+        }
+
+        const statsPath = path.join(outputDir, PATHS.OUTPUT_FILES.CORPUS_STATS);
+        if (fs.existsSync(statsPath)) {
+            this.useCorpusStats(CorpusStats.load(statsPath));
+        }
+
+        const vocabularyPath = path.join(outputDir, PATHS.OUTPUT_FILES.SPARSE_VOCABULARY);
+        if (fs.existsSync(vocabularyPath)) {
+            this.sparseVocabulary = SparseVocabulary.loadOrCreate(vocabularyPath);
+        }
+
+        // Shards of one output share a sidecar, so each is opened once
+        const sidecars = new Map();
+        try {
+            for (const file of filesToLoad) {
+                const filePath = path.join(outputDir, file);
+                const sidecarPath = findEmbeddingSidecar(filePath);
+                if (sidecarPath && !sidecars.has(sidecarPath)) {
+                    sidecars.set(sidecarPath, await EmbeddingSidecarReader.open(sidecarPath));
+                }
+                await this.loadFromFile(filePath, sidecarPath ? sidecars.get(sidecarPath) : null);
+            }
+        } finally {
+            sidecars.forEach(reader => reader.close());
+        }
+
+        return this.size;
+    }
+
+    /**
+     * Weigh query keywords with the corpus statistics the products were converted with
+     */
+    useCorpusStats(corpusStats) {
+        const mode = corpusStats.weighting || 'tfidf';
+        this.embeddingGenerator.setSparseWeighting(mode, corpusStats);
+        this.sparseWeighting = mode;
+    }
+
+    /**
+     * Load a single converted JSONL file into the index
+     * @param {string} filePath - Path to a *_commerce_ready.jsonl file
+     * @param {EmbeddingSidecarReader} embeddings - Sidecar with the file's dense vectors, if they were written separately
+     * @returns {Promise<number>} Number of products read from the file
+     */
+    async loadFromFile(filePath, embeddings = null) {
+        const rl = readline.createInterface({
+            input: fs.createReadStream(filePath),
+            crlfDelay: Infinity
+        });
+
+        let lineNumber = 0;
+        let loaded = 0;
+
+        for await (const line of rl) {
+            lineNumber++;
+            if (!line.trim()) continue;
+
+            try {
+                const product = JSON.parse(line);
+                if (embeddings) embeddings.attach(product);
+                this.addProduct(product);
+                loaded++;
+            } catch (error) {
+                console.warn(`⚠️  Skipping line ${lineNumber} of ${path.basename(filePath)}: ${error.message}`);
+            }
+        }
+
+        return loaded;
+    }
+
+    /**
+     * Add a converted product to the index (a later product with the same id replaces it)
+     */
+    addProduct(product) {
+        if (!product || !product.id) {
+            throw new Error('Product is missing an id');
+        }
+
+        const attributes = product.attributes || {};
+        const dense = attributes.dense_embedding ? attributes.dense_embedding.numbers : null;
+        const sparse = attributes.sparse_embedding ?
+            parseSparseTerms(attributes.sparse_embedding.text) :
+            this.decodeIndexedSparse(attributes);
+
+        this.entries.set(product.id, {
+            product,
+            dense,
+            sparse,
+            sparseNorm: sparseNorm(sparse)
+        });
+    }
+
+    /**
+     * Term -> weight map of an {indices, values} sparse vector (empty without a vocabulary)
+     */
+    decodeIndexedSparse(attributes) {
+        const { INDICES_ATTRIBUTE, VALUES_ATTRIBUTE } = CONFIG.EMBEDDINGS.SPARSE_OUTPUT;
+        if (!this.sparseVocabulary || !attributes[INDICES_ATTRIBUTE] || !attributes[VALUES_ATTRIBUTE]) {
+            return new Map();
+        }
+        return new Map(this.sparseVocabulary.decode(attributes[INDICES_ATTRIBUTE].numbers, attributes[VALUES_ATTRIBUTE].numbers || []));
+    }
+
+    /**
+     * Look up a product by id
+     * @returns {Object|null} Product without embedding attributes
+     */
+    getProduct(id) {
+        const entry = this.entries.get(id);
+        return entry ? this.stripEmbeddings(entry.product) : null;
+    }
+
+    /**
+     * Embed a query with the same pipeline used for products
+     * @param {string} languageCode - Query language for stemming (defaults to EMBEDDINGS.LANGUAGES.DEFAULT)
+     */
+    async embedQuery(query, languageCode = null) {
+        const cleanedQuery = this.textProcessor.cleanText(query);
+
+        const dense = CONFIG.EMBEDDINGS.ENABLE_DENSE ?
+            await this.embeddingGenerator.generateDenseEmbedding(cleanedQuery) : null;
+        const sparse = parseSparseTerms(this.embeddingGenerator.generateSparseEmbedding(cleanedQuery, null, languageCode) || []);
+
+        return { dense, sparse, sparseNorm: sparseNorm(sparse) };
+    }
+
+    /**
+     * Sparse overlap score: cosine similarity of the two keyword-weight vectors
+     */
+    scoreSparse(queryVector, entry) {
+        if (queryVector.sparseNorm === 0 || entry.sparseNorm === 0) return 0;
+
+        let dot = 0;
+        queryVector.sparse.forEach((weight, term) => {
+            const productWeight = entry.sparse.get(term);
+            if (productWeight) dot += weight * productWeight;
+        });
+
+        return dot / (queryVector.sparseNorm * entry.sparseNorm);
+    }
+
+    /**
+     * Rank indexed products for a query
+     * @param {string} query - Free text query
+     * @param {Object} options - { topK, mode: 'dense' | 'sparse' | 'hybrid', filter: (product) => boolean,
+     *   languageCode: query language, so its terms are stemmed like products in that language }
+     * @returns {Promise<Object>} { query, mode, total, results: [{ id, score, scores, product }] }
+     */
+    async search(query, options = {}) {
+        const mode = options.mode || CONFIG.SEARCH.DEFAULT_MODE;
+        if (!CONFIG.SEARCH.MODES.includes(mode)) {
+            throw new Error(`Unknown search mode "${mode}". Expected one of: ${CONFIG.SEARCH.MODES.join(', ')}`);
+        }
+
+        const topK = Math.min(options.topK || CONFIG.SEARCH.DEFAULT_TOP_K, CONFIG.SEARCH.MAX_TOP_K);
+        const offset = options.offset || 0;
+        const queryVector = await this.embedQuery(query || '', options.languageCode);
+
+        const scored = [];
+        this.entries.forEach(entry => {
+            if (options.filter && !options.filter(entry.product)) return;
+
+            const dense = queryVector.dense && entry.dense ? cosineSimilarity(queryVector.dense, entry.dense) : 0;
+            const sparse = this.scoreSparse(queryVector, entry);
+            const hybrid = (CONFIG.EMBEDDINGS.DENSE_WEIGHT * dense) + (CONFIG.EMBEDDINGS.SPARSE_WEIGHT * sparse);
+
+            const score = mode === 'dense' ? dense : (mode === 'sparse' ? sparse : hybrid);
+            scored.push({ entry, score, scores: { dense, sparse, hybrid } });
+        });
+
+        scored.sort((a, b) => b.score - a.score);
+
+        return {
+            query,
+            mode,
+            total: scored.length,
+            results: scored.slice(offset, offset + topK).map(({ entry, score, scores }) => ({
+                id: entry.product.id,
+                score: parseFloat(score.toFixed(6)),
+                scores: {
+                    dense: parseFloat(scores.dense.toFixed(6)),
+                    sparse: parseFloat(scores.sparse.toFixed(6)),
+                    hybrid: parseFloat(scores.hybrid.toFixed(6))
+                },
+                product: this.stripEmbeddings(entry.product)
+            }))
+        };
+    }
+
+    /**
+     * Remove embedding attributes from a product for display
+     */
+    stripEmbeddings(product) {
+        if (!product.attributes) return product;
+
+        const attributes = {};
+        Object.keys(product.attributes).forEach(key => {
+            if (!CONFIG.SEARCH.EXCLUDED_RESULT_ATTRIBUTES.test(key)) {
+                attributes[key] = product.attributes[key];
+            }
+        });
+
+        return { ...product, attributes };
+    }
+}
+
+// Run a query from the command line: node api/commerce_search_api.js "whey protein" [topK] [mode]
+if (require.main === module) {
+    const [query, topK, mode] = process.argv.slice(2);
+
+    if (!query) {
+        console.log('Usage: node api/commerce_search_api.js "<query>" [topK] [dense|sparse|hybrid]');
+        process.exit(1);
+    }
+
+    const api = new CommerceSearchAPI();
+    api.loadFromDirectory()
+        .then(async (count) => {
+            console.log(`🔍 Indexed ${count} products`);
+            const response = await api.search(query, { topK: parseInt(topK) || undefined, mode });
+
+            console.log(`\n📊 Top ${response.results.length} of ${response.total} (${response.mode})`);
+            response.results.forEach((result, index) => {
+                console.log(
+                    `${String(index + 1).padStart(3)}. ${result.score.toFixed(4)}  ` +
+                    `[dense ${result.scores.dense.toFixed(4)} | sparse ${result.scores.sparse.toFixed(4)}]  ` +
+                    `${result.id}  ${result.product.title}`
+                );
+            });
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('❌ Search failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    CommerceSearchAPI,
+    cosineSimilarity,
+    parseSparseTerms
+};
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Local Search HTTP Server
+ *
+ * Development stand-in for Vertex AI search, built on Node core modules only.
+ *
+ * Routes:
+ *   GET /search?q=...&mode=dense|sparse|hybrid&page=1&pageSize=10
+ *              &category=...&brand=...&availability=IN_STOCK
+ *   GET /products/:id
+ *   GET /health
+ */
+
+const http = require('http');
+const { URL } = require('url');
+
+const { CommerceSearchAPI } = require('./commerce_search_api');
+const { CONFIG } = require('../constants');
+
+class SearchServer {
+    constructor(searchApi, options = {}) {
+        this.searchApi = searchApi;
+        this.host = options.host || CONFIG.SEARCH.SERVER.HOST;
+        this.port = options.port !== undefined ? options.port : CONFIG.SEARCH.SERVER.PORT;
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+        this.startTime = Date.now();
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<number>} The bound port
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Stop accepting connections
+     */
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Route a request
+     */
+    async handleRequest(request, response) {
+        try {
+            const url = this.parseURL(request);
+
+            if (request.method === 'OPTIONS') {
+                this.sendJSON(response, 204, null);
+                return;
+            }
+            if (request.method !== 'GET') {
+                this.sendJSON(response, 405, { error: `Method ${request.method} not allowed` });
+                return;
+            }
+
+            if (url.pathname === '/health') {
+                this.sendJSON(response, 200, this.getHealth());
+            } else if (url.pathname === '/search') {
+                this.sendJSON(response, 200, await this.handleSearch(url.searchParams));
+            } else if (url.pathname.startsWith('/products/')) {
+                const id = this.decodePathSegment(url.pathname.substring('/products/'.length));
+                const product = this.searchApi.getProduct(id);
+                if (product) {
+                    this.sendJSON(response, 200, product);
+                } else {
+                    this.sendJSON(response, 404, { error: `Product not found: ${id}` });
+                }
+            } else {
+                this.sendJSON(response, 404, { error: `Unknown route: ${url.pathname}` });
+            }
+        } catch (error) {
+            const status = error.statusCode || 500;
+            this.sendJSON(response, status, { error: error.message });
+        }
+    }
+
+    /**
+     * Request URL; a malformed Host header or target is a 400
+     */
+    parseURL(request) {
+        try {
+            return new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+        } catch (error) {
+            if (error instanceof TypeError) throw this.badRequest(`Invalid request URL: ${request.url}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Percent-decoded path segment; a malformed escape such as %E0%A4%A is a 400
+     */
+    decodePathSegment(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            if (error instanceof URIError) throw this.badRequest(`Malformed URL encoding: ${segment}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Health and index summary
+     */
+    getHealth() {
+        return {
+            status: 'ok',
+            products: this.searchApi.size,
+            uptimeSeconds: Math.round((Date.now() - this.startTime) / 1000),
+            embeddingProvider: this.searchApi.embeddingGenerator.provider.name,
+            sparseWeighting: this.searchApi.sparseWeighting
+        };
+    }
+
+    /**
+     * Run a paginated, filtered search from query parameters
+     */
+    async handleSearch(params) {
+        const query = params.get('q') || params.get('query') || '';
+        const mode = params.get('mode') || CONFIG.SEARCH.DEFAULT_MODE;
+
+        if (!CONFIG.SEARCH.MODES.includes(mode)) {
+            throw this.badRequest(`Invalid mode "${mode}". Expected one of: ${CONFIG.SEARCH.MODES.join(', ')}`);
+        }
+
+        const page = this.parsePositiveInt(params.get('page'), 1, 'page');
+        const pageSize = Math.min(
+            this.parsePositiveInt(params.get('pageSize'), CONFIG.SEARCH.SERVER.DEFAULT_PAGE_SIZE, 'pageSize'),
+            CONFIG.SEARCH.MAX_TOP_K
+        );
+
+        const filters = {
+            categories: this.readFilterValues(params, 'category'),
+            brands: this.readFilterValues(params, 'brand'),
+            availability: this.readFilterValues(params, 'availability')
+        };
+
+        const result = await this.searchApi.search(query, {
+            mode,
+            languageCode: params.get('lang') || null,
+            topK: pageSize,
+            offset: (page - 1) * pageSize,
+            filter: product => this.matchesFilters(product, filters)
+        });
+
+        return {
+            query,
+            mode,
+            page,
+            pageSize,
+            total: result.total,
+            totalPages: Math.ceil(result.total / pageSize),
+            filters,
+            results: result.results
+        };
+    }
+
+    /**
+     * Collect filter values from repeated parameters; values are not split, so they may contain commas
+     */
+    readFilterValues(params, name) {
+        return params.getAll(name)
+            .map(value => value.trim().toLowerCase())
+            .filter(Boolean);
+    }
+
+    /**
+     * Match the Commerce fields ProductConverter writes (values within a filter are OR-ed)
+     */
+    matchesFilters(product, filters) {
+        const matchesAny = (wanted, values) => {
+            if (wanted.length === 0) return true;
+            const lowered = (values || []).map(value => String(value).toLowerCase());
+            return wanted.some(value => lowered.includes(value));
+        };
+
+        return this.matchesCategories(filters.categories, product.categories) &&
+            matchesAny(filters.brands, product.brands) &&
+            matchesAny(filters.availability, product.availability ? [product.availability] : []);
+    }
+
+    /**
+     * Match "A > B > C" category paths: a one-level filter matches any level ("b"),
+     * a longer one must be a path prefix ("a > b")
+     */
+    matchesCategories(wanted, categories) {
+        if (wanted.length === 0) return true;
+
+        const toSegments = value => String(value).toLowerCase().split('>').map(segment => segment.trim());
+        const paths = (categories || []).map(toSegments);
+
+        return wanted.map(toSegments).some(filter => paths.some(path => {
+            if (filter.length === 1) return path.includes(filter[0]);
+            return filter.length <= path.length && filter.every((segment, i) => segment === path[i]);
+        }));
+    }
+
+    /**
+     * Parse a 1-based integer query parameter
+     */
+    parsePositiveInt(value, fallback, name) {
+        if (value === null || value === '') return fallback;
+
+        const parsed = parseInt(value, 10);
+        if (isNaN(parsed) || parsed < 1) {
+            throw this.badRequest(`${name} must be a positive integer`);
+        }
+        return parsed;
+    }
+
+    /**
+     * Error that handleRequest turns into a 400 response
+     */
+    badRequest(message) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        return error;
+    }
+
+    /**
+     * Write a JSON response with CORS headers for local frontends
+     */
+    sendJSON(response, status, body) {
+        response.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': CONFIG.SEARCH.SERVER.CORS_ORIGIN,
+            'Access-Control-Allow-Methods': 'GET, OPTIONS'
+        });
+        response.end(body === null ? '' : JSON.stringify(body));
+    }
+}
+
+// Start the server: node api/search_server.js [outputDirectory] [port]
+if (require.main === module) {
+    const [directory, port] = process.argv.slice(2);
+    const api = new CommerceSearchAPI();
+
+    api.loadFromDirectory(directory)
+        .then(async (count) => {
+            const server = new SearchServer(api, { port: port ? parseInt(port) : undefined });
+            const boundPort = await server.start();
+
+            console.log(`🔍 Indexed ${count} products (sparse weighting: ${api.sparseWeighting})`);
+            console.log(`🚀 Search server listening on http://${server.host}:${boundPort}`);
+            console.log('   GET /search?q=...&mode=hybrid&page=1&pageSize=10&category=...&brand=...&availability=...');
+            console.log('   GET /products/:id');
+            console.log('   GET /health');
+
+            process.on('SIGINT', () => {
+                console.log('\n👋 Shutting down search server');
+                server.stop().then(() => process.exit(0));
+            });
+        })
+        .catch(error => {
+            console.error('❌ Search server failed to start:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    SearchServer
+};
@@ -0,0 +1,80 @@
+/**
+ * Commerce Pricing Constants
+ * Default currency and the rules every converter applies when building priceInfo
+ */
+
+const COMMERCE = {
+    // Currency used when the source gives none (per-format DEFAULT_CURRENCY values override it)
+    CURRENCY_CODE: 'USD',
+
+    // Active ISO 4217 currency codes accepted in priceInfo.currencyCode
+    CURRENCY_CODES: [
+        'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN', 'BAM', 'BBD', 'BDT', 'BGN',
+        'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BRL', 'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF',
+        'CLP', 'CNY', 'COP', 'CRC', 'CUP', 'CVE', 'CZK', 'DJF', 'DKK', 'DOP', 'DZD', 'EGP', 'ERN', 'ETB',
+        'EUR', 'FJD', 'FKP', 'GBP', 'GEL', 'GHS', 'GIP', 'GMD', 'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG',
+        'HUF', 'IDR', 'ILS', 'INR', 'IQD', 'IRR', 'ISK', 'JMD', 'JOD', 'JPY', 'KES', 'KGS', 'KHR', 'KMF',
+        'KPW', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL', 'LYD', 'MAD', 'MDL', 'MGA',
+        'MKD', 'MMK', 'MNT', 'MOP', 'MRU', 'MUR', 'MVR', 'MWK', 'MXN', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO',
+        'NOK', 'NPR', 'NZD', 'OMR', 'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR', 'RON', 'RSD',
+        'RUB', 'RWF', 'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD', 'SHP', 'SLE', 'SOS', 'SRD', 'SSP', 'STN',
+        'SVC', 'SYP', 'SZL', 'THB', 'TJS', 'TMT', 'TND', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS', 'UAH', 'UGX',
+        'USD', 'UYU', 'UZS', 'VES', 'VND', 'VUV', 'WST', 'XAF', 'XCD', 'XOF', 'XPF', 'YER', 'ZAR', 'ZMW',
+        'ZWL'
+    ],
+
+    // Currency symbols recognized in price strings ("€19,99") when no ISO code is present
+    CURRENCY_SYMBOLS: {
+        '€': 'EUR',
+        '£': 'GBP',
+        '¥': 'JPY',
+        '₹': 'INR',
+        '₩': 'KRW',
+        '₽': 'RUB',
+        '₺': 'TRY',
+        '₪': 'ILS',
+        '₫': 'VND',
+        '฿': 'THB',
+        'R$': 'BRL',
+        'A$': 'AUD',
+        'C$': 'CAD',
+        'CA$': 'CAD',
+        'NZ$': 'NZD',
+        'HK$': 'HKD',
+        'US$': 'USD',
+        '$': 'USD'
+    },
+
+    // Currencies usually written with a decimal comma and dotted thousands ("1.299,00 €"):
+    // in these a lone dot followed by exactly three digits ("€ 1.299") is a thousands separator
+    DECIMAL_COMMA_CURRENCIES: [
+        'EUR', 'ARS', 'BRL', 'CLP', 'COP', 'CZK', 'DKK', 'HUF', 'IDR', 'ISK', 'NOK', 'PLN', 'PYG',
+        'RON', 'RSD', 'RUB', 'SEK', 'TRY', 'UAH', 'UYU', 'VND'
+    ],
+
+    // Price ranges in source strings ("$10 - $20"): the lower bound becomes the price
+    PRICE_RANGE_PATTERN: /^\s*(.*?\d.*?)\s*(?:-|–|—|to)\s*(.*\d.*?)\s*$/i,
+
+    // Optional conversion of every priceInfo into one currency with the rates in PATHS.RATES_FILE
+    // (see rates/README.md). --currency=<code> enables it for one run.
+    CONVERSION: {
+        TARGET_CURRENCY: null,                  // null: prices keep their source currency
+        MAX_RATE_AGE_DAYS: 7,                   // Older rate tables are refused, not applied
+
+        // Attributes recording the price before conversion
+        SOURCE_CURRENCY_ATTRIBUTE: 'source_currency',
+        SOURCE_PRICE_ATTRIBUTE: 'source_price',
+
+        // ISO 4217 minor units of converted amounts; other currencies use 2 decimals
+        MINOR_UNITS: {
+            BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+            RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+            BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3
+        },
+        DEFAULT_MINOR_UNITS: 2
+    }
+};
+
+module.exports = {
+    COMMERCE
+};
@@ -8,6 +8,14 @@ const { EMBEDDINGS } = require('./embeddings');
 const { PROCESSING } = require('./processing');
 const { OPTIMIZATION } = require('./optimization');
 const { LOGGING } = require('./logging');
+const { SEARCH } = require('./search');
+const { FORMATS } = require('./formats');
+const { VALIDATION } = require('./validation');
+const { GROUPING } = require('./grouping');
+const { COMMERCE } = require('./commerce');
+const { INVENTORY } = require('./inventory');
+const { USER_EVENTS } = require('./events');
+const { VECTOR_SEARCH } = require('./vector_search');
 
 // Main configuration object (backward compatible with existing CONFIG)
 const CONFIG = {
@@ -15,6 +23,9 @@ const CONFIG = {
     INPUT_DIRECTORY: PATHS.INPUT_DIRECTORY,
     OUTPUT_DIRECTORY: PATHS.OUTPUT_DIRECTORY,
     FILE_PATTERNS: PATHS.FILE_PATTERNS,
+    INPUT_FILES: PATHS.INPUT_FILES,
+    PROFILES_DIR: PATHS.PROFILES_DIR,
+    RATES_FILE: PATHS.RATES_FILE,
     
     // Embedding configuration
     EMBEDDINGS: EMBEDDINGS,
@@ -41,7 +52,37 @@ const CONFIG = {
     },
     
     // Optimization configuration (added for backward compatibility)
-    OPTIMIZATION: OPTIMIZATION.DEFAULT
+    OPTIMIZATION: OPTIMIZATION.DEFAULT,
+
+    // Separate dense embedding files (OPTIMIZATION.SEPARATE_EMBEDDINGS)
+    EMBEDDING_SIDECAR: OPTIMIZATION.EMBEDDING_SIDECAR,
+
+    // Dense vector quantization to float16, int8 and product quantization codes
+    QUANTIZATION: OPTIMIZATION.QUANTIZATION,
+
+    // Local search configuration
+    SEARCH: SEARCH,
+
+    // Source format field mappings
+    FORMATS: FORMATS,
+
+    // Retail Product schema validation
+    VALIDATION: VALIDATION,
+
+    // Primary/variant grouping
+    GROUPING: GROUPING,
+
+    // Default currency and priceInfo rules
+    COMMERCE: COMMERCE,
+
+    // Fulfillment and local inventory
+    INVENTORY: INVENTORY,
+
+    // Retail user event conversion
+    USER_EVENTS: USER_EVENTS,
+
+    // Vertex AI Vector Search datapoint export
+    VECTOR_SEARCH: VECTOR_SEARCH
 };
 
 
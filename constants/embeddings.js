@@ -9,6 +9,26 @@ const EMBEDDINGS = {
     MAX_SPARSE_FEATURES: 100,          // Increased for better keyword coverage
     MIN_KEYWORD_FREQUENCY: 1,
     
+    // Dense embedding provider selection
+    // TYPE: 'mock' (deterministic hash vectors), 'local' (ONNX/transformers model on disk), 'http' (embedding endpoint)
+    PROVIDER: {
+        TYPE: 'mock',
+        LOCAL: {
+            MODEL_PATH: './models',                // Directory holding downloaded models (relative to the repo root)
+            MODEL_NAME: 'Xenova/all-MiniLM-L6-v2', // Model folder inside MODEL_PATH (384 dims)
+            POOLING: 'mean',
+            NORMALIZE: true,
+            QUANTIZED: true                        // int8 weights (dtype 'q8' in @huggingface/transformers v3)
+        },
+        HTTP: {
+            ENDPOINT: 'http://localhost:8080/embeddings',
+            MODEL: '',                             // Sent as "model" in the request body when set
+            API_KEY_ENV: 'EMBEDDING_API_KEY',      // Environment variable holding the bearer token
+            HEADERS: {},
+            TIMEOUT_MS: 30000
+        }
+    },
+
     // Feature toggles
     STOPWORDS_ENABLED: true,
     ENABLE_DENSE: true,
@@ -29,9 +49,65 @@ const EMBEDDINGS = {
     },
     
     // Multi-language and text processing
-    LANGUAGE_DETECTION: true,
+    LANGUAGE_DETECTION: true,          // Detect a product's language when the source does not name one
+    LANGUAGES: {
+        DEFAULT: 'en',                 // Used when detection is off or inconclusive
+        // Languages with a natural stemmer and stopword list; others are tokenized without stemming
+        SUPPORTED: ['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'sv', 'no', 'ru'],
+        // Source fields naming the language (BCP 47: "fr", "fr-FR", "pt_BR")
+        SOURCE_FIELDS: ['language_code', 'languageCode', 'language', 'lang', 'locale', 'content_language'],
+        // Stopword hits a text needs before detection picks a language
+        MIN_STOPWORD_HITS: 2,
+        // Stopwords for languages natural has no list for
+        EXTRA_STOPWORDS: {
+            de: [
+                'aber', 'alle', 'als', 'also', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'bist', 'da',
+                'damit', 'dann', 'das', 'dass', 'dein', 'dem', 'den', 'der', 'des', 'dich', 'die', 'dir', 'doch',
+                'du', 'durch', 'ein', 'eine', 'einem', 'einen', 'einer', 'eines', 'er', 'es', 'euch', 'für', 'hat',
+                'hier', 'ich', 'ihr', 'ihre', 'im', 'in', 'ist', 'ja', 'kann', 'kein', 'keine', 'mit', 'nach',
+                'nicht', 'noch', 'nur', 'ob', 'oder', 'ohne', 'sehr', 'sich', 'sie', 'sind', 'so', 'über', 'um',
+                'und', 'uns', 'unser', 'vom', 'von', 'vor', 'war', 'was', 'weil', 'wenn', 'wie', 'wir', 'wird',
+                'zu', 'zum', 'zur'
+            ]
+        }
+    },
     STEMMING_ENABLED: true,
     SYNONYM_EXPANSION: true,
+
+    // Sparse term weighting
+    // MODE: 'tf' (term frequency within the product), 'tfidf' or 'bm25'. The last two run a first
+    // pass over all input files to collect corpus statistics (PATHS.OUTPUT_FILES.CORPUS_STATS).
+    SPARSE_WEIGHTING: {
+        MODE: 'tf',
+        MODES: ['tf', 'tfidf', 'bm25'],
+        BM25: {
+            K1: 1.2,                       // Term frequency saturation
+            B: 0.75                        // Field length normalization (0 = none, 1 = full)
+        }
+    },
+
+    // Sparse embedding output
+    // FORMAT: 'text' ("term:weight" strings in sparse_embedding, the original format), 'indexed'
+    // ({indices, values} over a persisted vocabulary, PATHS.OUTPUT_FILES.SPARSE_VOCABULARY) or 'both'.
+    // Retail attributes hold text or numbers only, so indices and values are two number attributes.
+    SPARSE_OUTPUT: {
+        FORMAT: 'text',
+        FORMATS: ['text', 'indexed', 'both'],
+        INDICES_ATTRIBUTE: 'sparse_embedding_indices',
+        VALUES_ATTRIBUTE: 'sparse_embedding_values'
+    },
+
+    // Text cleaning for titles, descriptions, attributes and keywords
+    TEXT_CLEANING: {
+        DECODE_ENTITIES: true,             // "&amp;" -> "&", "&eacute;" -> "é", "&#8482;" -> "™"
+        NORMALIZATION: 'NFC',              // Unicode form of cleaned text: 'NFC' | 'NFKC' | null
+        KEYWORD_NORMALIZATION: 'NFKC',     // Keywords also fold compatibility forms ("ﬁ" -> "fi", full-width -> ASCII)
+        // Kept besides letters, digits, whitespace and _ - . ( ) [ ] /
+        PRESERVE_CHARACTERS: ['%', '+', '#', '&', "'", '’', ',', '®', '©', '™', '°'],
+        PRESERVE_CURRENCY_SYMBOLS: true,   // $, €, £, ¥, ₹, ...
+        // Characters kept inside keyword tokens ("c++", "c#", "100%", "h&m"); they must also be preserved above
+        KEYWORD_CHARACTERS: ['+', '#', '&', '%']
+    },
     
     // Precision settings for different optimization levels
     PRECISION_LEVELS: {
@@ -56,7 +132,7 @@ const TEXT_PATTERNS = {
     // Product-specific patterns
     SIZES: /\b(small|medium|large|xl|xxl|\d+\s*(oz|ml|g|kg|lb|lbs|mg|mcg))\b/gi,
     COLORS: /\b(red|blue|green|yellow|black|white|brown|pink|purple|orange|gray|grey)\b/gi,
-    BRANDS: /\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\b/g,
+    BRANDS: /(?<![\p{L}\p{N}])\p{Lu}\p{Ll}+(?:\s+\p{Lu}\p{Ll}+)*(?![\p{L}\p{N}])/gu,
     NUMBERS: /\b\d+(?:\.\d+)?\b/g,
     
     // Commerce-specific terms
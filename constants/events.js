@@ -0,0 +1,59 @@
+/**
+ * Retail User Event Constants
+ * Clickstream and order exports are converted into Retail UserEvent JSONL (see lib/user_event_converter.js)
+ */
+
+const USER_EVENTS = {
+    // Retail event types the converter writes and the source values mapped onto them (case-insensitive)
+    EVENT_TYPES: {
+        'detail-page-view': ['detail-page-view', 'detail_page_view', 'product_view', 'view_item', 'view', 'pdp_view'],
+        'add-to-cart': ['add-to-cart', 'add_to_cart', 'addtocart', 'cart_add'],
+        'purchase-complete': ['purchase-complete', 'purchase_complete', 'purchase', 'order', 'checkout_complete', 'transaction'],
+        'search': ['search', 'search_query', 'view_search_results']
+    },
+
+    // Rows without an event type field are orders when they carry an order id, otherwise this type (null: skip them)
+    DEFAULT_EVENT_TYPE: null,
+
+    // Field lookup order in each source record; the first non-empty value wins
+    FIELDS: {
+        EVENT_TYPE: ['event_type', 'eventType', 'event', 'event_name', 'action'],
+        VISITOR_ID: ['visitor_id', 'visitorId', 'client_id', 'anonymous_id', 'cookie_id'],
+        SESSION_ID: ['session_id', 'sessionId'],
+        USER_ID: ['user_id', 'userId', 'customer_id'],
+        USER_AGENT: ['user_agent', 'userAgent'],
+        EVENT_TIME: ['event_time', 'eventTime', 'timestamp', 'time', 'created_at', 'order_date'],
+        PRODUCTS: ['products', 'items', 'line_items', 'productDetails'],
+        PRODUCT_ID: ['product_id', 'productId', 'item_id', 'sku'],
+        QUANTITY: ['quantity', 'qty'],
+        PRICE: ['price', 'unit_price', 'item_price'],
+        ORDER_ID: ['order_id', 'orderId', 'transaction_id', 'order_number'],
+        REVENUE: ['revenue', 'order_total', 'total'],
+        TAX: ['tax', 'total_tax'],
+        COST: ['cost', 'total_cost'],
+        CURRENCY: ['currency', 'currency_code', 'currencyCode'],
+        SEARCH_QUERY: ['search_query', 'searchQuery', 'query', 'search_term', 'q'],
+        PAGE_CATEGORIES: ['page_categories', 'pageCategories', 'category'],
+        URI: ['uri', 'url', 'page_url', 'page_location'],
+        REFERRER_URI: ['referrer_uri', 'referrer', 'page_referrer'],
+        ATTRIBUTION_TOKEN: ['attribution_token', 'attributionToken']
+    },
+
+    // Consecutive purchase rows with the same order id are one order (CSV exports list one line item per row)
+    MERGE_ORDER_LINES: true,
+
+    // Retail UserEvent limits
+    MAX_VISITOR_ID_LENGTH: 128,
+    MAX_SEARCH_QUERY_LENGTH: 5000,
+    MAX_PRODUCT_DETAILS: 1000,
+
+    // Event types that must reference at least one product
+    REQUIRE_PRODUCTS: ['detail-page-view', 'add-to-cart', 'purchase-complete'],
+
+    // User event output name: <input name><suffix>.jsonl in the output directory
+    OUTPUT_SUFFIX: '_user_events'
+};
+
+module.exports = {
+    USER_EVENTS
+};
@@ -0,0 +1,169 @@
+/**
+ * Source Format Field Mappings
+ * Field names each dedicated converter reads from its source format.
+ * Lists are tried in order; the first non-empty value wins.
+ */
+
+const FORMATS = {
+    // BPN product export (array of flat product objects)
+    BPN: {
+        FIELDS: {
+            ID: ['bpn', 'bpn_id', 'id', 'product_id', 'sku'],
+            TITLE: ['name', 'title', 'product_name', 'display_name'],
+            DESCRIPTION: ['details', 'description', 'long_description', 'short_description'],
+            CATEGORY: ['category', 'categories', 'department'],
+            SUBCATEGORY: ['subcategory', 'sub_category'],
+            BRAND: ['manufacturer', 'brand', 'vendor'],
+            PRICE: ['price', 'sale_price'],
+            ORIGINAL_PRICE: ['list_price', 'msrp', 'regular_price', 'original_price'],
+            COST: ['cost', 'unit_cost', 'cost_price'],
+            CURRENCY: ['currency', 'currency_code'],
+            INVENTORY: ['inventory', 'inventory_level', 'stock', 'quantity', 'qty'],
+            STATUS: ['availability', 'status', 'stock_status'],
+            URI: ['url', 'uri', 'product_url'],
+            IMAGES: ['images', 'image_url', 'image']
+        },
+
+        // Source field -> Commerce attribute key
+        ATTRIBUTE_FIELDS: {
+            sku: 'sku',
+            upc: 'upc',
+            gtin: 'gtin',
+            mpn: 'mpn',
+            model: 'model',
+            size: 'size',
+            color: 'color',
+            flavor: 'flavor',
+            form: 'form',
+            count: 'count',
+            weight: 'weight',
+            ingredients: 'ingredients',
+            features: 'features',
+            tags: 'tags'
+        },
+
+        CATEGORY_SEPARATOR: ' > ',
+        DEFAULT_CURRENCY: null                      // null: COMMERCE.CURRENCY_CODE
+    },
+
+    // Google Merchant Center / Shopping feeds (RSS 2.0 or Atom, g: namespace)
+    // Keys are element names without the namespace prefix: <g:price> -> price
+    MERCHANT_CENTER: {
+        EXTENSIONS: ['.xml', '.rss', '.atom'],
+        ITEM_ELEMENTS: ['item', 'entry'],
+
+        FIELDS: {
+            ID: ['id'],
+            TITLE: ['title'],
+            DESCRIPTION: ['description', 'summary'],
+            PRICE: ['price'],
+            SALE_PRICE: ['sale_price'],
+            SALE_PRICE_DATES: ['sale_price_effective_date'],   // "<start>/<end>" (ISO 8601 interval)
+            COST: ['cost_of_goods_sold'],
+            AVAILABILITY: ['availability'],
+            PRODUCT_TYPE: ['product_type'],
+            GOOGLE_CATEGORY: ['google_product_category'],
+            BRAND: ['brand'],
+            URI: ['link'],
+            IMAGE: ['image_link'],
+            ADDITIONAL_IMAGES: ['additional_image_link'],
+            LANGUAGE: ['content_language']
+        },
+
+        // Feed availability (lowercased, spaces -> _) -> Commerce availability
+        AVAILABILITY_MAP: {
+            in_stock: 'IN_STOCK',
+            out_of_stock: 'OUT_OF_STOCK',
+            preorder: 'PREORDER',
+            backorder: 'BACKORDER'
+        },
+
+        // Feed element -> Commerce attribute key
+        ATTRIBUTE_FIELDS: {
+            gtin: 'gtin',
+            mpn: 'mpn',
+            condition: 'condition',
+            google_product_category: 'google_product_category',
+            item_group_id: 'item_group_id',
+            color: 'color',
+            size: 'size',
+            material: 'material',
+            pattern: 'pattern',
+            gender: 'gender',
+            age_group: 'age_group',
+            custom_label_0: 'custom_label_0',
+            custom_label_1: 'custom_label_1',
+            custom_label_2: 'custom_label_2',
+            custom_label_3: 'custom_label_3',
+            custom_label_4: 'custom_label_4'
+        },
+
+        PRODUCT_TYPE_SEPARATOR: '>',
+        CATEGORY_SEPARATOR: ' > ',
+        DEFAULT_CURRENCY: null                      // Prices carry their code ("19.99 USD"); null: COMMERCE.CURRENCY_CODE
+    },
+
+    // Shopify Admin API / products.json export (product -> variants, options, images)
+    SHOPIFY: {
+        DEFAULT_VARIANT_TITLE: 'Default Title',     // Title of the single variant of a product without options
+        PRODUCT_PATH: '/products/',                 // Storefront path prefix: /products/<handle>
+        TAG_SEPARATOR: ',',
+        DEFAULT_CURRENCY: null                      // null: COMMERCE.CURRENCY_CODE
+    },
+
+    // WooCommerce REST API export (variable products with embedded variation objects)
+    WOOCOMMERCE: {
+        // stock_status -> Commerce availability
+        AVAILABILITY_MAP: {
+            instock: 'IN_STOCK',
+            outofstock: 'OUT_OF_STOCK',
+            onbackorder: 'BACKORDER'
+        },
+        DEFAULT_CURRENCY: null                      // null: COMMERCE.CURRENCY_CODE
+    },
+
+    // Variant options shared by the Shopify and WooCommerce converters
+    VARIANTS: {
+        // Option names (case-insensitive) that become colorInfo / sizes instead of attributes
+        COLOR_OPTION_NAMES: ['color', 'colour'],
+        SIZE_OPTION_NAMES: ['size'],
+
+        // colorInfo.colorFamilies: a color name maps to every family word it contains
+        COLOR_FAMILIES: ['Red', 'Pink', 'Orange', 'Yellow', 'Purple', 'Green', 'Cyan', 'Blue',
+            'Brown', 'Beige', 'White', 'Gray', 'Black', 'Silver', 'Gold', 'Multicolor'],
+        COLOR_FAMILY_ALIASES: {
+            grey: 'Gray',
+            navy: 'Blue',
+            teal: 'Cyan',
+            violet: 'Purple',
+            tan: 'Beige',
+            multi: 'Multicolor'
+        },
+        MAX_COLOR_FAMILIES: 5
+    },
+
+    // Delimited text exports (CSV/TSV, including spreadsheets saved as CSV)
+    CSV: {
+        // Extension -> field delimiter
+        EXTENSIONS: {
+            '.csv': ',',
+            '.tsv': '\t'
+        },
+        DELIMITER: null,                 // Force one delimiter for every file (e.g. ';' for European Excel exports)
+        QUOTE: '"',
+
+        // "Product Name" -> "product_name", so the generic field lists and mapping profiles match
+        NORMALIZE_HEADERS: true,
+
+        // Cells in these (normalized) columns hold several values: "Vitamins|Supplements"
+        MULTI_VALUE_DELIMITER: '|',
+        MULTI_VALUE_COLUMNS: [
+            'categories', 'category', 'brands', 'tags', 'keywords', 'features',
+            'images', 'image_urls', 'additional_image_links', 'sizes', 'colors', 'materials'
+        ]
+    }
+};
+
+module.exports = {
+    FORMATS
+};
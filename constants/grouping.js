@@ -0,0 +1,41 @@
+/**
+ * Primary/Variant Grouping Constants
+ * Optional stage that clusters converted products into Retail PRIMARY/VARIANT groups
+ */
+
+const GROUPING = {
+    // Run the grouping stage for every file (--group-by=<path> enables it for one run)
+    ENABLED: false,
+
+    // Paths in the converted product holding the group key; the first non-empty value wins.
+    // Dotted paths with [n] indexes, as in mapping profiles.
+    KEY_PATHS: [
+        'attributes.item_group_id.text[0]',
+        'attributes.custom_item_group_id.text[0]'
+    ],
+
+    // Group by a key prefix instead of the whole key, e.g. SKU "TEE-RED-M" -> "TEE"
+    // with KEY_PATHS ['attributes.sku.text[0]'] and { SEPARATOR: '-', SEGMENTS: 1 }
+    KEY_PREFIX: null,
+
+    // Groups with fewer products stay standalone
+    MIN_GROUP_SIZE: 2,
+
+    // ID of a generated PRIMARY record: <prefix><group key>. When a product in the file
+    // already has the group key as its id, that product becomes the PRIMARY instead.
+    PRIMARY_ID_PREFIX: '',
+
+    // Text attributes not merged into the generated PRIMARY (per-variant identifiers, embeddings)
+    EXCLUDED_ATTRIBUTES: [
+        'sku', 'gtin', 'mpn', 'upc', 'barcode',
+        'dense_embedding', 'title_embedding', 'category_embedding', 'sparse_embedding',
+        'sparse_embedding_indices', 'sparse_embedding_values', 'search_readiness_score', 'embedding_count'
+    ],
+
+    // Orphan VARIANTs (primaryProductId not in the output) logged per file
+    MAX_LOGGED_ORPHANS: 20
+};
+
+module.exports = {
+    GROUPING
+};
@@ -9,6 +9,14 @@ const { EMBEDDINGS, TEXT_PATTERNS, SYNONYMS, PATTERN_BOOSTS } = require('./embed
 const { PROCESSING } = require('./processing');
 const { OPTIMIZATION, SIZE_ESTIMATES } = require('./optimization');
 const { LOGGING } = require('./logging');
+const { SEARCH } = require('./search');
+const { FORMATS } = require('./formats');
+const { VALIDATION } = require('./validation');
+const { GROUPING } = require('./grouping');
+const { COMMERCE } = require('./commerce');
+const { INVENTORY } = require('./inventory');
+const { USER_EVENTS } = require('./events');
+const { VECTOR_SEARCH } = require('./vector_search');
 const { CONFIG } = require('./config');
 
 // Export individual constant groups
@@ -26,6 +34,14 @@ module.exports = {
     OPTIMIZATION,
     SIZE_ESTIMATES,
     LOGGING,
+    SEARCH,
+    FORMATS,
+    VALIDATION,
+    GROUPING,
+    COMMERCE,
+    INVENTORY,
+    USER_EVENTS,
+    VECTOR_SEARCH,
     
     // Convenience exports for common use cases
     COMMON: {
@@ -0,0 +1,45 @@
+/**
+ * Fulfillment and Local Inventory Constants
+ * Store-level stock in generic sources becomes Product.fulfillmentInfo and local inventory records
+ */
+
+const INVENTORY = {
+    // Emit fulfillmentInfo and <output>_local_inventory.jsonl when products carry store-level stock.
+    // A mapping profile's "inventory" section overrides the field names below ("inventory": false disables it).
+    ENABLED: true,
+
+    // Source fields holding the list of store records; the first non-empty array wins
+    RECORD_FIELDS: ['stores', 'store_inventory', 'local_inventory', 'locations'],
+
+    // Field lookup order inside each store record
+    FIELDS: {
+        PLACE_ID: ['place_id', 'store_id', 'store_code', 'location_id', 'id'],
+        QUANTITY: ['quantity', 'qty', 'stock', 'inventory'],
+        AVAILABILITY: ['availability', 'status', 'stock_status'],
+        PRICE: ['price', 'store_price'],
+        ORIGINAL_PRICE: ['original_price', 'regular_price'],
+        CURRENCY: ['currency', 'currency_code']
+    },
+
+    // Fulfillment type -> store fields flagging it (true, "yes", "1", ...)
+    FULFILLMENT_FIELDS: {
+        'pickup-in-store': ['pickup', 'pickup_in_store', 'store_pickup'],
+        'same-day-delivery': ['same_day', 'same_day_delivery']
+    },
+
+    // Store field -> local inventory attribute key (quantity is always kept as "quantity")
+    ATTRIBUTE_FIELDS: {
+        aisle: 'aisle',
+        shelf: 'shelf'
+    },
+
+    // Only stores with stock are listed as fulfillment places
+    REQUIRE_STOCK_FOR_FULFILLMENT: true,
+
+    // Local inventory output name: <product output name><suffix>.jsonl
+    OUTPUT_SUFFIX: '_local_inventory'
+};
+
+module.exports = {
+    INVENTORY
+};
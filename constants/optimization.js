@@ -94,6 +94,37 @@ const OPTIMIZATION = {
             MAX_CATEGORIES: 5,
             EXPECTED_REDUCTION: 80
         }
+    },
+
+    // Dense vectors written next to the output instead of inline (SEPARATE_EMBEDDINGS)
+    EMBEDDING_SIDECAR: {
+        FORMAT: 'jsonl',                // 'jsonl' | 'float32'
+        FORMATS: ['jsonl', 'float32'],
+        SUFFIX: '_embeddings',          // items_commerce_ready.jsonl -> items_commerce_ready_embeddings.jsonl
+        BINARY_EXTENSION: '.f32',       // float32: little-endian rows of DENSE_DIM values...
+        INDEX_EXTENSION: '.index.jsonl', // ...and an id -> row index
+        JOINED_SUFFIX: '_joined',       // join_embeddings.js output
+        ATTRIBUTES: ['dense_embedding', 'title_embedding', 'category_embedding']
+    },
+
+    // Dense vector quantization (scripts/optimization/quantize_embeddings.js)
+    QUANTIZATION: {
+        METHODS: ['float16', 'int8', 'pq'],
+        FORMAT: 'npy',                  // 'npy' | 'raw' (headerless little-endian; shapes in the manifest)
+        FORMATS: ['npy', 'raw'],
+        OUTPUT_DIRECTORY: 'quantized',  // Inside the optimized/ directory
+        ATTRIBUTE: 'dense_embedding',
+        SEED: 42,                       // Training sample, centroid init and recall queries are reproducible
+        PQ: {
+            SUBVECTORS: 48,             // Must divide the vector dimension; one code byte each
+            CENTROIDS: 256,             // Per subvector, at most 256 (uint8 codes)
+            ITERATIONS: 15,             // k-means iterations
+            TRAINING_SAMPLE: 10000      // Vectors the codebooks are trained on
+        },
+        RECALL: {
+            QUERIES: 100,               // Products sampled as queries (or the lines of --queries=<file>)
+            TOP_K: [1, 10, 100]
+        }
     }
 };
 
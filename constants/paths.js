@@ -21,15 +21,24 @@ const PATHS = {
     CONVERSION_SCRIPTS_DIR: './scripts/conversion',
     OPTIMIZATION_SCRIPTS_DIR: './scripts/optimization',
     CONSTANTS_DIR: './constants',
+    PROFILES_DIR: './profiles',
+    RATES_FILE: './rates/exchange_rates.json',
     
     // Data directories
     DATA_DIR: './Data',
     BACKUP_DIR: './backup',
     
+    // Well-known input files (used by the format-specific processors)
+    INPUT_FILES: {
+        BPN_PRODUCTS: './Data/BPNProductsDataNew.json'
+    },
+    
     // Output file patterns
     OUTPUT_FILES: {
         COMBINED_OUTPUT: 'all_data_files_commerce_ready.jsonl',
         CONVERSION_REPORT: 'dynamic_conversion_report.json',
+        CORPUS_STATS: 'corpus_stats.json',
+        SPARSE_VOCABULARY: 'sparse_vocabulary.json',
         SHARD_PREFIX: 'commerce_ready_shard_',
         OPTIMIZED_SUFFIX: {
             MINIMAL: '_minimal.jsonl',
@@ -41,7 +50,7 @@ const PATHS = {
     
     // File patterns for processing
     FILE_PATTERNS: {
-        INCLUDE: /\.json$/i,  // Include all .json files
+        INCLUDE: /\.(json|jsonl|ndjson|csv|tsv|xml|rss|atom)$|\.(jsonl|ndjson|csv|tsv|xml|rss|atom)\.gz$/i,  // JSON, line-delimited JSON, CSV/TSV and XML feeds (all but .json optionally gzipped)
         EXCLUDE: /\.(log|tmp|backup)$/i  // Exclude log, tmp, backup files
     },
     
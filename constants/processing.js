@@ -9,9 +9,20 @@ const PROCESSING = {
     CONCURRENCY_LIMIT: 5,              // Parallel file processing limit
     
     // Streaming and file handling
-    ENABLE_STREAMING: false,           // Use streaming for large JSON files
+    ENABLE_STREAMING: true,            // Stream products instead of loading whole files
     SHARD_OUTPUT: true,                // Split large output files
     MAX_LINES_PER_SHARD: 1000000,     // 1M lines per output file
+
+    // Where the streaming parser looks for the product array
+    STREAMING: {
+        PRODUCTS_POINTER: null,        // JSON pointer to the product array, e.g. '/data/items' (--pointer)
+        WRAPPER_KEYS: ['products', 'data', 'items'], // Top-level keys holding the product array
+        AUTO_DISCOVER_MIN_ITEMS: 10,   // First array of objects this long is the product array when no wrapper key exists
+        NDJSON_EXTENSIONS: ['.jsonl', '.ndjson'], // Always read line by line (also as .gz)
+        SNIFF_BYTES: 65536,            // Bytes inspected to recognise NDJSON without an extension
+        MAX_LOGGED_LINE_ERRORS: 100,   // Invalid NDJSON lines logged (and kept in the report) per file
+        ERROR_SNIPPET_LENGTH: 120      // Characters of an invalid line shown in logs
+    },
     
     // Progress and logging
     LOG_PROGRESS_EVERY: 1000,          // Log progress every N items
@@ -42,9 +53,11 @@ const PROCESSING = {
     
     // Queue settings
     QUEUE_SETTINGS: {
-        MAX_CONCURRENT: 5,
-        TIMEOUT: 30000,                // 30 seconds timeout
-        RETRY_DELAY: 1000
+        MAX_CONCURRENT: 5,             // Parallel embedding micro-batches
+        TIMEOUT: 30000,                // 30 seconds timeout per micro-batch
+        RETRY_DELAY: 1000,             // Initial retry delay (ms)
+        BACKOFF_MULTIPLIER: 2,         // Delay multiplier after each failed attempt
+        EMBEDDING_BATCH_SIZE: 32       // Texts per embedding provider call
     }
 };
 
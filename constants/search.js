@@ -0,0 +1,32 @@
+/**
+ * Local Search Configuration Constants
+ * Settings for querying converter output without Vertex AI
+ */
+
+const SEARCH = {
+    // Ranking modes
+    MODES: ['dense', 'sparse', 'hybrid'],
+    DEFAULT_MODE: 'hybrid',
+
+    // Result limits
+    DEFAULT_TOP_K: 10,
+    MAX_TOP_K: 100,
+
+    // Output files the index loads (combined output is preferred when present)
+    INDEX_FILE_PATTERN: /_commerce_ready(_shard_\d+)?\.jsonl$/i,
+
+    // Attributes stripped from returned products to keep responses small
+    EXCLUDED_RESULT_ATTRIBUTES: /embedding/i,
+
+    // Development HTTP server (api/search_server.js)
+    SERVER: {
+        HOST: '127.0.0.1',
+        PORT: 3000,
+        DEFAULT_PAGE_SIZE: 10,
+        CORS_ORIGIN: '*'                   // Frontend dev servers run on other ports
+    }
+};
+
+module.exports = {
+    SEARCH
+};
@@ -0,0 +1,67 @@
+/**
+ * Retail Product Schema Validation Constants
+ * Limits from the Google Retail API Product resource, checked before each product is written
+ */
+
+const { COMMERCE } = require('./commerce');
+
+const VALIDATION = {
+    // What to do with a product that violates the schema:
+    // 'fail'   - abort the file on the first invalid product
+    // 'skip'   - drop invalid products (violations are logged)
+    // 'repair' - fix what can be fixed (truncate, rename, drop fields); skip the rest
+    // 'off'    - write products unchecked
+    MODES: ['fail', 'skip', 'repair', 'off'],
+    DEFAULT_MODE: 'repair',
+
+    // Maximum violations logged per product
+    MAX_LOGGED_VIOLATIONS: 10,
+
+    RULES: {
+        // Product id
+        ID_MAX_LENGTH: 128,
+        ID_PATTERN: /^[A-Za-z0-9_.\-]+$/,
+        ID_INVALID_CHARS: /[^A-Za-z0-9_.\-]/g,
+
+        // Text fields
+        TITLE_MAX_LENGTH: 1000,
+        DESCRIPTION_MAX_LENGTH: 5000,
+        URI_MAX_LENGTH: 5000,
+
+        // Categories and brands
+        MAX_CATEGORIES: 250,
+        CATEGORY_MAX_LENGTH: 5000,
+        MAX_BRANDS: 30,
+        BRAND_MAX_LENGTH: 1000,
+
+        // Attributes
+        MAX_ATTRIBUTES: 200,
+        ATTRIBUTE_KEY_MAX_LENGTH: 128,
+        ATTRIBUTE_KEY_PATTERN: /^[a-zA-Z0-9][a-zA-Z0-9_]*$/,
+        MAX_ATTRIBUTE_VALUES: 400,
+        ATTRIBUTE_TEXT_MAX_LENGTH: 256,
+
+        // Product type and variant/collection references
+        PRODUCT_TYPES: ['PRIMARY', 'VARIANT', 'COLLECTION'],
+        MAX_COLLECTION_MEMBERS: 1000,
+
+        // Availability and price
+        AVAILABILITY_VALUES: ['IN_STOCK', 'OUT_OF_STOCK', 'PREORDER', 'BACKORDER'],
+        CURRENCY_CODES: COMMERCE.CURRENCY_CODES,
+        TIMESTAMP_PATTERN: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,   // RFC 3339
+
+        // Fulfillment: distinct types, each with store/region place ids
+        FULFILLMENT_TYPES: [
+            'pickup-in-store', 'ship-to-store', 'same-day-delivery', 'next-day-delivery',
+            'custom-type-1', 'custom-type-2', 'custom-type-3', 'custom-type-4', 'custom-type-5'
+        ],
+        PLACE_ID_PATTERN: /^[a-zA-Z0-9_-]+$/,
+        PLACE_ID_INVALID_CHARS: /[^a-zA-Z0-9_-]/g,
+        PLACE_ID_MAX_LENGTH: 30,
+        MAX_PLACE_IDS: 3000
+    }
+};
+
+module.exports = {
+    VALIDATION
+};
@@ -0,0 +1,40 @@
+/**
+ * Vertex AI Vector Search Export Constants
+ * Datapoint JSON Lines written next to the Commerce output from the same run
+ */
+
+const VECTOR_SEARCH = {
+    // Write datapoints for every converted file (or --vector-search=<directory> for one run)
+    ENABLED: false,
+
+    // Datapoint files go to <product output directory>/<OUTPUT_DIRECTORY>/<output name><suffix>.json.
+    // Vector Search imports every file of a folder and reads JSON Lines from .json files,
+    // so datapoints get a folder of their own.
+    OUTPUT_DIRECTORY: 'vector_search',
+    OUTPUT_SUFFIX: '_vector_search',
+    OUTPUT_EXTENSION: '.json',
+
+    // Product attribute written as the dense "embedding"
+    EMBEDDING_ATTRIBUTE: 'dense_embedding',
+
+    // Write sparse_embedding {values, dimensions}; dimensions are sparse vocabulary indices
+    INCLUDE_SPARSE: true,
+
+    // Token restricts: namespace -> product field (a string or list of strings)
+    RESTRICTS: {
+        category: 'categories',
+        brand: 'brands'
+    },
+
+    // Numeric restricts: namespace -> product field and value type (value_int, value_float, value_double)
+    NUMERIC_RESTRICTS: {
+        price: { FIELD: 'priceInfo.price', TYPE: 'value_float' }
+    },
+
+    // Values kept per token restrict
+    MAX_RESTRICT_VALUES: 50
+};
+
+module.exports = {
+    VECTOR_SEARCH
+};
@@ -0,0 +1,153 @@
+/**
+ * Corpus Statistics for Sparse Term Weighting
+ *
+ * Document frequencies and average lengths per sparse field (general, title, category, brand,
+ * attributes), collected in a first pass over every input file. With them extractKeywords
+ * weighs terms by TF-IDF or BM25 instead of plain term frequency, so terms found in most
+ * products ("product", "new") stop dominating the sparse embedding. See EMBEDDINGS.SPARSE_WEIGHTING.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../constants');
+
+// Bumped whenever the file layout or the way terms are counted changes
+const STATS_VERSION = 1;
+
+class CorpusStats {
+    /**
+     * @param {Object} data - Saved statistics (see toJSON); omitted to start an empty corpus
+     * @param {Object} options - { source: file name for messages }
+     * @throws When saved statistics have another version or are malformed
+     */
+    constructor(data = null, options = {}) {
+        this.source = options.source || 'corpus statistics';
+        this.weighting = null;
+        this.documents = 0;
+        this.fields = {};
+
+        if (data) {
+            if (data.version !== STATS_VERSION) {
+                throw new Error(`${this.source} has version ${data.version}, expected ${STATS_VERSION}; rebuild it without --corpus-stats`);
+            }
+            if (!data.fields || typeof data.fields !== 'object') {
+                throw new Error(`${this.source} has no "fields" object`);
+            }
+            this.weighting = data.weighting || null;
+            this.documents = data.documents || 0;
+            Object.entries(data.fields).forEach(([field, stats]) => {
+                this.fields[field] = {
+                    documents: stats.documents || 0,
+                    totalLength: stats.totalLength || 0,
+                    df: new Map(Object.entries(stats.df || {}))
+                };
+            });
+        }
+    }
+
+    /**
+     * Load statistics saved by save()
+     */
+    static load(filePath) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read corpus statistics ${filePath}: ${error.message}`);
+        }
+        return new CorpusStats(data, { source: filePath });
+    }
+
+    /**
+     * Count one product
+     * @param {Object} fieldTerms - field -> { terms: distinct terms, length: token count }; empty fields are left out
+     */
+    addDocument(fieldTerms) {
+        this.documents++;
+        Object.entries(fieldTerms).forEach(([field, { terms, length }]) => {
+            if (!this.fields[field]) {
+                this.fields[field] = { documents: 0, totalLength: 0, df: new Map() };
+            }
+            const stats = this.fields[field];
+            stats.documents++;
+            stats.totalLength += length;
+            terms.forEach(term => stats.df.set(term, (stats.df.get(term) || 0) + 1));
+        });
+    }
+
+    /**
+     * Average token count of a field over the products that have it
+     */
+    averageLength(field) {
+        const stats = this.fields[field];
+        return stats && stats.documents > 0 ? stats.totalLength / stats.documents : 0;
+    }
+
+    /**
+     * Inverse document frequency of a term in a field
+     * tfidf: ln((N + 1) / (df + 1)) + 1; bm25: ln(1 + (N - df + 0.5) / (df + 0.5)).
+     * Terms the corpus never saw get the rarest-term value.
+     */
+    idf(field, term, mode) {
+        const stats = this.fields[field];
+        const documents = stats ? stats.documents : 0;
+        const df = stats ? (stats.df.get(term) || 0) : 0;
+
+        if (mode === 'bm25') {
+            return Math.log(1 + (documents - df + 0.5) / (df + 0.5));
+        }
+        return Math.log((documents + 1) / (df + 1)) + 1;
+    }
+
+    /**
+     * Weight of a term in one product field
+     * @param {number} freq - Boosted term frequency in the field
+     * @param {number} length - Token count of the field
+     * @param {string} mode - 'tfidf' | 'bm25'
+     */
+    weigh(field, term, freq, length, mode) {
+        const idf = this.idf(field, term, mode);
+        if (mode === 'bm25') {
+            const { K1, B } = CONFIG.EMBEDDINGS.SPARSE_WEIGHTING.BM25;
+            const averageLength = this.averageLength(field) || length;
+            return idf * (freq * (K1 + 1)) / (freq + K1 * (1 - B + B * length / averageLength));
+        }
+        return (freq / length) * idf;
+    }
+
+    /**
+     * Plain object for JSON
+     */
+    toJSON() {
+        const fields = {};
+        Object.entries(this.fields).forEach(([field, stats]) => {
+            fields[field] = {
+                documents: stats.documents,
+                totalLength: stats.totalLength,
+                averageLength: parseFloat(this.averageLength(field).toFixed(4)),
+                terms: stats.df.size,
+                df: Object.fromEntries(stats.df)
+            };
+        });
+        return {
+            version: STATS_VERSION,
+            createdAt: new Date().toISOString(),
+            weighting: this.weighting,
+            documents: this.documents,
+            fields
+        };
+    }
+
+    /**
+     * Write the statistics as JSON, creating the directory when needed
+     */
+    save(filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(this.toJSON()), 'utf8');
+    }
+}
+
+module.exports = {
+    CorpusStats,
+    STATS_VERSION
+};
@@ -0,0 +1,122 @@
+/**
+ * Streaming CSV/TSV Reader
+ *
+ * RFC 4180 style parsing: quoted fields, "" escapes, delimiters and line breaks inside
+ * quotes, CRLF or LF line endings and a leading UTF-8 BOM (as written by spreadsheet exports).
+ */
+
+/**
+ * Yield records from a text stream
+ * @param {AsyncIterable<string>} input - Stream of text chunks (call setEncoding first)
+ * @param {Object} options - { delimiter, quote }
+ * @returns {AsyncGenerator<Object>} { fields: string[], line: number, error?: string }
+ */
+async function* readCSVRecords(input, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const quote = options.quote || '"';
+
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteSeen = false;      // A quote inside a quoted field; the next character decides
+    let line = 1;               // Current physical line
+    let recordLine = 1;         // Line the current record started on
+    let firstChunk = true;
+
+    const endRecord = () => {
+        fields.push(field);
+        const record = { fields, line: recordLine };
+        fields = [];
+        field = '';
+        return record;
+    };
+
+    for await (let chunk of input) {
+        if (firstChunk) {
+            chunk = chunk.replace(/^\uFEFF/, '');
+            firstChunk = false;
+        }
+
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            if (quoteSeen) {
+                quoteSeen = false;
+                if (char === quote) {
+                    field += quote;
+                    continue;
+                }
+                inQuotes = false;
+            }
+
+            if (inQuotes) {
+                if (char === quote) {
+                    quoteSeen = true;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === quote && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n') {
+                const record = endRecord();
+                line++;
+                recordLine = line;
+                // Skip blank lines
+                if (record.fields.length > 1 || record.fields[0] !== '') yield record;
+            } else if (char !== '\r') {
+                field += char;
+            }
+        }
+    }
+
+    if (inQuotes && !quoteSeen) {
+        yield { fields: [], line: recordLine, error: 'Unterminated quoted field' };
+        return;
+    }
+    if (field !== '' || fields.length > 0) {
+        yield endRecord();
+    }
+}
+
+/**
+ * Normalize a header cell: "Product Name" -> "product_name", "Größe" -> "größe"
+ * Letters, marks and digits of any script are kept; everything else becomes "_".
+ */
+function normalizeHeader(header) {
+    return header
+        .normalize('NFC')
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Build unique column names from a header record
+ * @param {string[]} headerFields - Raw header cells
+ * @param {boolean} normalize - Apply normalizeHeader
+ */
+function buildColumnNames(headerFields, normalize) {
+    const seen = new Map();
+    return headerFields.map((header, index) => {
+        let name = normalize ? normalizeHeader(header) : header.trim();
+        if (!name) name = `column_${index + 1}`;
+
+        const count = (seen.get(name) || 0) + 1;
+        seen.set(name, count);
+        return count > 1 ? `${name}_${count}` : name;
+    });
+}
+
+module.exports = {
+    readCSVRecords,
+    normalizeHeader,
+    buildColumnNames
+};
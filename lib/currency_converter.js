@@ -0,0 +1,187 @@
+/**
+ * Multi-Currency Price Conversion
+ *
+ * Converts each product's priceInfo into one target currency using a date-stamped exchange-rate
+ * table (see rates/README.md). A table older than CONVERSION.MAX_RATE_AGE_DAYS is refused when
+ * it is loaded, so an outdated rates file never silently reprices a catalog.
+ *
+ * The price before conversion is kept in the source_currency / source_price attributes.
+ */
+
+const fs = require('fs');
+const { CONFIG } = require('../constants');
+const { normalizeCurrencyCode } = require('./price');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRICE_FIELDS = ['price', 'originalPrice', 'cost'];
+
+class CurrencyConverter {
+    /**
+     * @param {Object} table - Rates table: { date: 'YYYY-MM-DD', base: 'USD', rates: { EUR: 0.92, ... } }
+     * @param {Object} options - Overrides for CONFIG.COMMERCE.CONVERSION plus mode: validation mode for
+     *   products whose currency has no rate, source: table name for messages, now: reference date
+     * @throws When the table is malformed, lacks the target currency or is stale
+     */
+    constructor(table, options = {}) {
+        const config = { ...CONFIG.COMMERCE.CONVERSION, ...options };
+        this.source = options.source || 'exchange rates';
+        this.mode = options.mode || CONFIG.VALIDATION.DEFAULT_MODE;
+        this.minorUnits = config.MINOR_UNITS;
+        this.defaultMinorUnits = config.DEFAULT_MINOR_UNITS;
+        this.currencyAttribute = config.SOURCE_CURRENCY_ATTRIBUTE;
+        this.priceAttribute = config.SOURCE_PRICE_ATTRIBUTE;
+
+        this.target = normalizeCurrencyCode(config.TARGET_CURRENCY);
+        if (!this.target) {
+            throw new Error(`Unknown target currency "${config.TARGET_CURRENCY}". Expected an ISO 4217 code`);
+        }
+
+        const { date, base, rates } = this.parseTable(table);
+        this.date = date;
+        this.base = base;
+        this.rates = rates;
+        if (!this.rates.has(this.target)) {
+            throw new Error(`${this.source} has no rate for target currency ${this.target}`);
+        }
+
+        // Refuse stale tables outright rather than convert with outdated rates
+        const ageDays = Math.floor(((options.now || new Date()).getTime() - Date.parse(this.date)) / DAY_MS);
+        if (ageDays > config.MAX_RATE_AGE_DAYS) {
+            throw new Error(`${this.source} is dated ${this.date} (${ageDays} days old, max ${config.MAX_RATE_AGE_DAYS}); refusing to convert prices`);
+        }
+    }
+
+    /**
+     * Load a rates table from a JSON file
+     */
+    static load(filePath, options = {}) {
+        let table;
+        try {
+            table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read exchange rates ${filePath}: ${error.message}`);
+        }
+        return new CurrencyConverter(table, { ...options, source: filePath });
+    }
+
+    /**
+     * Check the rates table shape
+     * @returns {Object} { date, base, rates: Map of currency -> units per base currency }
+     */
+    parseTable(table) {
+        if (!table || typeof table !== 'object') {
+            throw new Error(`${this.source} must be an object with date, base and rates`);
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(table.date)) || isNaN(Date.parse(table.date))) {
+            throw new Error(`${this.source}: "date" must be a YYYY-MM-DD date, got "${table.date}"`);
+        }
+
+        const base = normalizeCurrencyCode(table.base);
+        if (!base) {
+            throw new Error(`${this.source}: "base" must be an ISO 4217 code, got "${table.base}"`);
+        }
+        if (!table.rates || typeof table.rates !== 'object') {
+            throw new Error(`${this.source}: "rates" must be an object of currency code -> rate`);
+        }
+
+        const rates = new Map([[base, 1]]);
+        Object.entries(table.rates).forEach(([code, rate]) => {
+            const currency = normalizeCurrencyCode(code);
+            if (!currency) {
+                throw new Error(`${this.source}: unknown currency code "${code}"`);
+            }
+            if (typeof rate !== 'number' || !isFinite(rate) || rate <= 0) {
+                throw new Error(`${this.source}: rate for ${currency} must be a positive number`);
+            }
+            rates.set(currency, rate);
+        });
+
+        return { date: table.date, base, rates };
+    }
+
+    /**
+     * Convert an amount between two currencies of the table, rounded to the target's minor units
+     * @returns {number|undefined} undefined when either currency has no rate
+     */
+    convertAmount(amount, from, to = this.target) {
+        if (!this.rates.has(from) || !this.rates.has(to)) return undefined;
+
+        const converted = amount / this.rates.get(from) * this.rates.get(to);
+        const decimals = Object.prototype.hasOwnProperty.call(this.minorUnits, to) ?
+            this.minorUnits[to] : this.defaultMinorUnits;
+        const factor = Math.pow(10, decimals);
+        return Math.round(converted * factor) / factor;
+    }
+
+    /**
+     * Convert one product's priceInfo to the target currency
+     * A currency without a rate aborts in 'fail' mode, drops the product in 'skip' mode and
+     * leaves its price unconverted otherwise.
+     * @param {Object} stats - Per-file counters: converted, unchanged, missingRate
+     * @returns {Object|null} The product (a converted copy when its price changed), or null when dropped
+     */
+    convert(product, stats) {
+        // Store prices are converted on their own; a store currency without a rate loses its price
+        if (Array.isArray(product.localInventories)) {
+            product = { ...product, localInventories: product.localInventories.map(inventory => this.convertLocalInventory(inventory)) };
+        }
+
+        const priceInfo = product.priceInfo;
+        const from = priceInfo && normalizeCurrencyCode(priceInfo.currencyCode);
+        if (!priceInfo || typeof priceInfo.price !== 'number' || from === this.target) {
+            stats.unchanged++;
+            return product;
+        }
+
+        if (!from || !this.rates.has(from)) {
+            stats.missingRate++;
+            if (this.mode === 'fail') {
+                throw new Error(`${this.source} has no rate for ${priceInfo.currencyCode} (product ${product.id})`);
+            }
+            return this.mode === 'skip' ? null : product;
+        }
+
+        stats.converted++;
+        return {
+            ...product,
+            priceInfo: this.convertPriceInfo(priceInfo, from),
+            attributes: {
+                ...product.attributes,
+                [this.currencyAttribute]: { text: [from] },
+                [this.priceAttribute]: { numbers: [priceInfo.price] }
+            }
+        };
+    }
+
+    /**
+     * priceInfo with price, originalPrice and cost in the target currency
+     */
+    convertPriceInfo(priceInfo, from) {
+        const converted = { ...priceInfo, currencyCode: this.target };
+        PRICE_FIELDS.forEach(field => {
+            if (typeof priceInfo[field] === 'number') {
+                converted[field] = this.convertAmount(priceInfo[field], from);
+            }
+        });
+        return converted;
+    }
+
+    convertLocalInventory(inventory) {
+        if (!inventory.priceInfo) return inventory;
+
+        const from = normalizeCurrencyCode(inventory.priceInfo.currencyCode);
+        if (from === this.target) return inventory;
+
+        const converted = { ...inventory };
+        if (from && this.rates.has(from)) {
+            converted.priceInfo = this.convertPriceInfo(inventory.priceInfo, from);
+        } else {
+            delete converted.priceInfo;
+        }
+        return converted;
+    }
+}
+
+module.exports = {
+    CurrencyConverter
+};
@@ -0,0 +1,323 @@
+/**
+ * Embedding Sidecar Files
+ *
+ * With OPTIMIZATION.SEPARATE_EMBEDDINGS the converter writes products without their dense
+ * vectors and puts the vectors in a file next to the output, keyed by product id:
+ *   jsonl:   items_commerce_ready_embeddings.jsonl - { id, dense_embedding: [...], title_embedding: [...] } per line
+ *   float32: items_commerce_ready_embeddings.f32 - little-endian float32 rows of `dimension` values, plus
+ *            items_commerce_ready_embeddings.index.jsonl - a header line { format, byteOrder, dimension },
+ *            then { id, rows: { dense_embedding: 0, title_embedding: 1 } } per product
+ * One sidecar covers all shards of an output. Readers look vectors up by id, so the product
+ * order does not have to match. See EMBEDDING_SIDECAR and scripts/conversion/join_embeddings.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+
+const { CONFIG } = require('../constants');
+const { ShardedJSONLWriter } = require('./jsonl_writer');
+
+const BYTES_PER_VALUE = 4;
+const SHARD_NAME_PATTERN = /_shard_\d+$/;
+
+/**
+ * Sidecar files of a product output for a format; shard files map to their unsharded output
+ * @returns {Object} { data, index } - index is null for jsonl
+ */
+function sidecarPaths(productOutputPath, format) {
+    const { SUFFIX, BINARY_EXTENSION, INDEX_EXTENSION } = CONFIG.EMBEDDING_SIDECAR;
+    const name = path.basename(productOutputPath, path.extname(productOutputPath)).replace(SHARD_NAME_PATTERN, '');
+    const base = path.join(path.dirname(productOutputPath), `${name}${SUFFIX}`);
+
+    if (format === 'float32') {
+        return { data: `${base}${BINARY_EXTENSION}`, index: `${base}${INDEX_EXTENSION}` };
+    }
+    return { data: `${base}.jsonl`, index: null };
+}
+
+/**
+ * Existing sidecar of a product output file (either format), or null
+ */
+function findEmbeddingSidecar(productOutputPath) {
+    for (const format of CONFIG.EMBEDDING_SIDECAR.FORMATS) {
+        const { data, index } = sidecarPaths(productOutputPath, format);
+        if (fs.existsSync(data) && (!index || fs.existsSync(index))) return data;
+    }
+    return null;
+}
+
+/**
+ * Delete sidecars of a product output left by an earlier run, except the format about to be written
+ */
+function removeEmbeddingSidecars(productOutputPath, keepFormat = null) {
+    CONFIG.EMBEDDING_SIDECAR.FORMATS
+        .filter(format => format !== keepFormat)
+        .forEach(format => {
+            const { data, index } = sidecarPaths(productOutputPath, format);
+            [data, index].filter(file => file && fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
+        });
+}
+
+/**
+ * Move dense embedding attributes off a product
+ * @param {string[]} attributes - Attribute names, default EMBEDDING_SIDECAR.ATTRIBUTES
+ * @returns {Object|null} attribute -> vector, or null when the product had none
+ */
+function detachEmbeddings(product, attributes = CONFIG.EMBEDDING_SIDECAR.ATTRIBUTES) {
+    if (!product.attributes) return null;
+
+    const vectors = {};
+    attributes.forEach(attribute => {
+        const value = product.attributes[attribute];
+        if (!value) return;
+        if (Array.isArray(value.numbers) && value.numbers.length > 0) vectors[attribute] = value.numbers;
+        delete product.attributes[attribute];
+    });
+    return Object.keys(vectors).length > 0 ? vectors : null;
+}
+
+class EmbeddingSidecarWriter {
+    /**
+     * @param {string} productOutputPath - Product output the vectors belong to (see sidecarPaths)
+     * @param {Object} options - { format: 'jsonl' | 'float32', default EMBEDDING_SIDECAR.FORMAT; dimension: default EMBEDDINGS.DENSE_DIM }
+     */
+    constructor(productOutputPath, options = {}) {
+        this.format = options.format || CONFIG.EMBEDDING_SIDECAR.FORMAT;
+        if (!CONFIG.EMBEDDING_SIDECAR.FORMATS.includes(this.format)) {
+            throw new Error(`Unknown embedding sidecar format "${this.format}". Expected one of: ${CONFIG.EMBEDDING_SIDECAR.FORMATS.join(', ')}`);
+        }
+        this.dimension = options.dimension || CONFIG.EMBEDDINGS.DENSE_DIM;
+        this.paths = sidecarPaths(productOutputPath, this.format);
+
+        // One file per output, whatever the shard settings
+        this.lines = new ShardedJSONLWriter(this.format === 'float32' ? this.paths.index : this.paths.data, { shard: false });
+        this.binary = null;
+        this.binaryError = null;
+        this.rows = 0;
+        this.ids = new Set();
+        this.files = [];
+    }
+
+    /**
+     * Number of products written
+     */
+    get size() {
+        return this.ids.size;
+    }
+
+    /**
+     * Whether vectors were written for a product id
+     */
+    has(id) {
+        return this.ids.has(String(id));
+    }
+
+    /**
+     * Write one product's vectors
+     * @param {Object} vectors - attribute -> number[]
+     * @throws When a float32 vector does not have `dimension` values
+     */
+    async write(id, vectors) {
+        const key = String(id);
+
+        if (this.format === 'jsonl') {
+            await this.lines.write({ id: key, ...vectors });
+        } else {
+            if (!this.binary) await this.openBinary();
+            if (this.binaryError) throw this.binaryError;
+
+            const rows = {};
+            for (const [attribute, vector] of Object.entries(vectors)) {
+                if (vector.length !== this.dimension) {
+                    throw new Error(`${attribute} of product ${key} has ${vector.length} values, expected ${this.dimension}`);
+                }
+                const buffer = Buffer.alloc(this.dimension * BYTES_PER_VALUE);
+                vector.forEach((value, position) => buffer.writeFloatLE(value, position * BYTES_PER_VALUE));
+                if (!this.binary.write(buffer)) {
+                    await once(this.binary, 'drain');
+                }
+                rows[attribute] = this.rows++;
+            }
+            await this.lines.write({ id: key, rows });
+        }
+
+        this.ids.add(key);
+    }
+
+    /**
+     * Flush and close the sidecar; an output without vectors still gets an (empty) sidecar
+     * @returns {Promise<string[]>} Files written
+     */
+    async close() {
+        if (this.format === 'float32') {
+            if (!this.binary) await this.openBinary();
+            if (this.binaryError) throw this.binaryError;
+            await new Promise((resolve, reject) => {
+                this.binary.end(error => (error ? reject(error) : resolve()));
+            });
+            this.files = [this.paths.data, ...await this.lines.close()];
+        } else {
+            this.files = await this.lines.close();
+        }
+        return this.files;
+    }
+
+    async openBinary() {
+        fs.mkdirSync(path.dirname(this.paths.data), { recursive: true });
+        this.binary = fs.createWriteStream(this.paths.data, { flags: 'w' });
+        this.binary.on('error', error => {
+            if (!this.binaryError) this.binaryError = error;
+        });
+        // Header line of the index; rows follow it
+        await this.lines.write({ format: 'float32', byteOrder: 'little-endian', dimension: this.dimension });
+    }
+}
+
+class EmbeddingSidecarReader {
+    /**
+     * Use EmbeddingSidecarReader.open()
+     */
+    constructor(filePath, format) {
+        this.filePath = filePath;
+        this.format = format;
+        this.dimension = null;
+        this.indexPath = null;
+        this.entries = new Map();   // id -> jsonl: { offset, length }; float32: { attribute: row }
+        this.fd = null;
+    }
+
+    /**
+     * Open a sidecar (the .jsonl file, or the .f32 file of a float32 sidecar) and index it by product id
+     * A product listed twice keeps its last vectors.
+     */
+    static async open(filePath) {
+        const { BINARY_EXTENSION, INDEX_EXTENSION } = CONFIG.EMBEDDING_SIDECAR;
+        const format = filePath.endsWith(BINARY_EXTENSION) ? 'float32' : 'jsonl';
+        const reader = new EmbeddingSidecarReader(filePath, format);
+
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Embedding sidecar not found: ${filePath}`);
+        }
+        if (format === 'float32') {
+            reader.indexPath = filePath.slice(0, -BINARY_EXTENSION.length) + INDEX_EXTENSION;
+            await reader.loadIndex();
+        } else {
+            await reader.scanLines();
+        }
+        reader.fd = fs.openSync(filePath, 'r');
+        return reader;
+    }
+
+    /**
+     * Number of products with vectors
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    async scanLines() {
+        const lines = readline.createInterface({ input: fs.createReadStream(this.filePath), crlfDelay: Infinity });
+        let offset = 0;
+        for await (const line of lines) {
+            const length = Buffer.byteLength(line);
+            if (line.trim()) {
+                const { id } = JSON.parse(line);
+                this.entries.set(String(id), { offset, length });
+            }
+            offset += length + 1;
+        }
+    }
+
+    async loadIndex() {
+        if (!fs.existsSync(this.indexPath)) {
+            throw new Error(`Embedding sidecar index not found: ${this.indexPath}`);
+        }
+
+        const lines = readline.createInterface({ input: fs.createReadStream(this.indexPath), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            const record = JSON.parse(line);
+
+            if (this.dimension === null) {
+                if (record.format !== 'float32' || record.byteOrder !== 'little-endian' || !record.dimension) {
+                    throw new Error(`${this.indexPath} does not start with a float32 header line`);
+                }
+                this.dimension = record.dimension;
+                continue;
+            }
+            this.entries.set(String(record.id), record.rows);
+        }
+    }
+
+    /**
+     * Vectors of a product
+     * @returns {Object|null} attribute -> number[]; float32 values come back with 9 significant digits
+     */
+    read(id) {
+        const entry = this.entries.get(String(id));
+        if (!entry) return null;
+
+        if (this.format === 'jsonl') {
+            const buffer = Buffer.alloc(entry.length);
+            fs.readSync(this.fd, buffer, 0, entry.length, entry.offset);
+            const vectors = JSON.parse(buffer.toString('utf8'));
+            delete vectors.id;
+            return vectors;
+        }
+
+        const rowBytes = this.dimension * BYTES_PER_VALUE;
+        const buffer = Buffer.alloc(rowBytes);
+        const vectors = {};
+        Object.entries(entry).forEach(([attribute, row]) => {
+            fs.readSync(this.fd, buffer, 0, rowBytes, row * rowBytes);
+            const vector = new Array(this.dimension);
+            for (let i = 0; i < this.dimension; i++) {
+                vector[i] = parseFloat(buffer.readFloatLE(i * BYTES_PER_VALUE).toPrecision(9));
+            }
+            vectors[attribute] = vector;
+        });
+        return vectors;
+    }
+
+    /**
+     * Put a product's vectors back into its attributes
+     * @returns {boolean} Whether the sidecar had vectors for it
+     */
+    attach(product) {
+        const vectors = this.read(product.id);
+        if (!vectors) return false;
+
+        product.attributes = product.attributes || {};
+        Object.entries(vectors).forEach(([attribute, numbers]) => {
+            product.attributes[attribute] = { numbers };
+        });
+        return true;
+    }
+
+    /**
+     * Yield [id, vectors] for every product, in the order they were indexed
+     */
+    *[Symbol.iterator]() {
+        for (const id of this.entries.keys()) {
+            yield [id, this.read(id)];
+        }
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = {
+    EmbeddingSidecarWriter,
+    EmbeddingSidecarReader,
+    sidecarPaths,
+    findEmbeddingSidecar,
+    removeEmbeddingSidecars,
+    detachEmbeddings
+};
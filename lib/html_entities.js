@@ -0,0 +1,48 @@
+/**
+ * HTML Entity Decoding
+ *
+ * Decodes numeric references and the named entities product feeds actually contain
+ * (markup, Latin-1, typographic punctuation, currency and trademark signs).
+ */
+
+// Latin-1 names in code point order, U+00A0 (nbsp) to U+00FF (yuml)
+const LATIN1_NAMES = [
+    'nbsp', 'iexcl', 'cent', 'pound', 'curren', 'yen', 'brvbar', 'sect', 'uml', 'copy', 'ordf', 'laquo',
+    'not', 'shy', 'reg', 'macr', 'deg', 'plusmn', 'sup2', 'sup3', 'acute', 'micro', 'para', 'middot',
+    'cedil', 'sup1', 'ordm', 'raquo', 'frac14', 'frac12', 'frac34', 'iquest', 'Agrave', 'Aacute', 'Acirc',
+    'Atilde', 'Auml', 'Aring', 'AElig', 'Ccedil', 'Egrave', 'Eacute', 'Ecirc', 'Euml', 'Igrave', 'Iacute',
+    'Icirc', 'Iuml', 'ETH', 'Ntilde', 'Ograve', 'Oacute', 'Ocirc', 'Otilde', 'Ouml', 'times', 'Oslash',
+    'Ugrave', 'Uacute', 'Ucirc', 'Uuml', 'Yacute', 'THORN', 'szlig', 'agrave', 'aacute', 'acirc', 'atilde',
+    'auml', 'aring', 'aelig', 'ccedil', 'egrave', 'eacute', 'ecirc', 'euml', 'igrave', 'iacute', 'icirc',
+    'iuml', 'eth', 'ntilde', 'ograve', 'oacute', 'ocirc', 'otilde', 'ouml', 'divide', 'oslash', 'ugrave',
+    'uacute', 'ucirc', 'uuml', 'yacute', 'thorn', 'yuml'
+];
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+    OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š', Yuml: 'Ÿ', fnof: 'ƒ',
+    ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+    dagger: '†', Dagger: '‡', bull: '•', hellip: '…', permil: '‰', prime: '′', Prime: '″',
+    lsaquo: '‹', rsaquo: '›', euro: '€', trade: '™', minus: '−', le: '≤', ge: '≥', ne: '≠', asymp: '≈',
+    ...Object.fromEntries(LATIN1_NAMES.map((name, index) => [name, String.fromCodePoint(0xA0 + index)]))
+};
+
+/**
+ * Decode HTML entities: "&amp;" -> "&", "&eacute;" -> "é", "&#8482;" / "&#x2122;" -> "™"
+ * Unknown named entities become a space, as before decoding was supported.
+ */
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#[0-9]+|#x[0-9a-f]+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1] === 'x' || entity[1] === 'X' ?
+                parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            const valid = codePoint > 0 && codePoint <= 0x10FFFF && (codePoint < 0xD800 || codePoint > 0xDFFF);
+            return valid ? String.fromCodePoint(codePoint) : ' ';
+        }
+        return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, entity) ? NAMED_ENTITIES[entity] : ' ';
+    });
+}
+
+module.exports = {
+    decodeHtmlEntities
+};
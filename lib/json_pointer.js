@@ -0,0 +1,30 @@
+/**
+ * JSON Pointer (RFC 6901) helpers
+ */
+
+/**
+ * Split a JSON pointer into path segments ("/a/b~1c" -> ["a", "b/c"])
+ */
+function parsePointer(pointer) {
+    if (pointer === '' || pointer === '/') return [];
+    if (!pointer.startsWith('/')) {
+        throw new Error(`Invalid JSON pointer "${pointer}": must start with "/"`);
+    }
+    return pointer.substring(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Resolve a JSON pointer against an already parsed document
+ * @returns {*} The value, or undefined when the pointer does not exist
+ */
+function resolvePointer(document, pointer) {
+    return parsePointer(pointer).reduce(
+        (current, segment) => (current === undefined || current === null ? undefined : current[segment]),
+        document
+    );
+}
+
+module.exports = {
+    parsePointer,
+    resolvePointer
+};
@@ -0,0 +1,219 @@
+/**
+ * JSON Product Array Streamer
+ *
+ * Transform stream that turns stream-json tokens into products without loading the file.
+ * The product array is located, in order of precedence, by:
+ * 1. A JSON pointer (RFC 6901), e.g. "/data/items" - an object at the pointer is one product
+ * 2. A top-level array
+ * 3. A top-level wrapper key ("products", "data", "items") holding an array
+ * 4. Auto-discovery: the first array of objects with at least AUTO_DISCOVER_MIN_ITEMS elements
+ *
+ * A wrapper key may come after a discovered array (`{"facets": [...], "products": [...]}`), so
+ * discovered elements are held until the top-level object closes and only emitted when no
+ * wrapper key turned up - the same choice the whole-file fallback parser makes.
+ *
+ * When none of these match (e.g. a single product object) the stream ends with
+ * `unresolved = true` and the caller falls back to parsing the whole file.
+ */
+
+const { Transform } = require('stream');
+const Parser = require('stream-json/Parser');
+const Assembler = require('stream-json/Assembler');
+
+const { parsePointer } = require('./json_pointer');
+
+const VALUE_START_TOKENS = new Set([
+    'startObject', 'startArray', 'stringValue', 'numberValue', 'nullValue', 'trueValue', 'falseValue'
+]);
+
+function samePath(a, b) {
+    return a.length === b.length && a.every((segment, index) => String(segment) === String(b[index]));
+}
+
+class ProductArrayStreamer extends Transform {
+    /**
+     * @param {Object} options - { pointer, wrapperKeys, minItems }
+     */
+    constructor(options = {}) {
+        super({ objectMode: true });
+        this.pointer = options.pointer ? parsePointer(options.pointer) : null;
+        this.pointerText = options.pointer || null;
+        this.wrapperKeys = options.wrapperKeys || [];
+        this.minItems = options.minItems || 1;
+
+        this.frames = [];          // Open objects/arrays outside the product array: { isArray, key, index, path }
+        this.target = null;        // Frame of the array whose elements are products
+        this.committed = false;    // Whether target's elements are being emitted
+        this.finished = false;     // The product array (or pointer object) has been fully read
+        this.buffer = [];          // Elements of the open auto-discovery candidate
+        this.discovered = null;    // Elements of the discovered array, held until the top-level object closes
+        this.assembler = null;     // Element (or pointer object) being assembled
+        this.assemblingSingle = false;
+
+        this.container = null;     // 'pointer' | 'array' | <wrapper key> | 'discovered'
+        this.unresolved = false;
+    }
+
+    /**
+     * Token parser to pipe the file through before this stream
+     */
+    static tokenizer() {
+        return Parser.make({ packValues: true, streamValues: false });
+    }
+
+    _transform(token, encoding, callback) {
+        try {
+            this.consume(token);
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        if (this.pointer && !this.finished) {
+            callback(new Error(`JSON pointer "${this.pointerText}" not found`));
+            return;
+        }
+        this.unresolved = !this.finished && !this.committed;
+        callback();
+    }
+
+    consume(token) {
+        if (this.finished) return;
+
+        // Inside an element: the assembler owns every token until the element closes
+        if (this.assembler) {
+            this.assembler.consume(token);
+            if (this.assembler.done) this.finishValue(this.assembler.current);
+            return;
+        }
+
+        const top = this.frames[this.frames.length - 1];
+
+        if (top && top === this.target && VALUE_START_TOKENS.has(token.name)) {
+            this.startElement(token);
+            return;
+        }
+
+        // Auto-discovery: an array whose first element is an object becomes the candidate
+        if (top && top.candidate) {
+            top.candidate = false;
+            if (token.name === 'startObject' && !this.target) {
+                this.target = top;
+                this.startElement(token);
+                return;
+            }
+        }
+
+        switch (token.name) {
+            case 'keyValue':
+                top.key = token.value;
+                break;
+            case 'startObject':
+            case 'startArray':
+                this.openContainer(token, top);
+                break;
+            case 'endObject':
+            case 'endArray':
+                this.closeContainer();
+                break;
+            default:
+                // Primitive outside the product array
+                this.advance(top);
+        }
+    }
+
+    openContainer(token, parent) {
+        const isArray = token.name === 'startArray';
+        const path = parent ? parent.path.concat(parent.isArray ? parent.index : parent.key) : [];
+
+        if (this.pointer && samePath(path, this.pointer) && !isArray) {
+            // The pointer names a single object: it is the only product
+            this.container = 'pointer';
+            this.assemblingSingle = true;
+            this.startElement(token);
+            return;
+        }
+
+        const frame = { isArray, key: null, index: 0, path };
+        this.frames.push(frame);
+        if (!isArray || this.target) return;
+
+        if (this.pointer) {
+            if (samePath(path, this.pointer)) this.commit(frame, 'pointer');
+        } else if (path.length === 0) {
+            this.commit(frame, 'array');
+        } else if (path.length === 1 && this.wrapperKeys.includes(path[0])) {
+            // A wrapper key wins over an array discovered before it
+            this.discovered = null;
+            this.commit(frame, path[0]);
+        } else if (!this.discovered) {
+            frame.candidate = true;
+        }
+    }
+
+    closeContainer() {
+        const frame = this.frames.pop();
+
+        if (frame === this.target) {
+            if (this.committed) {
+                this.finished = true;
+                return;
+            }
+            // Candidate array ended: long enough to be the product array unless a wrapper key follows
+            if (this.buffer.length >= this.minItems) this.discovered = this.buffer;
+            this.target = null;
+            this.buffer = [];
+        }
+
+        if (this.frames.length === 0 && this.discovered) {
+            // Top-level object closed without a wrapper key
+            this.commit(null, 'discovered');
+            this.discovered.forEach(item => this.push(item));
+            this.discovered = null;
+            this.finished = true;
+            return;
+        }
+
+        this.advance(this.frames[this.frames.length - 1]);
+    }
+
+    advance(frame) {
+        if (frame && frame.isArray) frame.index++;
+    }
+
+    commit(frame, container) {
+        this.target = frame;
+        this.committed = true;
+        this.container = container;
+    }
+
+    startElement(token) {
+        this.assembler = new Assembler();
+        this.assembler.consume(token);
+        if (this.assembler.done) this.finishValue(this.assembler.current);
+    }
+
+    finishValue(value) {
+        this.assembler = null;
+
+        if (this.assemblingSingle) {
+            this.push(value);
+            this.finished = true;
+            return;
+        }
+
+        this.target.index++;
+        if (this.committed) {
+            this.push(value);
+            return;
+        }
+
+        this.buffer.push(value);
+    }
+}
+
+module.exports = {
+    ProductArrayStreamer
+};
@@ -0,0 +1,121 @@
+/**
+ * Sharded JSONL Writer
+ *
+ * Writes one JSON document per line and honours stream backpressure. Output starts in
+ * the requested file; once it passes the shard limit that file is renamed to
+ * <name>_shard_000.jsonl and writing continues in _shard_001, _shard_002, ...
+ * so small outputs keep their plain name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+
+const { CONFIG } = require('../constants');
+
+class ShardedJSONLWriter {
+    /**
+     * @param {string} outputPath - Target file
+     * @param {Object} options - { shard, maxLinesPerShard, onShard: (shardPath) => void }
+     */
+    constructor(outputPath, options = {}) {
+        this.outputPath = outputPath;
+        this.shard = options.shard !== undefined ? options.shard : CONFIG.PROCESSING.SHARD_OUTPUT;
+        this.maxLinesPerShard = options.maxLinesPerShard || CONFIG.PROCESSING.MAX_LINES_PER_SHARD;
+        this.onShard = options.onShard || null;
+
+        this.stream = null;
+        this.error = null;
+        this.files = [];
+        this.shardIndex = 0;
+        this.shardLines = 0;
+        this.lines = 0;
+    }
+
+    /**
+     * Shard file name for an output path: out.jsonl -> out_shard_003.jsonl
+     */
+    static shardPath(originalPath, shardIndex) {
+        const dir = path.dirname(originalPath);
+        const ext = path.extname(originalPath);
+        const name = path.basename(originalPath, ext);
+        return path.join(dir, `${name}_shard_${shardIndex.toString().padStart(3, '0')}${ext}`);
+    }
+
+    /**
+     * Write one line; resolves once the stream can take more data
+     * @param {string|Object} record - Serialized line or object to serialize
+     * @throws The stream error once the output file failed (EISDIR, ENOSPC, ...)
+     */
+    async write(record) {
+        if (!this.stream) {
+            this.open(this.outputPath);
+        } else if (this.shard && this.shardLines >= this.maxLinesPerShard) {
+            await this.rollover();
+        }
+        if (this.error) throw this.error;
+
+        const line = typeof record === 'string' ? record : JSON.stringify(record);
+        this.shardLines++;
+        this.lines++;
+
+        if (!this.stream.write(line + '\n')) {
+            await once(this.stream, 'drain');
+        }
+    }
+
+    /**
+     * Flush and close the current file
+     * @returns {Promise<string[]>} Every file written, in order
+     */
+    async close() {
+        if (!this.stream) {
+            // Always leave an output file behind, even for an empty input
+            this.open(this.outputPath);
+        }
+        await this.closeStream();
+        return this.files;
+    }
+
+    open(filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.stream = fs.createWriteStream(filePath, { flags: 'w' });
+        // Kept until close: open errors arrive after the first writes were buffered
+        this.stream.on('error', error => {
+            if (!this.error) this.error = error;
+        });
+        this.files.push(filePath);
+        this.shardLines = 0;
+    }
+
+    async closeStream() {
+        const stream = this.stream;
+        this.stream = null;
+        if (this.error) throw this.error;
+
+        await new Promise((resolve, reject) => {
+            stream.end(error => (error ? reject(error) : resolve()));
+        });
+    }
+
+    async rollover() {
+        await this.closeStream();
+
+        if (this.shardIndex === 0) {
+            // The first file becomes shard 000 now that the output needs more than one
+            const firstShard = ShardedJSONLWriter.shardPath(this.outputPath, 0);
+            fs.renameSync(this.outputPath, firstShard);
+            this.files[0] = firstShard;
+            if (this.onShard) this.onShard(firstShard);
+        }
+
+        this.shardIndex++;
+        const nextShard = ShardedJSONLWriter.shardPath(this.outputPath, this.shardIndex);
+        this.open(nextShard);
+        if (this.onShard) this.onShard(nextShard);
+    }
+}
+
+module.exports = {
+    ShardedJSONLWriter
+};
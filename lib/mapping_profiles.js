@@ -0,0 +1,337 @@
+/**
+ * Field Mapping Profiles
+ *
+ * Declarative per-source mappings used by ProductConverter.convertGenericProduct.
+ * Profiles are JSON or JS files in the profiles directory; see profiles/README.md.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../constants');
+const { parsePrice } = require('./price');
+
+// Commerce fields a profile may map
+const PROFILE_FIELDS = [
+    'id', 'title', 'description', 'categories', 'brands', 'price', 'originalPrice', 'cost',
+    'currencyCode', 'priceEffectiveTime', 'priceExpireTime', 'availability', 'uri', 'images', 'languageCode'
+];
+
+// Store record fields a profile's "inventory" section may map (besides path, fulfillment and attributes)
+const INVENTORY_FIELDS = ['placeId', 'quantity', 'availability', 'price', 'originalPrice', 'currencyCode'];
+
+// Transform name -> (value, argument) => value. Array values are transformed element-wise
+// except by transforms that work on the whole array (first, join).
+const TRANSFORMS = {
+    lowercase: value => String(value).toLowerCase(),
+    uppercase: value => String(value).toUpperCase(),
+    trim: value => String(value).trim(),
+    number: value => {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? undefined : parsed;
+    },
+    currency: value => parsePrice(value),
+    split: (value, separator = ',') => String(value).split(separator).map(part => part.trim()).filter(Boolean),
+    map: (value, table = {}) => (Object.prototype.hasOwnProperty.call(table, value) ? table[value] : value)
+};
+
+const ARRAY_TRANSFORMS = {
+    first: value => (Array.isArray(value) ? value[0] : value),
+    join: (value, separator = ' ') => (Array.isArray(value) ? value.join(separator) : value)
+};
+
+/**
+ * Resolve a dotted path with array indexes, e.g. "offers[0].price" or "media.images[2].src"
+ * @returns {*} The value, or undefined if any segment is missing
+ */
+function resolvePath(source, sourcePath) {
+    const segments = String(sourcePath)
+        .replace(/\[(\d+)\]/g, '.$1')
+        .split('.')
+        .filter(Boolean);
+
+    let current = source;
+    for (const segment of segments) {
+        if (current === undefined || current === null) return undefined;
+        current = current[segment];
+    }
+    return current;
+}
+
+/**
+ * Top-level source key a path reads from ("offers[0].price" -> "offers")
+ */
+function rootKey(sourcePath) {
+    return String(sourcePath).split(/[.[]/)[0];
+}
+
+/**
+ * Normalize a field spec: "a.b" | ["a", "b"] | { path, transform, default }
+ */
+function normalizeFieldSpec(spec) {
+    if (typeof spec === 'string' || Array.isArray(spec)) {
+        return { paths: [].concat(spec), transforms: [], defaultValue: undefined };
+    }
+    return {
+        paths: [].concat(spec.path || []),
+        transforms: [].concat(spec.transform || []),
+        defaultValue: spec.default
+    };
+}
+
+/**
+ * Resolve a field spec against a source: the first path with a non-empty transformed value wins
+ * @param {Set} consumedKeys - Optional set collecting the top-level keys read
+ */
+function resolveSpec(source, spec, consumedKeys = null) {
+    const { paths, transforms, defaultValue } = normalizeFieldSpec(spec);
+    for (const sourcePath of paths) {
+        if (consumedKeys) consumedKeys.add(rootKey(sourcePath));
+        const value = resolvePath(source, sourcePath);
+        if (value === undefined || value === null || value === '') continue;
+
+        const transformed = applyTransforms(value, transforms);
+        if (transformed !== undefined && transformed !== null && transformed !== '') {
+            return transformed;
+        }
+    }
+    return defaultValue;
+}
+
+/**
+ * Apply a list of transforms: "lowercase" or { split: "," } / { map: {...} }
+ */
+function applyTransforms(value, transforms) {
+    return transforms.reduce((current, transform) => {
+        if (current === undefined || current === null) return current;
+
+        const [name, argument] = typeof transform === 'string' ?
+            [transform, undefined] :
+            Object.entries(transform)[0];
+
+        if (ARRAY_TRANSFORMS[name]) {
+            return ARRAY_TRANSFORMS[name](current, argument);
+        }
+
+        const apply = TRANSFORMS[name];
+        if (Array.isArray(current)) {
+            return current.flatMap(item => [].concat(apply(item, argument))).filter(item => item !== undefined);
+        }
+        return apply(current, argument);
+    }, value);
+}
+
+/**
+ * Check a profile's shape so mistakes surface at load time rather than per product
+ */
+function validateProfile(profile, source) {
+    if (!profile || typeof profile !== 'object') {
+        throw new Error(`Mapping profile ${source} must export an object`);
+    }
+    if (!profile.name) {
+        throw new Error(`Mapping profile ${source} is missing "name"`);
+    }
+
+    const checkSpec = (spec, label) => {
+        const { paths, transforms } = normalizeFieldSpec(spec);
+        if (paths.length === 0) {
+            throw new Error(`Mapping profile "${profile.name}": ${label} has no source path`);
+        }
+        transforms.forEach(transform => {
+            const name = typeof transform === 'string' ? transform : Object.keys(transform)[0];
+            if (!TRANSFORMS[name] && !ARRAY_TRANSFORMS[name]) {
+                throw new Error(`Mapping profile "${profile.name}": unknown transform "${name}" in ${label}`);
+            }
+        });
+    };
+
+    Object.entries(profile.fields || {}).forEach(([field, spec]) => {
+        if (!PROFILE_FIELDS.includes(field)) {
+            throw new Error(`Mapping profile "${profile.name}": unknown field "${field}". Expected one of: ${PROFILE_FIELDS.join(', ')}`);
+        }
+        checkSpec(spec, `fields.${field}`);
+    });
+    Object.entries(profile.attributes || {}).forEach(([attribute, spec]) => {
+        checkSpec(spec, `attributes.${attribute}`);
+    });
+
+    const inventory = profile.inventory;
+    if (inventory !== undefined && inventory !== false) {
+        if (!inventory || typeof inventory !== 'object' || !inventory.path) {
+            throw new Error(`Mapping profile "${profile.name}": inventory must be false or an object with a "path" to the store records`);
+        }
+        checkSpec(inventory.path, 'inventory.path');
+        Object.entries(inventory).forEach(([field, spec]) => {
+            if (['path', 'fulfillment', 'attributes'].includes(field)) return;
+            if (!INVENTORY_FIELDS.includes(field)) {
+                throw new Error(`Mapping profile "${profile.name}": unknown inventory field "${field}". Expected one of: ${INVENTORY_FIELDS.join(', ')}`);
+            }
+            checkSpec(spec, `inventory.${field}`);
+        });
+        Object.entries(inventory.fulfillment || {}).forEach(([type, spec]) => {
+            if (!CONFIG.VALIDATION.RULES.FULFILLMENT_TYPES.includes(type)) {
+                throw new Error(`Mapping profile "${profile.name}": unknown fulfillment type "${type}". Expected one of: ${CONFIG.VALIDATION.RULES.FULFILLMENT_TYPES.join(', ')}`);
+            }
+            checkSpec(spec, `inventory.fulfillment.${type}`);
+        });
+        Object.entries(inventory.attributes || {}).forEach(([attribute, spec]) => {
+            checkSpec(spec, `inventory.attributes.${attribute}`);
+        });
+    }
+
+    return profile;
+}
+
+/**
+ * Convert a filename glob (* and ?) to a RegExp
+ */
+function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+class MappingProfileRegistry {
+    constructor() {
+        this.profiles = new Map();
+    }
+
+    /**
+     * Load every .json/.js profile in a directory
+     * @param {string} directory - Profiles directory
+     * @returns {number} Number of profiles loaded
+     */
+    loadDirectory(directory) {
+        const profilesDir = path.resolve(directory);
+        if (!fs.existsSync(profilesDir)) return 0;
+
+        fs.readdirSync(profilesDir)
+            .filter(file => /\.(json|js)$/i.test(file))
+            .sort()
+            .forEach(file => this.loadFile(path.join(profilesDir, file)));
+
+        return this.profiles.size;
+    }
+
+    /**
+     * Load a single profile file
+     */
+    loadFile(filePath) {
+        const profile = filePath.endsWith('.json') ?
+            JSON.parse(fs.readFileSync(filePath, 'utf8')) :
+            require(path.resolve(filePath));
+
+        this.register(profile, path.basename(filePath));
+        return profile;
+    }
+
+    /**
+     * Register a profile object
+     */
+    register(profile, source = profile && profile.name) {
+        validateProfile(profile, source);
+        profile.matchers = [].concat(profile.match || []).map(globToRegExp);
+        this.profiles.set(profile.name, profile);
+    }
+
+    /**
+     * Get a profile by name
+     */
+    get(name) {
+        const profile = this.profiles.get(name);
+        if (!profile) {
+            throw new Error(`Unknown mapping profile "${name}". Available: ${Array.from(this.profiles.keys()).join(', ') || 'none'}`);
+        }
+        return profile;
+    }
+
+    /**
+     * Find the first profile whose "match" globs match a file name
+     * @returns {Object|null}
+     */
+    findForFile(fileName) {
+        const baseName = path.basename(fileName);
+        for (const profile of this.profiles.values()) {
+            if (profile.matchers.some(matcher => matcher.test(baseName))) {
+                return profile;
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * Apply a profile to a source record
+ * @returns {Object} { fields, attributes, inventory, consumedKeys, droppedKeys, includeUnmapped }
+ *   fields: mapped Commerce field values (only those the profile resolved)
+ *   attributes: attribute name -> raw value(s)
+ *   inventory: mapped store records (see mapInventoryRecord); undefined without an inventory
+ *     section, null when the profile disables inventory
+ *   consumedKeys: top-level source keys read by the profile
+ *   droppedKeys: top-level source keys the profile drops
+ *   includeUnmapped: whether remaining source keys become custom_* attributes
+ */
+function applyProfile(source, profile) {
+    const consumedKeys = new Set();
+
+    const fields = {};
+    Object.entries(profile.fields || {}).forEach(([field, spec]) => {
+        const value = resolveSpec(source, spec, consumedKeys);
+        if (value !== undefined) fields[field] = value;
+    });
+
+    const attributes = {};
+    Object.entries(profile.attributes || {}).forEach(([attribute, spec]) => {
+        const value = resolveSpec(source, spec, consumedKeys);
+        if (value !== undefined) attributes[attribute] = value;
+    });
+
+    let inventory;
+    if (profile.inventory === false) {
+        inventory = null;
+    } else if (profile.inventory) {
+        const records = resolveSpec(source, profile.inventory.path, consumedKeys);
+        inventory = [].concat(records || [])
+            .filter(record => record && typeof record === 'object')
+            .map(record => mapInventoryRecord(record, profile.inventory));
+    }
+
+    return {
+        fields,
+        attributes,
+        inventory,
+        consumedKeys,
+        droppedKeys: new Set(profile.drop || []),
+        includeUnmapped: profile.includeUnmapped !== false
+    };
+}
+
+/**
+ * Map one store record with a profile's inventory section; paths are relative to the record
+ * @returns {Object} { placeId, quantity, availability, price, originalPrice, currencyCode,
+ *   fulfillment: type -> flag, attributes: key -> value }
+ */
+function mapInventoryRecord(record, inventory) {
+    const mapSpecs = specs => {
+        const result = {};
+        Object.entries(specs || {}).forEach(([key, spec]) => {
+            const value = resolveSpec(record, spec);
+            if (value !== undefined) result[key] = value;
+        });
+        return result;
+    };
+
+    const mapped = mapSpecs(Object.fromEntries(
+        INVENTORY_FIELDS.filter(field => inventory[field] !== undefined).map(field => [field, inventory[field]])
+    ));
+    mapped.fulfillment = mapSpecs(inventory.fulfillment);
+    mapped.attributes = mapSpecs(inventory.attributes);
+    return mapped;
+}
+
+module.exports = {
+    MappingProfileRegistry,
+    applyProfile,
+    applyTransforms,
+    resolvePath,
+    PROFILE_FIELDS,
+    INVENTORY_FIELDS
+};
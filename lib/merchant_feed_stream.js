@@ -0,0 +1,110 @@
+/**
+ * Streaming Merchant Center Feed Reader
+ *
+ * Reads Google Merchant Center / Shopping feeds (RSS 2.0 <item> or Atom <entry>) one item at
+ * a time with a SAX parser, so feeds of any size are never held in memory.
+ *
+ * Each item becomes a plain object keyed by element name without its namespace prefix
+ * (<g:price> -> price). Repeated elements become arrays (additional_image_link, product_type)
+ * and elements with children become nested objects (<g:shipping>). An empty element with an
+ * href attribute (Atom <link href="..."/>) takes the href as its value.
+ */
+
+const { StringDecoder } = require('string_decoder');
+const sax = require('sax');
+
+/**
+ * Element name without namespace prefix: "g:price" -> "price"
+ */
+function localName(name) {
+    const separator = name.indexOf(':');
+    return separator === -1 ? name : name.substring(separator + 1);
+}
+
+function addValue(target, key, value) {
+    if (!Object.prototype.hasOwnProperty.call(target, key)) {
+        target[key] = value;
+    } else if (Array.isArray(target[key])) {
+        target[key].push(value);
+    } else {
+        target[key] = [target[key], value];
+    }
+}
+
+/**
+ * Yield feed items from a text stream
+ * @param {AsyncIterable<string|Buffer>} input - Feed contents
+ * @param {Object} options - { itemElements: element names that hold one product }
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readFeedItems(input, options = {}) {
+    const itemElements = new Set(options.itemElements || ['item', 'entry']);
+
+    // Loose mode: real-world feeds carry HTML entities (&nbsp;) and stray markup in descriptions
+    const parser = sax.parser(false, { lowercase: true, trim: false, normalize: false });
+
+    const ready = [];
+    let stack = null;           // Open elements inside the current item: { name, attributes, text, children }
+    let parseError = null;
+
+    parser.onopentag = node => {
+        if (stack) {
+            stack.push({ name: localName(node.name), attributes: node.attributes, text: '', children: null });
+        } else if (itemElements.has(localName(node.name))) {
+            stack = [{ name: localName(node.name), attributes: node.attributes, text: '', children: {} }];
+        }
+    };
+
+    parser.ontext = text => {
+        if (stack) stack[stack.length - 1].text += text;
+    };
+    parser.oncdata = parser.ontext;
+
+    parser.onclosetag = () => {
+        if (!stack) return;
+
+        const element = stack.pop();
+        if (stack.length === 0) {
+            ready.push(element.children);
+            stack = null;
+            return;
+        }
+
+        let value;
+        if (element.children) {
+            value = element.children;
+        } else {
+            value = element.text.trim();
+            if (!value && element.attributes.href) value = element.attributes.href;
+        }
+
+        const parent = stack[stack.length - 1];
+        parent.children = parent.children || {};
+        addValue(parent.children, element.name, value);
+    };
+
+    parser.onerror = error => {
+        parseError = error;
+    };
+
+    // Buffer chunks may end inside a multi-byte character; the decoder carries it over
+    const decoder = new StringDecoder('utf8');
+    for await (const chunk of input) {
+        parser.write(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+        if (parseError) throw new Error(`Invalid feed XML: ${parseError.message.split('\n')[0]} (line ${parser.line + 1})`);
+
+        while (ready.length > 0) yield ready.shift();
+    }
+
+    parser.write(decoder.end());
+    parser.close();
+    if (parseError) throw new Error(`Invalid feed XML: ${parseError.message.split('\n')[0]} (line ${parser.line + 1})`);
+    while (ready.length > 0) yield ready.shift();
+
+    if (stack) throw new Error(`Invalid feed XML: feed ended inside <${stack[0].name}> (truncated file?)`);
+}
+
+module.exports = {
+    readFeedItems,
+    localName
+};
@@ -0,0 +1,52 @@
+/**
+ * Async Iterator Pipeline Helpers
+ *
+ * Small building blocks for the parse -> convert -> embed -> write pipeline.
+ * Every helper pulls from its source on demand, so a slow consumer pauses the producer.
+ */
+
+/**
+ * Read the first item of an (async) iterable without losing it
+ * @returns {Promise<Object>} { first, empty, items } - items replays first, then the rest
+ */
+async function peek(iterable) {
+    const iterator = iterable[Symbol.asyncIterator] ?
+        iterable[Symbol.asyncIterator]() :
+        iterable[Symbol.iterator]();
+
+    const head = await iterator.next();
+
+    async function* replay() {
+        if (head.done) return;
+        yield head.value;
+        while (true) {
+            const next = await iterator.next();
+            if (next.done) return;
+            yield next.value;
+        }
+    }
+
+    return { first: head.done ? undefined : head.value, empty: Boolean(head.done), items: replay() };
+}
+
+/**
+ * Group an (async) iterable into arrays of up to `size` items
+ */
+async function* batches(iterable, size) {
+    let batch = [];
+    for await (const item of iterable) {
+        batch.push(item);
+        if (batch.length >= size) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length > 0) {
+        yield batch;
+    }
+}
+
+module.exports = {
+    peek,
+    batches
+};
@@ -0,0 +1,156 @@
+/**
+ * Price Parsing and Retail priceInfo
+ *
+ * Every converter builds priceInfo through buildPriceInfo, so price strings, currency codes
+ * and price windows are handled the same way whatever the source format.
+ */
+
+const { CONFIG } = require('../constants');
+
+// One number with optional ",", "." or space-before-three-digits separators: "1,299.99", "1 299,99"
+const NUMERIC_TOKEN = /-?\d(?:[,.]?\d|[ \u00a0]\d{3}(?!\d))*/g;
+
+/**
+ * Parse a price string with currency symbols and locale separators
+ * "$1,299.99" -> 1299.99, "1.299,99 €" -> 1299.99, "19,5" -> 19.5, "$10 - $20" -> 10,
+ * "1.000.000" -> 1000000, "€ 1.299" -> 1299.
+ * Strings with more than one number ("Was $20 Now $15", "3 for $10") are ambiguous -> undefined
+ * @param {string} currencyCode - Currency of the price when the string names none; decides whether
+ *   "1.299" is a decimal (USD) or dotted thousands (COMMERCE.DECIMAL_COMMA_CURRENCIES)
+ */
+function parsePrice(value, currencyCode = null) {
+    if (typeof value === 'number') return isFinite(value) ? value : undefined;
+    if (value === undefined || value === null) return undefined;
+
+    const currency = detectCurrency(value) || normalizeCurrencyCode(currencyCode);
+    const range = parsePriceRange(value, currency);
+    if (range) return range.min;
+
+    const tokens = String(value).match(NUMERIC_TOKEN) || [];
+    if (tokens.length !== 1) return undefined;
+
+    let text = tokens[0].replace(/[ \u00a0]/g, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+
+    if (lastComma > -1 && lastDot > -1) {
+        // Whichever separator comes last is the decimal separator
+        text = lastComma > lastDot ?
+            text.replace(/\./g, '').replace(',', '.') :
+            text.replace(/,/g, '');
+    } else if (lastComma > -1) {
+        // A lone comma followed by 1-2 digits is a decimal comma, otherwise thousands
+        text = /,\d{1,2}$/.test(text) ? text.replace(',', '.') : text.replace(/,/g, '');
+    } else if (lastDot > -1) {
+        // Several dots are thousands separators; so is one before three digits in a decimal-comma currency
+        const dottedThousands = text.indexOf('.') !== lastDot ||
+            (/^-?[1-9]\d{0,2}\.\d{3}$/.test(text) && CONFIG.COMMERCE.DECIMAL_COMMA_CURRENCIES.includes(currency));
+        if (dottedThousands) text = text.replace(/\./g, '');
+    }
+
+    const parsed = parseFloat(text);
+    return isNaN(parsed) ? undefined : parsed;
+}
+
+/**
+ * Parse a price range string: "$10 - $20" -> { min: 10, max: 20 }
+ * @param {string} currencyCode - Passed to parsePrice for each bound
+ * @returns {Object|undefined} undefined when the value is not a range
+ */
+function parsePriceRange(value, currencyCode = null) {
+    if (typeof value !== 'string') return undefined;
+
+    const match = value.match(CONFIG.COMMERCE.PRICE_RANGE_PATTERN);
+    if (!match || /^\s*-/.test(value)) return undefined;
+
+    const bounds = [match[1], match[2]].map(part => parsePrice(part.replace(/-/g, ''), currencyCode));
+    if (bounds.some(bound => bound === undefined)) return undefined;
+    return { min: Math.min(...bounds), max: Math.max(...bounds) };
+}
+
+/**
+ * ISO 4217 code in upper case, or null when the value is not an active currency code
+ */
+function normalizeCurrencyCode(code) {
+    if (code === undefined || code === null) return null;
+    const upper = String(code).trim().toUpperCase();
+    return CONFIG.COMMERCE.CURRENCY_CODES.includes(upper) ? upper : null;
+}
+
+/**
+ * Currency named in a price string: "19.99 USD" -> USD, "USD 19.99" -> USD, "€5" -> EUR, "19.99" -> null.
+ * A code only counts directly before or after the number, so "ALL SIZES 19.99" has no currency
+ */
+function detectCurrency(value) {
+    if (typeof value !== 'string') return null;
+
+    const upper = value.toUpperCase();
+    const match = upper.match(/^\s*([A-Z]{3})\s*-?\d/) || upper.match(/\d\s*([A-Z]{3})\s*$/);
+    const code = match ? normalizeCurrencyCode(match[1]) : null;
+    if (code) return code;
+
+    // Longest symbols first so "R$" wins over "$"
+    const symbols = Object.keys(CONFIG.COMMERCE.CURRENCY_SYMBOLS).sort((a, b) => b.length - a.length);
+    const symbol = symbols.find(candidate => value.toUpperCase().includes(candidate.toUpperCase()));
+    return symbol ? CONFIG.COMMERCE.CURRENCY_SYMBOLS[symbol] : null;
+}
+
+/**
+ * RFC 3339 timestamp for a date/time value, or undefined when it cannot be parsed
+ */
+function normalizeTimestamp(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    const date = value instanceof Date ? value : new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value);
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Build a Retail priceInfo object
+ * @param {Object} fields - { price, originalPrice, cost, currencyCode, priceEffectiveTime, priceExpireTime };
+ *   prices may be numbers or strings ("19.99 USD", "€5", "$10 - $20")
+ * @param {string} defaultCurrency - Used when neither currencyCode nor the price strings name a currency
+ * @returns {Object|null} null when there is no usable price
+ */
+function buildPriceInfo(fields, defaultCurrency = null) {
+    const currencyCode = normalizeCurrencyCode(fields.currencyCode) ||
+        detectCurrency(fields.price) ||
+        detectCurrency(fields.originalPrice) ||
+        normalizeCurrencyCode(defaultCurrency) ||
+        CONFIG.COMMERCE.CURRENCY_CODE;
+
+    const price = parsePrice(fields.price, currencyCode);
+    if (price === undefined || price < 0) return null;
+
+    const priceInfo = { currencyCode, price };
+
+    // Retail rejects an original price below the selling price; an equal one carries no discount
+    const originalPrice = parsePrice(fields.originalPrice, currencyCode);
+    if (originalPrice !== undefined && originalPrice > price) {
+        priceInfo.originalPrice = originalPrice;
+    }
+
+    const cost = parsePrice(fields.cost, currencyCode);
+    if (cost !== undefined && cost >= 0) {
+        priceInfo.cost = cost;
+    }
+
+    // A price window is only kept when it is well-formed
+    const effective = normalizeTimestamp(fields.priceEffectiveTime);
+    const expire = normalizeTimestamp(fields.priceExpireTime);
+    if (!(effective && expire && effective >= expire)) {
+        if (effective) priceInfo.priceEffectiveTime = effective;
+        if (expire) priceInfo.priceExpireTime = expire;
+    }
+
+    return priceInfo;
+}
+
+module.exports = {
+    parsePrice,
+    parsePriceRange,
+    normalizeCurrencyCode,
+    detectCurrency,
+    normalizeTimestamp,
+    buildPriceInfo
+};
@@ -0,0 +1,138 @@
+/**
+ * HTTP Embedding Provider
+ * Calls a remote embedding endpoint using only Node core modules.
+ *
+ * Request body:  { "input": ["text", ...], "model": "<MODEL>" }
+ * Accepted responses:
+ *   - OpenAI style:  { "data": [{ "embedding": [...] }, ...] }
+ *   - Plain:         { "embeddings": [[...], ...] }
+ *   - Vertex style:  { "predictions": [{ "embeddings": { "values": [...] } }, ...] }
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+class HttpEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'http';
+        this.endpoint = options.ENDPOINT;
+        this.model = options.MODEL || '';
+        this.apiKey = options.API_KEY_ENV ? process.env[options.API_KEY_ENV] : null;
+        this.headers = options.HEADERS || {};
+        this.timeoutMs = options.TIMEOUT_MS || 30000;
+        this.dimension = null;
+    }
+
+    /**
+     * Probe the endpoint once to learn the output dimension
+     */
+    async initialize() {
+        if (!this.endpoint) {
+            throw new Error('HTTP embedding provider requires EMBEDDINGS.PROVIDER.HTTP.ENDPOINT');
+        }
+
+        const [probe] = await this.embed(['dimension probe']);
+        this.dimension = probe.length;
+        return this.dimension;
+    }
+
+    /**
+     * Embed a list of texts
+     * @param {string[]} texts - Texts to embed
+     * @param {Object} options - { signal } destroys the request when aborted
+     * @returns {Promise<number[][]>} One vector per text, in input order
+     */
+    async embed(texts, options = {}) {
+        const body = { input: texts };
+        if (this.model) body.model = this.model;
+
+        const response = await this.postJSON(body, options.signal);
+        const vectors = this.extractVectors(response);
+
+        if (vectors.length !== texts.length) {
+            throw new Error(`Embedding endpoint returned ${vectors.length} vectors for ${texts.length} texts`);
+        }
+
+        return vectors;
+    }
+
+    /**
+     * Normalize the supported response shapes to an array of vectors
+     */
+    extractVectors(response) {
+        if (response && Array.isArray(response.data)) {
+            // OpenAI responses carry an index; sort to be safe
+            return response.data
+                .slice()
+                .sort((a, b) => (a.index || 0) - (b.index || 0))
+                .map(item => item.embedding);
+        }
+        if (response && Array.isArray(response.embeddings)) {
+            return response.embeddings;
+        }
+        if (response && Array.isArray(response.predictions)) {
+            return response.predictions.map(p => (p.embeddings && p.embeddings.values) || p.values);
+        }
+        throw new Error('Unrecognized embedding response format');
+    }
+
+    /**
+     * POST a JSON body and parse the JSON response
+     * @param {AbortSignal} signal - Optional; destroys the request when aborted
+     */
+    postJSON(body, signal = null) {
+        const url = new URL(this.endpoint);
+        const transport = url.protocol === 'https:' ? https : http;
+        const payload = JSON.stringify(body);
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload),
+            ...this.headers
+        };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason || new Error('Embedding request aborted'));
+                return;
+            }
+
+            const request = transport.request(url, { method: 'POST', headers }, (response) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    if (response.statusCode < 200 || response.statusCode >= 300) {
+                        reject(new Error(`Embedding endpoint responded ${response.statusCode}: ${text.substring(0, 200)}`));
+                        return;
+                    }
+                    try {
+                        resolve(JSON.parse(text));
+                    } catch (error) {
+                        reject(new Error(`Invalid JSON from embedding endpoint: ${error.message}`));
+                    }
+                });
+            });
+
+            request.setTimeout(this.timeoutMs, () => {
+                request.destroy(new Error(`Embedding request timed out after ${this.timeoutMs}ms`));
+            });
+            if (signal) {
+                const onAbort = () => request.destroy(signal.reason || new Error('Embedding request aborted'));
+                signal.addEventListener('abort', onAbort, { once: true });
+                request.on('close', () => signal.removeEventListener('abort', onAbort));
+            }
+            request.on('error', reject);
+            request.write(payload);
+            request.end();
+        });
+    }
+}
+
+module.exports = {
+    HttpEmbeddingProvider
+};
@@ -0,0 +1,43 @@
+/**
+ * Embedding Provider Factory
+ * Selects the dense embedding backend configured in constants/embeddings.js
+ *
+ * Every provider exposes:
+ *   - name               Provider identifier
+ *   - initialize()       Async setup; resolves to the actual output dimension
+ *   - embed(texts, opts) Async; resolves to one vector per text, in input order.
+ *                        opts.signal (AbortSignal) cancels the request when aborted
+ */
+
+const { MockEmbeddingProvider } = require('./mock_provider');
+const { HttpEmbeddingProvider } = require('./http_provider');
+const { LocalModelEmbeddingProvider } = require('./local_model_provider');
+
+const PROVIDERS = {
+    mock: (embeddingConfig) => new MockEmbeddingProvider({ dimension: embeddingConfig.DENSE_DIM }),
+    local: (embeddingConfig) => new LocalModelEmbeddingProvider(embeddingConfig.PROVIDER.LOCAL),
+    http: (embeddingConfig) => new HttpEmbeddingProvider(embeddingConfig.PROVIDER.HTTP)
+};
+
+/**
+ * Create the provider named by EMBEDDINGS.PROVIDER.TYPE
+ * @param {Object} embeddingConfig - CONFIG.EMBEDDINGS
+ * @returns {Object} Uninitialized provider instance
+ */
+function createEmbeddingProvider(embeddingConfig) {
+    const type = (embeddingConfig.PROVIDER && embeddingConfig.PROVIDER.TYPE) || 'mock';
+    const factory = PROVIDERS[type];
+
+    if (!factory) {
+        throw new Error(`Unknown embedding provider "${type}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return factory(embeddingConfig);
+}
+
+module.exports = {
+    createEmbeddingProvider,
+    MockEmbeddingProvider,
+    HttpEmbeddingProvider,
+    LocalModelEmbeddingProvider
+};
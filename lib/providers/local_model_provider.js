@@ -0,0 +1,100 @@
+/**
+ * Local Model Embedding Provider
+ * Runs a sentence-transformer ONNX model from disk via transformers.js.
+ *
+ * Note: Install one of these packages to use this provider:
+ * npm install @huggingface/transformers   (or the older @xenova/transformers)
+ * Remote model downloads are disabled - place the model under MODEL_PATH/MODEL_NAME.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TRANSFORMERS_PACKAGES = ['@huggingface/transformers', '@xenova/transformers'];
+// A relative MODEL_PATH is resolved against the repository root, like PATHS.PROFILES_DIR
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+
+class LocalModelEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.modelPath = path.resolve(REPO_ROOT, options.MODEL_PATH || './models');
+        this.modelName = options.MODEL_NAME;
+        this.pooling = options.POOLING || 'mean';
+        this.normalize = options.NORMALIZE !== false;
+        this.quantized = options.QUANTIZED !== false;
+        this.transformersPackage = null;
+        this.extractor = null;
+        this.dimension = null;
+    }
+
+    /**
+     * Load transformers.js (ESM-only in recent versions, hence dynamic import)
+     * and remember which package was found in transformersPackage
+     */
+    async loadTransformers() {
+        for (const packageName of TRANSFORMERS_PACKAGES) {
+            try {
+                const transformers = await import(packageName);
+                this.transformersPackage = packageName;
+                return transformers;
+            } catch (error) {
+                // Try the next package name
+            }
+        }
+        throw new Error(`Local embedding provider requires one of: ${TRANSFORMERS_PACKAGES.join(', ')}`);
+    }
+
+    /**
+     * Load the model from disk and probe its output dimension
+     */
+    async initialize() {
+        const modelDir = path.join(this.modelPath, this.modelName || '');
+        if (!this.modelName || !fs.existsSync(modelDir)) {
+            throw new Error(`Local embedding model not found: ${modelDir}`);
+        }
+
+        const transformers = await this.loadTransformers();
+        transformers.env.localModelPath = this.modelPath;
+        transformers.env.allowRemoteModels = false;
+
+        // @huggingface/transformers (v3) ignores `quantized` and picks the weights by dtype
+        const weights = this.transformersPackage === '@huggingface/transformers' ?
+            { dtype: this.quantized ? 'q8' : 'fp32' } :
+            { quantized: this.quantized };
+
+        this.extractor = await transformers.pipeline('feature-extraction', this.modelName, {
+            ...weights,
+            local_files_only: true
+        });
+
+        const [probe] = await this.embed(['dimension probe']);
+        this.dimension = probe.length;
+        return this.dimension;
+    }
+
+    /**
+     * Embed a list of texts
+     * @param {string[]} texts - Texts to embed
+     * @param {Object} options - { signal } skips the run if already aborted (inference cannot be interrupted)
+     * @returns {Promise<number[][]>} One vector per text, in input order
+     */
+    async embed(texts, options = {}) {
+        if (!this.extractor) {
+            throw new Error('Local embedding provider used before initialize()');
+        }
+        if (options.signal && options.signal.aborted) {
+            throw options.signal.reason || new Error('Embedding request aborted');
+        }
+
+        const output = await this.extractor(texts, {
+            pooling: this.pooling,
+            normalize: this.normalize
+        });
+
+        return output.tolist();
+    }
+}
+
+module.exports = {
+    LocalModelEmbeddingProvider
+};
@@ -0,0 +1,63 @@
+/**
+ * Mock Embedding Provider
+ * Deterministic hash-based vectors with no semantic meaning.
+ * Useful for development, pipeline testing and reproducible output.
+ */
+
+class MockEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.dimension = options.dimension;
+    }
+
+    /**
+     * Nothing to load - the dimension is whatever is configured
+     */
+    async initialize() {
+        return this.dimension;
+    }
+
+    /**
+     * Generate deterministic hash from string
+     */
+    hashString(str) {
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            const char = str.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash;
+        }
+        return Math.abs(hash);
+    }
+
+    /**
+     * Generate a single L2-normalized vector from text
+     */
+    embedText(text) {
+        const hash = this.hashString(text);
+        const embedding = [];
+
+        for (let i = 0; i < this.dimension; i++) {
+            const seed = hash + i;
+            const value = (Math.sin(seed) * 10000) % 1;
+            embedding.push(parseFloat(value.toFixed(6)));
+        }
+
+        // L2 normalization
+        const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
+        return embedding.map(val => val / magnitude);
+    }
+
+    /**
+     * Embed a list of texts
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} One vector per text, in input order
+     */
+    async embed(texts) {
+        return texts.map(text => this.embedText(text));
+    }
+}
+
+module.exports = {
+    MockEmbeddingProvider
+};
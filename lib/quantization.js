@@ -0,0 +1,358 @@
+/**
+ * Dense Vector Quantization
+ *
+ * Stores a matrix of dense vectors (Float32Array, one row per product) in fewer bytes:
+ *   float16 - IEEE half precision, 2 bytes per value
+ *   int8    - symmetric scalar quantization per vector: value = code * scale, scale = max |value| / 127
+ *   pq      - product quantization: each vector is cut into subvectors and every subvector is
+ *             replaced by the index of its nearest k-means centroid (one byte per subvector)
+ * Every method can decode back to float32 so recall can be measured against the original vectors.
+ * Arrays are written as .npy (NumPy format 1.0) or headerless little-endian binary. See QUANTIZATION.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../constants');
+
+// NumPy dtype descriptors of the typed arrays written here
+const NPY_DTYPES = {
+    float32: '<f4',
+    float16: '<f2',
+    int8: '|i1',
+    uint8: '|u1'
+};
+
+const NPY_MAGIC = Buffer.from([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 0x01, 0x00]); // \x93NUMPY v1.0
+const NPY_ALIGNMENT = 64;
+
+const floatView = new Float32Array(1);
+const bitsView = new Uint32Array(floatView.buffer);
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * `count` distinct indices below `total`, in ascending order
+ */
+function sampleIndices(total, count, random) {
+    if (count >= total) return Array.from({ length: total }, (value, index) => index);
+
+    const chosen = new Set();
+    while (chosen.size < count) {
+        chosen.add(Math.floor(random() * total));
+    }
+    return Array.from(chosen).sort((a, b) => a - b);
+}
+
+/**
+ * Half-precision bits of a number, rounded to nearest even
+ */
+function float32ToFloat16(value) {
+    floatView[0] = value;
+    const bits = bitsView[0];
+    const sign = (bits >>> 16) & 0x8000;
+    const exponent = (bits >>> 23) & 0xff;
+    const mantissa = bits & 0x7fffff;
+
+    if (exponent === 0xff) return sign | 0x7c00 | (mantissa ? 0x200 : 0);  // Infinity / NaN
+
+    const halfExponent = exponent - 127 + 15;
+    if (halfExponent >= 0x1f) return sign | 0x7c00;                         // Overflow to infinity
+
+    let half;
+    let remainder;
+    let halfway;
+    if (halfExponent <= 0) {
+        if (halfExponent < -10) return sign;                                // Underflow to zero
+        // Subnormal: shift the mantissa (with its implicit bit) into place
+        const shift = 14 - halfExponent;
+        const fullMantissa = mantissa | 0x800000;
+        half = sign | (fullMantissa >>> shift);
+        remainder = fullMantissa & ((1 << shift) - 1);
+        halfway = 1 << (shift - 1);
+    } else {
+        half = sign | (halfExponent << 10) | (mantissa >>> 13);
+        remainder = mantissa & 0x1fff;
+        halfway = 0x1000;
+    }
+
+    // A carry out of the mantissa correctly bumps the exponent
+    if (remainder > halfway || (remainder === halfway && (half & 1))) half++;
+    return half;
+}
+
+/**
+ * Value of half-precision bits
+ */
+function float16ToFloat32(half) {
+    const sign = half & 0x8000 ? -1 : 1;
+    const exponent = (half >>> 10) & 0x1f;
+    const mantissa = half & 0x3ff;
+
+    if (exponent === 0) return sign * mantissa * Math.pow(2, -24);
+    if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+    return sign * (1 + mantissa / 1024) * Math.pow(2, exponent - 15);
+}
+
+/**
+ * float16 bits of every value
+ * @returns {Uint16Array}
+ */
+function quantizeFloat16(matrix) {
+    const halves = new Uint16Array(matrix.length);
+    for (let i = 0; i < matrix.length; i++) {
+        halves[i] = float32ToFloat16(matrix[i]);
+    }
+    return halves;
+}
+
+/**
+ * @returns {Float32Array}
+ */
+function dequantizeFloat16(halves) {
+    const matrix = new Float32Array(halves.length);
+    for (let i = 0; i < halves.length; i++) {
+        matrix[i] = float16ToFloat32(halves[i]);
+    }
+    return matrix;
+}
+
+/**
+ * Scalar int8 codes with one scale per vector; all-zero vectors get scale 0
+ * @returns {Object} { codes: Int8Array, scales: Float32Array }
+ */
+function quantizeInt8(matrix, dimension) {
+    const count = matrix.length / dimension;
+    const codes = new Int8Array(matrix.length);
+    const scales = new Float32Array(count);
+
+    for (let row = 0; row < count; row++) {
+        const start = row * dimension;
+        let maxAbs = 0;
+        for (let i = start; i < start + dimension; i++) {
+            maxAbs = Math.max(maxAbs, Math.abs(matrix[i]));
+        }
+        if (maxAbs === 0) continue;
+
+        scales[row] = maxAbs / 127;
+        for (let i = start; i < start + dimension; i++) {
+            codes[i] = Math.max(-127, Math.min(127, Math.round(matrix[i] / scales[row])));
+        }
+    }
+    return { codes, scales };
+}
+
+/**
+ * @returns {Float32Array}
+ */
+function dequantizeInt8(codes, scales, dimension) {
+    const matrix = new Float32Array(codes.length);
+    for (let i = 0; i < codes.length; i++) {
+        matrix[i] = codes[i] * scales[Math.floor(i / dimension)];
+    }
+    return matrix;
+}
+
+class ProductQuantizer {
+    /**
+     * @param {number} dimension - Vector dimension
+     * @param {Object} options - { subvectors, centroids, iterations, seed }, defaults from QUANTIZATION.PQ
+     * @throws When subvectors does not divide the dimension or centroids is outside 1..256
+     */
+    constructor(dimension, options = {}) {
+        this.dimension = dimension;
+        this.subvectors = options.subvectors || CONFIG.QUANTIZATION.PQ.SUBVECTORS;
+        this.centroids = options.centroids || CONFIG.QUANTIZATION.PQ.CENTROIDS;
+        this.iterations = options.iterations || CONFIG.QUANTIZATION.PQ.ITERATIONS;
+        this.random = createRandom(options.seed !== undefined ? options.seed : CONFIG.QUANTIZATION.SEED);
+
+        if (!Number.isInteger(this.subvectors) || this.subvectors < 1 || dimension % this.subvectors !== 0) {
+            throw new Error(`PQ subvectors (${this.subvectors}) must divide the vector dimension (${dimension})`);
+        }
+        if (!Number.isInteger(this.centroids) || this.centroids < 1 || this.centroids > 256) {
+            throw new Error(`PQ centroids (${this.centroids}) must be between 1 and 256`);
+        }
+        this.subDimension = dimension / this.subvectors;
+        this.codebooks = null;  // Float32Array [subvectors][centroids][subDimension]
+    }
+
+    /**
+     * Train one k-means codebook per subvector
+     * Fewer training vectors than centroids shrink the codebooks to the number of vectors.
+     * @param {Float32Array} matrix - Training vectors, one row each
+     */
+    train(matrix) {
+        const count = matrix.length / this.dimension;
+        if (count === 0) throw new Error('PQ training needs at least one vector');
+
+        this.centroids = Math.min(this.centroids, count);
+        this.codebooks = new Float32Array(this.subvectors * this.centroids * this.subDimension);
+        const assignments = new Int32Array(count);
+
+        for (let sub = 0; sub < this.subvectors; sub++) {
+            const codebook = this.codebooks.subarray(
+                sub * this.centroids * this.subDimension, (sub + 1) * this.centroids * this.subDimension
+            );
+            const offset = sub * this.subDimension;
+
+            // Start from distinct training vectors
+            sampleIndices(count, this.centroids, this.random).forEach((row, centroid) => {
+                codebook.set(matrix.subarray(row * this.dimension + offset, row * this.dimension + offset + this.subDimension),
+                    centroid * this.subDimension);
+            });
+
+            for (let iteration = 0; iteration < this.iterations; iteration++) {
+                let changed = 0;
+                for (let row = 0; row < count; row++) {
+                    const nearest = this.nearestCentroid(codebook, matrix, row * this.dimension + offset);
+                    if (nearest !== assignments[row] || iteration === 0) changed++;
+                    assignments[row] = nearest;
+                }
+                if (changed === 0) break;
+                this.updateCentroids(codebook, matrix, offset, assignments, count);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Move each centroid to the mean of its vectors; an empty cluster restarts at a random vector
+     */
+    updateCentroids(codebook, matrix, offset, assignments, count) {
+        const sums = new Float64Array(codebook.length);
+        const sizes = new Int32Array(this.centroids);
+        for (let row = 0; row < count; row++) {
+            const centroid = assignments[row];
+            sizes[centroid]++;
+            for (let i = 0; i < this.subDimension; i++) {
+                sums[centroid * this.subDimension + i] += matrix[row * this.dimension + offset + i];
+            }
+        }
+
+        for (let centroid = 0; centroid < this.centroids; centroid++) {
+            const start = centroid * this.subDimension;
+            if (sizes[centroid] === 0) {
+                const row = Math.floor(this.random() * count);
+                codebook.set(matrix.subarray(row * this.dimension + offset, row * this.dimension + offset + this.subDimension), start);
+                continue;
+            }
+            for (let i = 0; i < this.subDimension; i++) {
+                codebook[start + i] = sums[start + i] / sizes[centroid];
+            }
+        }
+    }
+
+    /**
+     * Index of the centroid closest (squared L2) to the subvector starting at matrix[start]
+     */
+    nearestCentroid(codebook, matrix, start) {
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let centroid = 0; centroid < this.centroids; centroid++) {
+            let distance = 0;
+            const base = centroid * this.subDimension;
+            for (let i = 0; i < this.subDimension && distance < bestDistance; i++) {
+                const difference = matrix[start + i] - codebook[base + i];
+                distance += difference * difference;
+            }
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = centroid;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * PQ codes of every vector, one byte per subvector
+     * @returns {Uint8Array}
+     */
+    encode(matrix) {
+        if (!this.codebooks) throw new Error('Train the product quantizer before encoding');
+
+        const count = matrix.length / this.dimension;
+        const codes = new Uint8Array(count * this.subvectors);
+        for (let sub = 0; sub < this.subvectors; sub++) {
+            const codebook = this.codebooks.subarray(
+                sub * this.centroids * this.subDimension, (sub + 1) * this.centroids * this.subDimension
+            );
+            for (let row = 0; row < count; row++) {
+                codes[row * this.subvectors + sub] = this.nearestCentroid(codebook, matrix, row * this.dimension + sub * this.subDimension);
+            }
+        }
+        return codes;
+    }
+
+    /**
+     * Vectors rebuilt from their codes (concatenated centroids)
+     * @returns {Float32Array}
+     */
+    decode(codes) {
+        const count = codes.length / this.subvectors;
+        const matrix = new Float32Array(count * this.dimension);
+        for (let row = 0; row < count; row++) {
+            for (let sub = 0; sub < this.subvectors; sub++) {
+                const start = (sub * this.centroids + codes[row * this.subvectors + sub]) * this.subDimension;
+                matrix.set(this.codebooks.subarray(start, start + this.subDimension), row * this.dimension + sub * this.subDimension);
+            }
+        }
+        return matrix;
+    }
+}
+
+/**
+ * Write a typed array as .npy (NumPy format 1.0, C order) or as headerless little-endian binary
+ * @param {string} dtype - Key of NPY_DTYPES
+ * @param {number[]} shape - Array shape, e.g. [count, dimension]
+ * @param {string} format - 'npy' | 'raw'
+ * @returns {number} Bytes written
+ */
+function writeArray(filePath, array, dtype, shape, format = 'npy') {
+    if (!NPY_DTYPES[dtype]) {
+        throw new Error(`Unknown dtype "${dtype}". Expected one of: ${Object.keys(NPY_DTYPES).join(', ')}`);
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    // Typed arrays use the platform byte order, which is little-endian on every supported platform
+    const data = Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+    if (format === 'raw') {
+        fs.writeFileSync(filePath, data);
+        return data.length;
+    }
+
+    const shapeText = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+    let header = `{'descr': '${NPY_DTYPES[dtype]}', 'fortran_order': False, 'shape': ${shapeText}, }`;
+    // Pad with spaces so the data starts on an aligned offset; the header ends with a newline
+    const headerLength = NPY_MAGIC.length + 2 + header.length + 1;
+    header += ' '.repeat((NPY_ALIGNMENT - (headerLength % NPY_ALIGNMENT)) % NPY_ALIGNMENT) + '\n';
+
+    const length = Buffer.alloc(2);
+    length.writeUInt16LE(header.length);
+    const output = Buffer.concat([NPY_MAGIC, length, Buffer.from(header, 'latin1'), data]);
+    fs.writeFileSync(filePath, output);
+    return output.length;
+}
+
+module.exports = {
+    ProductQuantizer,
+    createRandom,
+    sampleIndices,
+    float32ToFloat16,
+    float16ToFloat32,
+    quantizeFloat16,
+    dequantizeFloat16,
+    quantizeInt8,
+    dequantizeInt8,
+    writeArray
+};
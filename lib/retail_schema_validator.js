@@ -0,0 +1,459 @@
+/**
+ * Retail Product Schema Validator
+ *
+ * Checks converted products against the Google Retail API Product resource limits
+ * (see constants/validation.js) and optionally repairs them before they are written.
+ */
+
+const { CONFIG } = require('../constants');
+const { normalizeTimestamp } = require('./price');
+
+/**
+ * A single schema violation
+ * @typedef {Object} Violation
+ * @property {string} field - Product path, e.g. "attributes.color.text"
+ * @property {string} rule - Rule name, e.g. "max_length"
+ * @property {string} message - Human readable description
+ * @property {boolean} repaired - Whether repair mode fixed it
+ */
+
+class RetailSchemaValidator {
+    constructor(rules = CONFIG.VALIDATION.RULES) {
+        this.rules = rules;
+    }
+
+    /**
+     * Report violations without changing the product
+     * @returns {Violation[]}
+     */
+    validate(product) {
+        return this.inspect(product, false);
+    }
+
+    /**
+     * Repair a copy of the product
+     * @returns {Object} { product, violations } - violations with repaired=false could not be fixed
+     */
+    repair(product) {
+        const copy = JSON.parse(JSON.stringify(product));
+        const violations = this.inspect(copy, true);
+        return { product: copy, violations };
+    }
+
+    /**
+     * Validate a product according to a mode ('fail' | 'skip' | 'repair' | 'off')
+     * @returns {Object} { product, violations, status: 'valid' | 'repaired' | 'invalid' }
+     *   product is null when the product must not be written
+     */
+    check(product, mode) {
+        if (mode === 'off') {
+            return { product, violations: [], status: 'valid' };
+        }
+
+        if (mode === 'repair') {
+            const result = this.repair(product);
+            if (result.violations.length === 0) {
+                return { product, violations: [], status: 'valid' };
+            }
+            const unrepaired = result.violations.some(violation => !violation.repaired);
+            return {
+                product: unrepaired ? null : result.product,
+                violations: result.violations,
+                status: unrepaired ? 'invalid' : 'repaired'
+            };
+        }
+
+        const violations = this.validate(product);
+        return {
+            product: violations.length === 0 ? product : null,
+            violations,
+            status: violations.length === 0 ? 'valid' : 'invalid'
+        };
+    }
+
+    /**
+     * Walk every rule; in repair mode fixes are applied to the product in place
+     */
+    inspect(product, repair) {
+        const violations = [];
+        const report = (field, rule, message, fix = null) => {
+            const repaired = Boolean(repair && fix);
+            if (repaired) fix();
+            violations.push({ field, rule, message, repaired });
+        };
+
+        if (!product || typeof product !== 'object') {
+            report('product', 'type', 'Product must be an object');
+            return violations;
+        }
+
+        this.checkId(product, report);
+        this.checkProductType(product, report);
+        this.checkText(product, 'title', this.rules.TITLE_MAX_LENGTH, true, report);
+        this.checkText(product, 'description', this.rules.DESCRIPTION_MAX_LENGTH, false, report);
+        this.checkUri(product, report);
+        this.checkStringList(product, 'categories', this.rules.MAX_CATEGORIES, this.rules.CATEGORY_MAX_LENGTH, report);
+        this.checkStringList(product, 'brands', this.rules.MAX_BRANDS, this.rules.BRAND_MAX_LENGTH, report);
+        this.checkAvailability(product, report);
+        this.checkPriceInfo(product, report);
+        this.checkFulfillmentInfo(product, report);
+        this.checkAttributes(product, report);
+
+        return violations;
+    }
+
+    checkId(product, report) {
+        if (product.id === undefined || product.id === null || product.id === '') {
+            report('id', 'required', 'Product id is required');
+            return;
+        }
+
+        if (typeof product.id !== 'string') {
+            report('id', 'type', 'Product id must be a string', () => { product.id = String(product.id); });
+        }
+
+        const id = String(product.id);
+        if (!this.rules.ID_PATTERN.test(id)) {
+            report('id', 'charset', `Product id "${id}" contains unsupported characters`, () => {
+                product.id = String(product.id).replace(this.rules.ID_INVALID_CHARS, '_');
+            });
+        }
+        if (id.length > this.rules.ID_MAX_LENGTH) {
+            report('id', 'max_length', `Product id is ${id.length} characters (max ${this.rules.ID_MAX_LENGTH})`, () => {
+                product.id = String(product.id).substring(0, this.rules.ID_MAX_LENGTH);
+            });
+        }
+    }
+
+    /**
+     * type, primaryProductId and collectionMemberIds; referenced ids are repaired the same
+     * way as product ids so they keep pointing at the repaired products
+     */
+    checkProductType(product, report) {
+        if (product.type !== undefined && !this.rules.PRODUCT_TYPES.includes(product.type)) {
+            // Retail treats a missing type as PRIMARY
+            report('type', 'enum', `type "${product.type}" is not one of ${this.rules.PRODUCT_TYPES.join(', ')}`, () => {
+                delete product.type;
+            });
+        }
+        const type = this.rules.PRODUCT_TYPES.includes(product.type) ? product.type : 'PRIMARY';
+
+        if (product.primaryProductId === undefined || product.primaryProductId === '') {
+            if (type === 'VARIANT') report('primaryProductId', 'required', 'VARIANT products need a primaryProductId');
+        } else {
+            this.checkReferencedId(product, 'primaryProductId', report);
+            if (type !== 'VARIANT' && String(product.primaryProductId) !== String(product.id)) {
+                report('primaryProductId', 'not_variant', `Only VARIANT products may reference another product (type ${type})`, () => {
+                    delete product.primaryProductId;
+                });
+            }
+        }
+
+        const members = product.collectionMemberIds;
+        if (members === undefined) return;
+
+        if (type !== 'COLLECTION') {
+            report('collectionMemberIds', 'not_collection', `collectionMemberIds is only allowed on COLLECTION products (type ${type})`, () => {
+                delete product.collectionMemberIds;
+            });
+            return;
+        }
+        if (!Array.isArray(members)) {
+            report('collectionMemberIds', 'type', 'collectionMemberIds must be an array of ids', () => {
+                product.collectionMemberIds = [String(members)];
+            });
+            return;
+        }
+        if (members.length > this.rules.MAX_COLLECTION_MEMBERS) {
+            report('collectionMemberIds', 'max_items', `collectionMemberIds has ${members.length} values (max ${this.rules.MAX_COLLECTION_MEMBERS})`, () => {
+                product.collectionMemberIds = product.collectionMemberIds.slice(0, this.rules.MAX_COLLECTION_MEMBERS);
+            });
+        }
+        product.collectionMemberIds.forEach((member, index) => this.checkReferencedId(product.collectionMemberIds, index, report, `collectionMemberIds[${index}]`));
+    }
+
+    /**
+     * A field holding another product's id: same charset and length rules as checkId
+     */
+    checkReferencedId(container, key, report, field = key) {
+        const id = String(container[key]);
+        if (!this.rules.ID_PATTERN.test(id) || id.length > this.rules.ID_MAX_LENGTH) {
+            report(field, 'id_format', `${field} "${id}" is not a valid product id`, () => {
+                container[key] = id.replace(this.rules.ID_INVALID_CHARS, '_').substring(0, this.rules.ID_MAX_LENGTH);
+            });
+        }
+    }
+
+    checkText(product, field, maxLength, required, report) {
+        const value = product[field];
+        if (value === undefined || value === null || value === '') {
+            if (required) report(field, 'required', `${field} is required`);
+            return;
+        }
+
+        if (typeof value !== 'string') {
+            report(field, 'type', `${field} must be a string`, () => { product[field] = String(product[field]); });
+        }
+        if (String(value).length > maxLength) {
+            report(field, 'max_length', `${field} is ${String(value).length} characters (max ${maxLength})`, () => {
+                product[field] = String(product[field]).substring(0, maxLength);
+            });
+        }
+    }
+
+    checkUri(product, report) {
+        if (product.uri && String(product.uri).length > this.rules.URI_MAX_LENGTH) {
+            report('uri', 'max_length', `uri is ${String(product.uri).length} characters (max ${this.rules.URI_MAX_LENGTH})`, () => {
+                delete product.uri;
+            });
+        }
+    }
+
+    checkStringList(product, field, maxItems, maxLength, report) {
+        const values = product[field];
+        if (values === undefined) return;
+
+        if (!Array.isArray(values)) {
+            report(field, 'type', `${field} must be an array of strings`, () => { product[field] = [String(values)]; });
+            return;
+        }
+        if (values.length > maxItems) {
+            report(field, 'max_items', `${field} has ${values.length} values (max ${maxItems})`, () => {
+                product[field] = product[field].slice(0, maxItems);
+            });
+        }
+        values.forEach((value, index) => {
+            if (String(value).length > maxLength) {
+                report(`${field}[${index}]`, 'max_length', `${field} value is ${String(value).length} characters (max ${maxLength})`, () => {
+                    product[field][index] = String(product[field][index]).substring(0, maxLength);
+                });
+            }
+        });
+    }
+
+    checkAvailability(product, report) {
+        if (product.availability === undefined) return;
+        if (this.rules.AVAILABILITY_VALUES.includes(product.availability)) return;
+
+        const normalized = String(product.availability).trim().toUpperCase().replace(/[\s-]+/g, '_');
+        report('availability', 'enum', `availability "${product.availability}" is not one of ${this.rules.AVAILABILITY_VALUES.join(', ')}`, () => {
+            // Retail treats a missing availability as IN_STOCK
+            if (this.rules.AVAILABILITY_VALUES.includes(normalized)) {
+                product.availability = normalized;
+            } else {
+                delete product.availability;
+            }
+        });
+    }
+
+    checkPriceInfo(product, report) {
+        const priceInfo = product.priceInfo;
+        if (priceInfo === undefined) return;
+
+        if (!priceInfo || typeof priceInfo !== 'object') {
+            report('priceInfo', 'type', 'priceInfo must be an object');
+            return;
+        }
+
+        const currencyCode = String(priceInfo.currencyCode || '');
+        if (!this.rules.CURRENCY_CODES.includes(currencyCode)) {
+            const upper = currencyCode.trim().toUpperCase();
+            const fix = this.rules.CURRENCY_CODES.includes(upper) ? () => { priceInfo.currencyCode = upper; } : null;
+            report('priceInfo.currencyCode', 'format', `currencyCode "${currencyCode}" must be an ISO 4217 code`, fix);
+        }
+
+        ['price', 'originalPrice', 'cost'].forEach(field => {
+            if (priceInfo[field] === undefined) return;
+
+            const value = priceInfo[field];
+            const parsed = typeof value === 'number' ? value : parseFloat(value);
+            if (!isFinite(parsed) || parsed < 0) {
+                // An unusable optional price can be dropped; the selling price cannot
+                const fix = field === 'price' ? null : () => { delete priceInfo[field]; };
+                report(`priceInfo.${field}`, 'type', `${field} must be a non-negative number`, fix);
+            } else if (typeof value !== 'number') {
+                report(`priceInfo.${field}`, 'type', `${field} must be a number`, () => { priceInfo[field] = parsed; });
+            }
+        });
+
+        if (typeof priceInfo.originalPrice === 'number' && typeof priceInfo.price === 'number' &&
+            priceInfo.originalPrice < priceInfo.price) {
+            report('priceInfo.originalPrice', 'range', 'originalPrice must not be lower than price', () => {
+                delete priceInfo.originalPrice;
+            });
+        }
+
+        ['priceEffectiveTime', 'priceExpireTime'].forEach(field => {
+            if (priceInfo[field] === undefined) return;
+
+            const timestamp = normalizeTimestamp(priceInfo[field]);
+            if (!timestamp || !this.rules.TIMESTAMP_PATTERN.test(String(priceInfo[field]))) {
+                const fix = timestamp ? () => { priceInfo[field] = timestamp; } : () => { delete priceInfo[field]; };
+                report(`priceInfo.${field}`, 'format', `${field} must be an RFC 3339 timestamp`, fix);
+            }
+        });
+
+        const effective = normalizeTimestamp(priceInfo.priceEffectiveTime);
+        const expire = normalizeTimestamp(priceInfo.priceExpireTime);
+        if (effective && expire && effective >= expire) {
+            report('priceInfo.priceExpireTime', 'range', 'priceExpireTime must be after priceEffectiveTime', () => {
+                delete priceInfo.priceEffectiveTime;
+                delete priceInfo.priceExpireTime;
+            });
+        }
+    }
+
+    checkFulfillmentInfo(product, report) {
+        const fulfillmentInfo = product.fulfillmentInfo;
+        if (fulfillmentInfo === undefined) return;
+
+        if (!Array.isArray(fulfillmentInfo)) {
+            report('fulfillmentInfo', 'type', 'fulfillmentInfo must be an array', () => { delete product.fulfillmentInfo; });
+            return;
+        }
+
+        const seenTypes = new Set();
+        const dropped = new Set();
+        fulfillmentInfo.forEach((info, index) => {
+            const field = `fulfillmentInfo[${index}]`;
+            const type = info && info.type;
+            if (!this.rules.FULFILLMENT_TYPES.includes(type)) {
+                report(`${field}.type`, 'enum', `Unknown fulfillment type "${type}"`, () => { dropped.add(index); });
+                return;
+            }
+            if (seenTypes.has(type)) {
+                report(`${field}.type`, 'duplicate', `Fulfillment type "${type}" appears more than once`, () => { dropped.add(index); });
+                return;
+            }
+            seenTypes.add(type);
+
+            if (!Array.isArray(info.placeIds)) {
+                report(`${field}.placeIds`, 'type', 'placeIds must be an array', () => { info.placeIds = []; });
+                return;
+            }
+            const invalid = info.placeIds.filter(placeId => !this.rules.PLACE_ID_PATTERN.test(String(placeId)) ||
+                String(placeId).length > this.rules.PLACE_ID_MAX_LENGTH);
+            if (invalid.length > 0) {
+                report(`${field}.placeIds`, 'format', `${invalid.length} place id(s) are not [a-zA-Z0-9_-] of at most ${this.rules.PLACE_ID_MAX_LENGTH} characters`, () => {
+                    info.placeIds = info.placeIds.filter(placeId => !invalid.includes(placeId));
+                });
+            }
+            if (info.placeIds.length > this.rules.MAX_PLACE_IDS) {
+                report(`${field}.placeIds`, 'max_count', `${info.placeIds.length} place ids (max ${this.rules.MAX_PLACE_IDS})`, () => {
+                    info.placeIds = info.placeIds.slice(0, this.rules.MAX_PLACE_IDS);
+                });
+            }
+        });
+
+        // Unusable entries are removed last so the indexes in reports stay stable
+        if (dropped.size > 0) {
+            product.fulfillmentInfo = fulfillmentInfo.filter((info, index) => !dropped.has(index));
+        }
+    }
+
+    checkAttributes(product, report) {
+        const attributes = product.attributes;
+        if (attributes === undefined) return;
+
+        if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+            report('attributes', 'type', 'attributes must be an object');
+            return;
+        }
+
+        Object.keys(attributes).forEach(key => {
+            this.checkAttributeKey(attributes, key, report);
+        });
+
+        Object.keys(attributes).forEach(key => {
+            this.checkAttributeValue(attributes, key, report);
+        });
+
+        const count = Object.keys(attributes).length;
+        if (count > this.rules.MAX_ATTRIBUTES) {
+            report('attributes', 'max_items', `${count} attributes (max ${this.rules.MAX_ATTRIBUTES})`, () => {
+                Object.keys(attributes).slice(this.rules.MAX_ATTRIBUTES).forEach(key => delete attributes[key]);
+            });
+        }
+    }
+
+    checkAttributeKey(attributes, key, report) {
+        if (this.rules.ATTRIBUTE_KEY_PATTERN.test(key) && key.length <= this.rules.ATTRIBUTE_KEY_MAX_LENGTH) return;
+
+        const fixedKey = key
+            .replace(/[^a-zA-Z0-9_]+/g, '_')
+            .replace(/^[^a-zA-Z0-9]+/, '')
+            .replace(/_+$/, '')
+            .substring(0, this.rules.ATTRIBUTE_KEY_MAX_LENGTH);
+
+        const fix = () => {
+            if (fixedKey && attributes[fixedKey] === undefined) {
+                attributes[fixedKey] = attributes[key];
+            }
+            delete attributes[key];
+        };
+        report(`attributes.${key}`, 'key', `Attribute key "${key}" must match ${this.rules.ATTRIBUTE_KEY_PATTERN} and be at most ${this.rules.ATTRIBUTE_KEY_MAX_LENGTH} characters`, fix);
+    }
+
+    checkAttributeValue(attributes, key, report) {
+        const field = `attributes.${key}`;
+        const value = attributes[key];
+
+        if (!value || typeof value !== 'object') {
+            report(field, 'type', 'Attribute must be an object with text or numbers', () => { delete attributes[key]; });
+            return;
+        }
+
+        const hasText = value.text !== undefined;
+        const hasNumbers = value.numbers !== undefined;
+
+        if (hasText && hasNumbers) {
+            report(field, 'exclusive', 'Attribute must set exactly one of text or numbers', () => { delete value.numbers; });
+        } else if (!hasText && !hasNumbers) {
+            report(field, 'exclusive', 'Attribute must set text or numbers', () => { delete attributes[key]; });
+            return;
+        }
+
+        const listName = hasText ? 'text' : 'numbers';
+        if (!Array.isArray(value[listName])) {
+            report(`${field}.${listName}`, 'type', `${listName} must be an array`, () => { value[listName] = [value[listName]]; });
+        }
+
+        const values = [].concat(value[listName]);
+        if (hasText) {
+            if (values.some(item => typeof item !== 'string' || item === '')) {
+                report(`${field}.text`, 'type', 'text values must be non-empty strings', () => {
+                    value.text = [].concat(value.text).filter(item => item !== null && item !== undefined && item !== '').map(String);
+                });
+            }
+            if (values.some(item => String(item).length > this.rules.ATTRIBUTE_TEXT_MAX_LENGTH)) {
+                report(`${field}.text`, 'max_length', `text values must be at most ${this.rules.ATTRIBUTE_TEXT_MAX_LENGTH} characters`, () => {
+                    value.text = [].concat(value.text).map(item => String(item).substring(0, this.rules.ATTRIBUTE_TEXT_MAX_LENGTH));
+                });
+            }
+        } else if (values.some(item => typeof item !== 'number' || !isFinite(item))) {
+            report(`${field}.numbers`, 'type', 'numbers values must be finite numbers', () => {
+                value.numbers = [].concat(value.numbers)
+                    .filter(item => item !== null && item !== '')
+                    .map(Number)
+                    .filter(item => isFinite(item));
+            });
+        }
+
+        if (values.length > this.rules.MAX_ATTRIBUTE_VALUES) {
+            report(`${field}.${listName}`, 'max_items', `${values.length} values (max ${this.rules.MAX_ATTRIBUTE_VALUES})`, () => {
+                value[listName] = [].concat(value[listName]).slice(0, this.rules.MAX_ATTRIBUTE_VALUES);
+            });
+        }
+
+        if (values.length === 0) {
+            report(field, 'empty', 'Attribute has no values', () => { delete attributes[key]; });
+        } else if (attributes[key] && [].concat(attributes[key][listName]).length === 0) {
+            // Repairs above filtered out every value
+            delete attributes[key];
+        }
+    }
+}
+
+module.exports = {
+    RetailSchemaValidator
+};
@@ -0,0 +1,156 @@
+/**
+ * Sparse Embedding Vocabulary
+ *
+ * Persisted term -> index map for integer-indexed sparse vectors ({indices, values}). The
+ * vocabulary only grows: a term keeps its index for good and new terms are appended, so vectors
+ * written by earlier runs stay valid. Each save that adds terms bumps the revision.
+ * See EMBEDDINGS.SPARSE_OUTPUT.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Bumped whenever the file layout changes
+const VOCABULARY_FORMAT_VERSION = 1;
+
+class SparseVocabulary {
+    /**
+     * @param {Object} data - Saved vocabulary (see toJSON); omitted to start an empty one
+     * @param {Object} options - { source: file name for messages }
+     * @throws When the saved vocabulary has another format version or repeats a term
+     */
+    constructor(data = null, options = {}) {
+        this.source = options.source || 'sparse vocabulary';
+        this.revision = 0;
+        this.terms = [];
+        this.indexByTerm = new Map();
+        this.added = 0;
+
+        if (data) {
+            if (data.formatVersion !== VOCABULARY_FORMAT_VERSION) {
+                throw new Error(`${this.source} has format version ${data.formatVersion}, expected ${VOCABULARY_FORMAT_VERSION}`);
+            }
+            if (!Array.isArray(data.terms)) {
+                throw new Error(`${this.source} has no "terms" array`);
+            }
+            this.revision = data.revision || 0;
+            data.terms.forEach(term => {
+                if (this.indexByTerm.has(term)) {
+                    throw new Error(`${this.source} lists "${term}" twice`);
+                }
+                this.indexByTerm.set(term, this.terms.length);
+                this.terms.push(term);
+            });
+        }
+    }
+
+    /**
+     * Load a saved vocabulary, or start an empty one when the file does not exist yet
+     */
+    static loadOrCreate(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return new SparseVocabulary(null, { source: filePath });
+        }
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read sparse vocabulary ${filePath}: ${error.message}`);
+        }
+        return new SparseVocabulary(data, { source: filePath });
+    }
+
+    /**
+     * Number of terms
+     */
+    get size() {
+        return this.terms.length;
+    }
+
+    /**
+     * Index of a term, appending it when new
+     */
+    indexOf(term) {
+        let index = this.indexByTerm.get(term);
+        if (index === undefined) {
+            index = this.terms.length;
+            this.indexByTerm.set(term, index);
+            this.terms.push(term);
+            this.added++;
+        }
+        return index;
+    }
+
+    /**
+     * Term at an index
+     * @returns {string|undefined}
+     */
+    termAt(index) {
+        return this.terms[index];
+    }
+
+    /**
+     * Integer-indexed form of [term, weight] pairs, sorted by index
+     * @returns {Object} { indices, values }
+     */
+    encode(termWeights) {
+        const pairs = termWeights
+            .map(([term, weight]) => [this.indexOf(term), weight])
+            .sort(([a], [b]) => a - b);
+        return {
+            indices: pairs.map(([index]) => index),
+            values: pairs.map(([, weight]) => weight)
+        };
+    }
+
+    /**
+     * [term, weight] pairs of an integer-indexed vector; unknown indices are dropped
+     */
+    decode(indices, values) {
+        const termWeights = [];
+        (indices || []).forEach((index, position) => {
+            const term = this.termAt(index);
+            if (term !== undefined && typeof values[position] === 'number') {
+                termWeights.push([term, values[position]]);
+            }
+        });
+        return termWeights;
+    }
+
+    /**
+     * Plain object for JSON; terms[i] has index i
+     */
+    toJSON() {
+        return {
+            formatVersion: VOCABULARY_FORMAT_VERSION,
+            revision: this.revision,
+            updatedAt: new Date().toISOString(),
+            size: this.terms.length,
+            terms: this.terms
+        };
+    }
+
+    /**
+     * Write the vocabulary when terms were added since it was loaded or last saved
+     * @returns {boolean} Whether the file was written
+     */
+    save(filePath) {
+        if (this.added === 0 && fs.existsSync(filePath)) return false;
+
+        if (this.added > 0) this.revision++;
+        this.added = 0;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        // Write next to the file, then swap it in, so a crash never leaves a truncated vocabulary
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.toJSON()), 'utf8');
+        fs.renameSync(tempPath, filePath);
+        return true;
+    }
+}
+
+module.exports = {
+    SparseVocabulary,
+    VOCABULARY_FORMAT_VERSION
+};
@@ -0,0 +1,153 @@
+/**
+ * Product Text Languages
+ *
+ * Resolves a product's language (from a source field or by stopword detection) and provides the
+ * matching natural stemmer and stopword list for keyword extraction. See EMBEDDINGS.LANGUAGES.
+ */
+
+const natural = require('natural');
+const { CONFIG } = require('../constants');
+
+// Language -> natural stemmer
+const STEMMERS = {
+    en: natural.PorterStemmer,
+    es: natural.PorterStemmerEs,
+    fr: natural.PorterStemmerFr,
+    de: natural.PorterStemmerDe,
+    it: natural.PorterStemmerIt,
+    pt: natural.PorterStemmerPt,
+    nl: natural.PorterStemmerNl,
+    sv: natural.PorterStemmerSv,
+    no: natural.PorterStemmerNo,
+    ru: natural.PorterStemmerRu
+};
+
+// Languages without a stemmer keep their tokens as-is
+const IDENTITY_STEMMER = { stem: token => token };
+
+const BCP47_PATTERN = /^([a-z]{2,3})(?:[-_]([a-z0-9]{2,8}))*$/i;
+
+const toolsCache = new Map();
+let detectionIndex = null;
+
+/**
+ * natural's stopword list for a language plus EXTRA_STOPWORDS
+ */
+function loadStopwords(language) {
+    let words = [];
+    if (language === 'en') {
+        words = natural.stopwords;
+    } else {
+        try {
+            words = require(`natural/lib/natural/util/stopwords_${language}`).words;
+        } catch (error) {
+            // No list shipped with natural for this language
+        }
+    }
+    const extra = CONFIG.EMBEDDINGS.LANGUAGES.EXTRA_STOPWORDS[language] || [];
+    return new Set(words.concat(extra).map(word => word.toLowerCase()));
+}
+
+/**
+ * Normalize a BCP 47 tag: "fr_fr" -> "fr-FR", "EN" -> "en"
+ * @returns {string|null} null when the value is not a language tag
+ */
+function normalizeLanguageCode(value) {
+    if (value === undefined || value === null) return null;
+    const tag = String(Array.isArray(value) ? value[0] : value).trim();
+    if (!BCP47_PATTERN.test(tag)) return null;
+
+    return tag.split(/[-_]/).map((part, index) => {
+        if (index === 0) return part.toLowerCase();
+        return part.length === 2 ? part.toUpperCase() : part;
+    }).join('-');
+}
+
+/**
+ * Primary language subtag: "pt-BR" -> "pt"
+ */
+function primaryLanguage(languageCode) {
+    const normalized = normalizeLanguageCode(languageCode);
+    return normalized ? normalized.split('-')[0] : CONFIG.EMBEDDINGS.LANGUAGES.DEFAULT;
+}
+
+/**
+ * Stemmer and stopwords for a language code (cached)
+ * @returns {Object} { language, stemmer, stopwords: Set }
+ */
+function getLanguageTools(languageCode) {
+    const language = primaryLanguage(languageCode);
+    if (!toolsCache.has(language)) {
+        const supported = CONFIG.EMBEDDINGS.LANGUAGES.SUPPORTED.includes(language);
+        toolsCache.set(language, {
+            language,
+            stemmer: supported && STEMMERS[language] ? STEMMERS[language] : IDENTITY_STEMMER,
+            stopwords: supported ? loadStopwords(language) : new Set()
+        });
+    }
+    return toolsCache.get(language);
+}
+
+/**
+ * Stopword -> languages whose list contains it, built once for detection
+ */
+function getDetectionIndex() {
+    if (!detectionIndex) {
+        detectionIndex = new Map();
+        CONFIG.EMBEDDINGS.LANGUAGES.SUPPORTED.forEach(language => {
+            getLanguageTools(language).stopwords.forEach(word => {
+                if (!detectionIndex.has(word)) detectionIndex.set(word, []);
+                detectionIndex.get(word).push(language);
+            });
+        });
+    }
+    return detectionIndex;
+}
+
+/**
+ * Guess the language of a text from its stopwords
+ * A stopword shared by several languages counts for each of them in equal parts.
+ * @returns {string|null} Language code, or null when too few stopwords were found or languages tie
+ */
+function detectLanguage(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const index = getDetectionIndex();
+    const scores = new Map();
+    let hits = 0;
+    text.toLowerCase().split(/[^\p{L}']+/u).forEach(token => {
+        const languages = index.get(token);
+        if (!languages) return;
+        hits++;
+        languages.forEach(language => scores.set(language, (scores.get(language) || 0) + 1 / languages.length));
+    });
+
+    if (hits < CONFIG.EMBEDDINGS.LANGUAGES.MIN_STOPWORD_HITS) return null;
+
+    const ranked = Array.from(scores.entries()).sort(([, a], [, b]) => b - a);
+    if (ranked.length > 1 && ranked[0][1] === ranked[1][1]) return null;
+    return ranked[0][0];
+}
+
+/**
+ * Language code for a product: a valid source value first, then detection, then the default
+ * @param {*} sourceValue - Language named by the source (may be missing or invalid)
+ * @param {string[]} texts - Raw title/description text used for detection
+ */
+function resolveLanguageCode(sourceValue, texts = []) {
+    const named = normalizeLanguageCode(sourceValue);
+    if (named) return named;
+
+    if (CONFIG.EMBEDDINGS.LANGUAGE_DETECTION) {
+        const detected = detectLanguage(texts.filter(text => typeof text === 'string').join(' '));
+        if (detected) return detected;
+    }
+    return CONFIG.EMBEDDINGS.LANGUAGES.DEFAULT;
+}
+
+module.exports = {
+    normalizeLanguageCode,
+    getLanguageTools,
+    detectLanguage,
+    resolveLanguageCode
+};
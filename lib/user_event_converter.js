@@ -0,0 +1,404 @@
+/**
+ * Retail User Event Conversion
+ *
+ * Turns clickstream and order export records into Retail UserEvent objects
+ * (detail-page-view, add-to-cart, purchase-complete, search) whose product ids match the
+ * ids ProductConverter writes. Events can be checked against a converted catalog so
+ * training data never references products the catalog does not contain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { CONFIG, PATHS } = require('../constants');
+const { parsePrice, buildPriceInfo, detectCurrency, normalizeCurrencyCode, normalizeTimestamp } = require('./price');
+
+class UserEventConverter {
+    /**
+     * @param {Object} options - { mode: validation mode, catalogIds: Set of known product ids,
+     *   currency: currency for prices without one (defaults to COMMERCE.CURRENCY_CODE) }
+     */
+    constructor(options = {}) {
+        this.config = CONFIG.USER_EVENTS;
+        this.rules = CONFIG.VALIDATION.RULES;
+        this.mode = options.mode || CONFIG.VALIDATION.DEFAULT_MODE;
+        this.catalogIds = options.catalogIds || null;
+        this.currency = normalizeCurrencyCode(options.currency) || CONFIG.COMMERCE.CURRENCY_CODE;
+
+        // Source value (lowercase) -> Retail event type
+        this.eventTypes = new Map();
+        Object.entries(this.config.EVENT_TYPES).forEach(([eventType, aliases]) => {
+            aliases.forEach(alias => this.eventTypes.set(alias.toLowerCase(), eventType));
+        });
+    }
+
+    /**
+     * Collect the product ids of a converted catalog
+     * @param {string} catalogPath - A converted JSONL file, or a directory of *_commerce_ready.jsonl files
+     *   (the combined output and its shards are preferred, as in the search API)
+     * @returns {Promise<Set>} Product ids, including PRIMARY and VARIANT ids
+     */
+    static async loadCatalogIds(catalogPath) {
+        const resolved = path.resolve(catalogPath);
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`Catalog not found: ${resolved}`);
+        }
+
+        let files = [resolved];
+        if (fs.statSync(resolved).isDirectory()) {
+            const catalogFiles = fs.readdirSync(resolved)
+                .filter(file => CONFIG.SEARCH.INDEX_FILE_PATTERN.test(file))
+                .sort();
+            const combinedName = path.basename(PATHS.OUTPUT_FILES.COMBINED_OUTPUT, '.jsonl');
+            const combinedFiles = catalogFiles.filter(file => file.startsWith(combinedName));
+            files = (combinedFiles.length > 0 ? combinedFiles : catalogFiles).map(file => path.join(resolved, file));
+
+            if (files.length === 0) {
+                throw new Error(`No converted JSONL files found in ${resolved}. Run the converter first: npm run convert`);
+            }
+        }
+
+        const ids = new Set();
+        for (const file of files) {
+            const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    const product = JSON.parse(line);
+                    if (product && product.id !== undefined) ids.add(String(product.id));
+                } catch (error) {
+                    // A damaged catalog line only means fewer known ids
+                }
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Convert source records to validated user events
+     * Consecutive purchase rows sharing an order id become one purchase-complete event.
+     * @param {AsyncIterable|Iterable} records - Source records
+     * @param {Object} stats - Counters: records, events, mergedLines, valid, repaired, skipped,
+     *   unknownProducts, issues: { count, samples }
+     * @throws In 'fail' mode when an event is invalid or references a product missing from the catalog
+     */
+    async *convert(records, stats) {
+        let pending = null;
+        for await (const record of records) {
+            stats.records++;
+            const next = this.buildEvent(record);
+
+            if (pending && this.continuesOrder(pending.event, next.event)) {
+                this.mergeOrderLine(pending, next);
+                stats.mergedLines++;
+                continue;
+            }
+
+            if (pending) {
+                const event = this.checkEvent(pending.event, stats);
+                if (event) yield event;
+            }
+            pending = next;
+        }
+
+        if (pending) {
+            const event = this.checkEvent(pending.event, stats);
+            if (event) yield event;
+        }
+    }
+
+    /**
+     * First non-empty value of a field lookup list
+     */
+    pick(record, fields) {
+        for (const field of fields) {
+            const value = record[field];
+            if (value !== undefined && value !== null && value !== '') return value;
+        }
+        return undefined;
+    }
+
+    /**
+     * Retail event type for a source value; unknown values are returned as-is and rejected by checkEvent
+     */
+    resolveEventType(value) {
+        const key = String(value).trim().toLowerCase();
+        return this.eventTypes.get(key) || key;
+    }
+
+    /**
+     * Product id as ProductConverter writes it (unsupported characters replaced like a schema repair)
+     */
+    normalizeProductId(value) {
+        const id = String(value).trim();
+        return this.rules.ID_PATTERN.test(id) ? id : id.replace(this.rules.ID_INVALID_CHARS, '_');
+    }
+
+    /**
+     * Build a UserEvent from one source record
+     * @returns {Object} { event, revenueFromItems } - revenueFromItems when the order total was summed from line items
+     */
+    buildEvent(record) {
+        const fields = this.config.FIELDS;
+        const value = names => this.pick(record, names);
+
+        const rawType = value(fields.EVENT_TYPE);
+        const orderId = value(fields.ORDER_ID);
+        const eventType = rawType !== undefined ? this.resolveEventType(rawType) :
+            (orderId !== undefined ? 'purchase-complete' : this.config.DEFAULT_EVENT_TYPE);
+
+        const event = { eventType };
+        const visitorId = value(fields.VISITOR_ID);
+        if (visitorId !== undefined) event.visitorId = String(visitorId);
+        const sessionId = value(fields.SESSION_ID);
+        if (sessionId !== undefined) event.sessionId = String(sessionId);
+
+        const rawTime = value(fields.EVENT_TIME);
+        if (rawTime !== undefined) event.eventTime = normalizeTimestamp(rawTime) || String(rawTime);
+
+        const userId = value(fields.USER_ID);
+        const userAgent = value(fields.USER_AGENT);
+        if (userId !== undefined || userAgent !== undefined) {
+            event.userInfo = {};
+            if (userId !== undefined) event.userInfo.userId = String(userId);
+            if (userAgent !== undefined) event.userInfo.userAgent = String(userAgent);
+        }
+
+        const currencyCode = normalizeCurrencyCode(value(fields.CURRENCY)) ||
+            detectCurrency(value(fields.REVENUE)) || this.currency;
+        const productDetails = this.readProductDetails(record, eventType, currencyCode);
+        if (productDetails.length > 0) event.productDetails = productDetails;
+
+        const searchQuery = value(fields.SEARCH_QUERY);
+        if (searchQuery !== undefined) event.searchQuery = String(searchQuery);
+        const pageCategories = value(fields.PAGE_CATEGORIES);
+        if (pageCategories !== undefined) event.pageCategories = [].concat(pageCategories).map(String);
+
+        let revenueFromItems = false;
+        if (eventType === 'purchase-complete') {
+            const transaction = {};
+            if (orderId !== undefined) transaction.id = String(orderId);
+
+            let revenue = parsePrice(value(fields.REVENUE), currencyCode);
+            if (revenue === undefined) {
+                revenue = this.sumLineItems(productDetails);
+                revenueFromItems = revenue !== undefined;
+            }
+            if (revenue !== undefined) transaction.revenue = revenue;
+
+            const tax = parsePrice(value(fields.TAX), currencyCode);
+            if (tax !== undefined) transaction.tax = tax;
+            const cost = parsePrice(value(fields.COST), currencyCode);
+            if (cost !== undefined) transaction.cost = cost;
+
+            transaction.currencyCode = currencyCode;
+            event.purchaseTransaction = transaction;
+        }
+
+        const uri = value(fields.URI);
+        if (uri !== undefined) event.uri = String(uri);
+        const referrerUri = value(fields.REFERRER_URI);
+        if (referrerUri !== undefined) event.referrerUri = String(referrerUri);
+        const attributionToken = value(fields.ATTRIBUTION_TOKEN);
+        if (attributionToken !== undefined) event.attributionToken = String(attributionToken);
+
+        return { event, revenueFromItems };
+    }
+
+    /**
+     * productDetails from a list of line items, or from the record's own product fields
+     */
+    readProductDetails(record, eventType, currencyCode) {
+        const fields = this.config.FIELDS;
+        let items = this.pick(record, fields.PRODUCTS);
+        if (typeof items === 'string') {
+            // Spreadsheet cells list product ids: "sku-1, sku-2"
+            items = items.split(',').map(id => id.trim()).filter(Boolean);
+        }
+        items = items !== undefined ? [].concat(items) : [record];
+
+        // Carts and orders need a quantity; one row is one unit unless it says otherwise
+        const needsQuantity = eventType === 'add-to-cart' || eventType === 'purchase-complete';
+
+        return items.map(item => {
+            const source = item && typeof item === 'object' ? item : { [fields.PRODUCT_ID[0]]: item };
+            // Line items may nest the product ({ product: { id } }) or use a bare "id"
+            const nested = source.product && typeof source.product === 'object' ? source.product : {};
+            const idFields = source === record ? fields.PRODUCT_ID : fields.PRODUCT_ID.concat('id');
+            const id = this.pick(source, idFields) !== undefined ?
+                this.pick(source, idFields) : this.pick(nested, ['id'].concat(fields.PRODUCT_ID));
+            if (id === undefined) return null;
+
+            const detail = { product: { id: this.normalizeProductId(id) } };
+
+            const price = this.pick(source, fields.PRICE);
+            const priceInfo = price !== undefined &&
+                buildPriceInfo({ price, currencyCode: this.pick(source, fields.CURRENCY) || currencyCode }, currencyCode);
+            if (priceInfo) detail.product.priceInfo = { price: priceInfo.price, currencyCode: priceInfo.currencyCode };
+
+            const quantity = parseInt(this.pick(source, fields.QUANTITY), 10);
+            if (quantity > 0) {
+                detail.quantity = quantity;
+            } else if (needsQuantity) {
+                detail.quantity = 1;
+            }
+            return detail;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Order total from line item prices, or undefined when an item has no price
+     */
+    sumLineItems(productDetails) {
+        if (productDetails.length === 0 || productDetails.some(detail => !detail.product.priceInfo)) return undefined;
+
+        const total = productDetails.reduce((sum, detail) => sum + detail.product.priceInfo.price * (detail.quantity || 1), 0);
+        return Math.round(total * 100) / 100;
+    }
+
+    /**
+     * Whether an event is another line item of the pending order
+     */
+    continuesOrder(pending, event) {
+        return this.config.MERGE_ORDER_LINES &&
+            pending.eventType === 'purchase-complete' && event.eventType === 'purchase-complete' &&
+            Boolean(pending.purchaseTransaction.id) && pending.purchaseTransaction.id === event.purchaseTransaction.id;
+    }
+
+    /**
+     * Append an order line's products; a summed order total is summed again
+     */
+    mergeOrderLine(pending, next) {
+        pending.event.productDetails = (pending.event.productDetails || []).concat(next.event.productDetails || []);
+        if (pending.revenueFromItems) {
+            const revenue = this.sumLineItems(pending.event.productDetails);
+            if (revenue !== undefined) {
+                pending.event.purchaseTransaction.revenue = revenue;
+            } else {
+                delete pending.event.purchaseTransaction.revenue;
+                pending.revenueFromItems = false;
+            }
+        }
+    }
+
+    /**
+     * Check an event according to the validation mode
+     * @returns {Object|null} The event to write (possibly repaired), or null to skip it
+     * @throws In 'fail' mode when the event is invalid
+     */
+    checkEvent(event, stats) {
+        if (this.mode === 'off') {
+            stats.events++;
+            return event;
+        }
+
+        const repair = this.mode === 'repair';
+        const violations = this.inspect(event, repair, stats);
+        if (violations.length === 0) {
+            stats.valid++;
+            stats.events++;
+            return event;
+        }
+
+        const unrepaired = violations.some(violation => !violation.repaired);
+        const messages = violations
+            .slice(0, CONFIG.VALIDATION.MAX_LOGGED_VIOLATIONS)
+            .map(violation => `${violation.field}: ${violation.message}${violation.repaired ? ' (repaired)' : ''}`);
+        const label = `${event.eventType || 'unknown'} event of visitor ${event.visitorId || 'unknown'}`;
+
+        if (!unrepaired) {
+            stats.repaired++;
+            stats.events++;
+            return event;
+        }
+
+        if (this.mode === 'fail') {
+            throw new Error(`Invalid ${label}: ${messages.join('; ')}`);
+        }
+
+        stats.skipped++;
+        stats.issues.count++;
+        if (stats.issues.samples.length < CONFIG.VALIDATION.MAX_LOGGED_VIOLATIONS) {
+            stats.issues.samples.push({ event: label, violations: messages });
+        }
+        return null;
+    }
+
+    /**
+     * Walk the UserEvent rules; in repair mode fixes are applied to the event in place
+     * @returns {Object[]} Violations: { field, rule, message, repaired }
+     */
+    inspect(event, repair, stats) {
+        const violations = [];
+        const report = (field, rule, message, fix = null) => {
+            const repaired = Boolean(repair && fix);
+            if (repaired) fix();
+            violations.push({ field, rule, message, repaired });
+        };
+
+        if (!Object.prototype.hasOwnProperty.call(this.config.EVENT_TYPES, event.eventType)) {
+            report('eventType', 'enum', event.eventType ?
+                `Unknown event type "${event.eventType}". Expected one of: ${Object.keys(this.config.EVENT_TYPES).join(', ')}` :
+                'Event type is required');
+        }
+
+        if (!event.visitorId) {
+            report('visitorId', 'required', 'Visitor id is required');
+        } else if (event.visitorId.length > this.config.MAX_VISITOR_ID_LENGTH) {
+            report('visitorId', 'max_length', `Visitor id exceeds ${this.config.MAX_VISITOR_ID_LENGTH} characters`, () => {
+                event.visitorId = event.visitorId.slice(0, this.config.MAX_VISITOR_ID_LENGTH);
+            });
+        }
+
+        if (!event.eventTime) {
+            report('eventTime', 'required', 'Event time is required');
+        } else if (!this.rules.TIMESTAMP_PATTERN.test(event.eventTime)) {
+            report('eventTime', 'format', `Event time "${event.eventTime}" is not a date`);
+        }
+
+        this.checkProductDetails(event, report, stats);
+
+        if (event.eventType === 'search') {
+            if (!event.searchQuery && !(event.pageCategories && event.pageCategories.length > 0)) {
+                report('searchQuery', 'required', 'Search events need a search query or page categories');
+            } else if (event.searchQuery && event.searchQuery.length > this.config.MAX_SEARCH_QUERY_LENGTH) {
+                report('searchQuery', 'max_length', `Search query exceeds ${this.config.MAX_SEARCH_QUERY_LENGTH} characters`, () => {
+                    event.searchQuery = event.searchQuery.slice(0, this.config.MAX_SEARCH_QUERY_LENGTH);
+                });
+            }
+        }
+
+        if (event.eventType === 'purchase-complete' && typeof event.purchaseTransaction.revenue !== 'number') {
+            report('purchaseTransaction.revenue', 'required', 'Purchase events need an order total or priced line items');
+        }
+
+        return violations;
+    }
+
+    checkProductDetails(event, report, stats) {
+        const details = event.productDetails || [];
+
+        if (this.catalogIds) {
+            const unknown = details.filter(detail => !this.catalogIds.has(detail.product.id));
+            stats.unknownProducts += unknown.length;
+            unknown.forEach(detail => {
+                report('productDetails', 'unknown_product', `Product ${detail.product.id} is not in the catalog`, () => {
+                    event.productDetails = event.productDetails.filter(item => item !== detail);
+                });
+            });
+            if (event.productDetails && event.productDetails.length === 0) delete event.productDetails;
+        }
+
+        if (this.config.REQUIRE_PRODUCTS.includes(event.eventType) && !(event.productDetails && event.productDetails.length > 0)) {
+            report('productDetails', 'required', `${event.eventType} events need at least one product`);
+        } else if (event.productDetails && event.productDetails.length > this.config.MAX_PRODUCT_DETAILS) {
+            report('productDetails', 'max_items', `More than ${this.config.MAX_PRODUCT_DETAILS} products`, () => {
+                event.productDetails = event.productDetails.slice(0, this.config.MAX_PRODUCT_DETAILS);
+            });
+        }
+    }
+}
+
+module.exports = {
+    UserEventConverter
+};
@@ -0,0 +1,274 @@
+/**
+ * Primary/Variant Grouping
+ *
+ * Clusters converted products by a group key (e.g. item_group_id or a SKU prefix) in two passes
+ * over a file's output, so only ids and per-group aggregates are held in memory:
+ * 1. observe() every product: ids, group keys, aggregated group fields, variant references
+ * 2. finalize() picks each group's primary and finds orphan variants; transform() then
+ *    rewrites each product, emitting a generated PRIMARY just before its group's first variant
+ *
+ * Products that already have a type (Shopify/WooCommerce converters, Retail sources) keep it;
+ * their primaryProductId must still exist in the output set.
+ */
+
+const { CONFIG } = require('../constants');
+const { resolvePath } = require('./mapping_profiles');
+
+const AVAILABILITY_ORDER = ['IN_STOCK', 'BACKORDER', 'PREORDER', 'OUT_OF_STOCK'];
+
+class VariantGrouper {
+    /**
+     * @param {Object} options - Overrides for CONFIG.GROUPING plus mode: validation mode for orphan variants
+     */
+    constructor(options = {}) {
+        const config = { ...CONFIG.GROUPING, ...options };
+        this.keyPaths = [].concat(config.KEY_PATHS);
+        this.keyPrefix = config.KEY_PREFIX;
+        this.minGroupSize = config.MIN_GROUP_SIZE;
+        this.primaryIdPrefix = config.PRIMARY_ID_PREFIX || '';
+        this.excludedAttributes = new Set(config.EXCLUDED_ATTRIBUTES);
+        this.maxLoggedOrphans = config.MAX_LOGGED_ORPHANS;
+        this.mode = options.mode || CONFIG.VALIDATION.DEFAULT_MODE;
+
+        this.ids = new Set();
+        this.groups = new Map();            // group key -> aggregate
+        this.variantReferences = new Map(); // VARIANT id -> primaryProductId (typed before grouping)
+        this.orphans = new Set();
+        this.missingCollectionMembers = 0;
+        this.collectionMembers = [];
+    }
+
+    /**
+     * Group key of a product, or null when it is not grouped
+     */
+    groupKey(product) {
+        if (product.type) return null;
+
+        for (const keyPath of this.keyPaths) {
+            const value = resolvePath(product, keyPath);
+            if (value === undefined || value === null || String(value).trim() === '') continue;
+
+            const key = String(value).trim();
+            if (!this.keyPrefix) return key;
+            return key.split(this.keyPrefix.SEPARATOR).slice(0, this.keyPrefix.SEGMENTS).join(this.keyPrefix.SEPARATOR);
+        }
+        return null;
+    }
+
+    /**
+     * Pass 1: record one converted product
+     */
+    observe(product) {
+        const id = String(product.id);
+        this.ids.add(id);
+
+        if (product.type === 'VARIANT' && product.primaryProductId) {
+            this.variantReferences.set(id, String(product.primaryProductId));
+        }
+        if (product.type === 'COLLECTION' && Array.isArray(product.collectionMemberIds)) {
+            this.collectionMembers.push(...product.collectionMemberIds.map(String));
+        }
+
+        const key = this.groupKey(product);
+        if (!key) return;
+
+        if (!this.groups.has(key)) {
+            this.groups.set(key, {
+                key,
+                count: 0,
+                hasKeyMember: false,
+                titleWords: null,
+                description: '',
+                uri: null,
+                languageCode: product.languageCode,
+                priceInfo: null,
+                availabilities: new Set(),
+                categories: new Set(),
+                brands: new Set(),
+                colors: new Set(),
+                colorFamilies: new Set(),
+                sizes: new Set(),
+                images: new Map(),
+                attributes: new Map()
+            });
+        }
+        this.aggregate(this.groups.get(key), product);
+    }
+
+    aggregate(group, product) {
+        group.count++;
+        if (String(product.id) === group.key) group.hasKeyMember = true;
+
+        // Title: the words every member title starts with ("Tee - Red", "Tee - Blue" -> "Tee")
+        const words = String(product.title || '').split(/\s+/).filter(Boolean);
+        if (group.titleWords === null) {
+            group.titleWords = words;
+        } else {
+            let common = 0;
+            while (common < group.titleWords.length && group.titleWords[common] === words[common]) common++;
+            group.titleWords = group.titleWords.slice(0, common);
+        }
+
+        if (!group.description && product.description) group.description = product.description;
+        if (!group.uri && product.uri) group.uri = product.uri;
+        if (product.availability) group.availabilities.add(product.availability);
+        if (product.priceInfo && (!group.priceInfo || product.priceInfo.price < group.priceInfo.price)) {
+            group.priceInfo = product.priceInfo;
+        }
+
+        (product.categories || []).forEach(category => group.categories.add(category));
+        (product.brands || []).forEach(brand => group.brands.add(brand));
+        (product.sizes || []).forEach(size => group.sizes.add(size));
+        if (product.colorInfo) {
+            (product.colorInfo.colors || []).forEach(color => group.colors.add(color));
+            (product.colorInfo.colorFamilies || []).forEach(family => group.colorFamilies.add(family));
+        }
+        (product.images || []).forEach(image => {
+            if (image && image.uri && !group.images.has(image.uri)) group.images.set(image.uri, image);
+        });
+
+        const maxValues = CONFIG.VALIDATION.RULES.MAX_ATTRIBUTE_VALUES;
+        Object.entries(product.attributes || {}).forEach(([key, attribute]) => {
+            if (this.excludedAttributes.has(key) || !attribute || !Array.isArray(attribute.text)) return;
+
+            if (!group.attributes.has(key)) group.attributes.set(key, new Set());
+            const values = group.attributes.get(key);
+            attribute.text.forEach(value => {
+                if (values.size < maxValues) values.add(value);
+            });
+        });
+    }
+
+    /**
+     * After pass 1: choose primaries, drop small groups and check variant references
+     * @returns {Object} Grouping report
+     * @throws In 'fail' mode when a VARIANT references a primary that is not in the output
+     */
+    finalize() {
+        const idRules = CONFIG.VALIDATION.RULES;
+        const primaryIds = new Set();
+
+        for (const [key, group] of this.groups) {
+            if (group.count < this.minGroupSize) {
+                this.groups.delete(key);
+                continue;
+            }
+
+            // A product whose id is the group key is the group's primary; otherwise one is generated
+            group.existingPrimary = this.ids.has(key);
+            group.primaryId = group.existingPrimary ? key :
+                `${this.primaryIdPrefix}${key}`.replace(idRules.ID_INVALID_CHARS, '_').substring(0, idRules.ID_MAX_LENGTH);
+            group.emitted = group.existingPrimary;
+            primaryIds.add(group.primaryId);
+        }
+
+        for (const [id, primaryId] of this.variantReferences) {
+            if (!this.ids.has(primaryId) && !primaryIds.has(primaryId)) this.orphans.add(id);
+        }
+        this.missingCollectionMembers = this.collectionMembers.filter(member => !this.ids.has(member)).length;
+        this.collectionMembers = [];
+
+        const report = this.report();
+        if (this.orphans.size > 0 && this.mode === 'fail') {
+            throw new Error(`${this.orphans.size} VARIANT product(s) reference a primary that is not in the output: ${report.orphanSamples.join(', ')}`);
+        }
+        return report;
+    }
+
+    report() {
+        const groups = [...this.groups.values()];
+        return {
+            groups: groups.length,
+            generatedPrimaries: groups.filter(group => !group.existingPrimary).length,
+            groupedVariants: groups.reduce((sum, group) => sum + group.count - (group.hasKeyMember ? 1 : 0), 0),
+            orphanVariants: this.orphans.size,
+            orphanSamples: [...this.orphans].slice(0, this.maxLoggedOrphans),
+            missingCollectionMembers: this.missingCollectionMembers
+        };
+    }
+
+    /**
+     * Whether pass 2 would change anything
+     */
+    hasChanges() {
+        return this.groups.size > 0 || (this.orphans.size > 0 && this.mode !== 'off');
+    }
+
+    /**
+     * Pass 2: rewrite one product
+     * @returns {Object} { records: products to write in order, generated: the generated PRIMARY or null }
+     */
+    transform(product) {
+        if (this.orphans.has(String(product.id))) {
+            return { records: this.resolveOrphan(product), generated: null };
+        }
+
+        const key = this.groupKey(product);
+        const group = key && this.groups.get(key);
+        if (!group) return { records: [product], generated: null };
+
+        if (String(product.id) === group.primaryId) {
+            return { records: [{ ...product, type: 'PRIMARY' }], generated: null };
+        }
+
+        const variant = { ...product, type: 'VARIANT', primaryProductId: group.primaryId };
+        if (group.emitted) return { records: [variant], generated: null };
+
+        group.emitted = true;
+        const primary = this.buildPrimary(group);
+        return { records: [primary, variant], generated: primary };
+    }
+
+    /**
+     * Orphan VARIANT: 'skip' drops it, 'repair' turns it into a standalone product, 'off' keeps it
+     */
+    resolveOrphan(product) {
+        if (this.mode === 'skip') return [];
+        if (this.mode === 'repair') {
+            const standalone = { ...product, type: 'PRIMARY' };
+            delete standalone.primaryProductId;
+            return [standalone];
+        }
+        return [product];
+    }
+
+    /**
+     * PRIMARY record aggregated from every member of a group
+     */
+    buildPrimary(group) {
+        const title = group.titleWords.join(' ').replace(/[\s\-–—/|,:;]+$/, '') || group.key;
+        const availability = AVAILABILITY_ORDER.find(value => group.availabilities.has(value));
+        const colors = [...group.colors];
+        const sizes = [...group.sizes];
+        const images = [...group.images.values()];
+
+        const attributes = {};
+        for (const [key, values] of group.attributes) {
+            attributes[key] = { text: [...values] };
+        }
+
+        return {
+            id: group.primaryId,
+            type: 'PRIMARY',
+            title: title,
+            categories: group.categories.size > 0 ? [...group.categories] : ['Products'],
+            description: group.description,
+            ...(group.uri && { uri: group.uri }),
+            ...(availability && { availability: availability }),
+            languageCode: group.languageCode || CONFIG.EMBEDDINGS.LANGUAGES.DEFAULT,
+            ...(group.priceInfo && { priceInfo: group.priceInfo }),
+            ...(group.brands.size > 0 && { brands: [...group.brands] }),
+            ...(colors.length > 0 && { colorInfo: {
+                ...(group.colorFamilies.size > 0 && { colorFamilies: [...group.colorFamilies].slice(0, CONFIG.FORMATS.VARIANTS.MAX_COLOR_FAMILIES) }),
+                colors: colors
+            }}),
+            ...(sizes.length > 0 && { sizes: sizes }),
+            attributes: attributes,
+            ...(images.length > 0 && { images: images })
+        };
+    }
+}
+
+module.exports = {
+    VariantGrouper
+};
@@ -0,0 +1,157 @@
+/**
+ * Vertex AI Vector Search Datapoint Writer
+ *
+ * Turns converted Commerce products into Vector Search datapoints, one JSON object per line:
+ *   { id, embedding, sparse_embedding: { values, dimensions }, restricts, numeric_restricts }
+ * The dense vector comes from VECTOR_SEARCH.EMBEDDING_ATTRIBUTE and the sparse vector from the
+ * indexed sparse attributes or, for "term:weight" text, through the sparse vocabulary.
+ */
+
+const path = require('path');
+
+const { CONFIG } = require('../constants');
+const { ShardedJSONLWriter } = require('./jsonl_writer');
+const { resolvePath } = require('./mapping_profiles');
+
+/**
+ * Parse "term:weight" strings into [term, weight] pairs
+ */
+function parseSparseText(items) {
+    const termWeights = [];
+    (items || []).forEach(item => {
+        const separator = item.lastIndexOf(':');
+        if (separator <= 0) return;
+
+        const weight = parseFloat(item.substring(separator + 1));
+        if (!isNaN(weight)) termWeights.push([item.substring(0, separator), weight]);
+    });
+    return termWeights;
+}
+
+class VectorSearchWriter {
+    /**
+     * @param {string} outputPath - Datapoint file (see outputPathFor)
+     * @param {Object} options - { vocabulary: SparseVocabulary for text sparse embeddings, onShard, config: VECTOR_SEARCH overrides }
+     */
+    constructor(outputPath, options = {}) {
+        this.config = { ...CONFIG.VECTOR_SEARCH, ...options.config };
+        this.vocabulary = options.vocabulary || null;
+        this.writer = new ShardedJSONLWriter(outputPath, { onShard: options.onShard });
+        this.datapoints = 0;
+        this.skipped = 0;
+    }
+
+    /**
+     * Datapoint file for a product output: out/items_commerce_ready.jsonl ->
+     * out/vector_search/items_commerce_ready_vector_search.json
+     * @param {string} directory - Datapoint folder, default OUTPUT_DIRECTORY next to the product output
+     */
+    static outputPathFor(productOutputPath, directory = null) {
+        const { OUTPUT_DIRECTORY, OUTPUT_SUFFIX, OUTPUT_EXTENSION } = CONFIG.VECTOR_SEARCH;
+        const name = path.basename(productOutputPath, path.extname(productOutputPath));
+        return path.join(directory || path.join(path.dirname(productOutputPath), OUTPUT_DIRECTORY),
+            `${name}${OUTPUT_SUFFIX}${OUTPUT_EXTENSION}`);
+    }
+
+    /**
+     * Write one product's datapoint; products without any vector are counted and skipped
+     * @returns {Promise<boolean>} Whether a datapoint was written
+     */
+    async write(product) {
+        const datapoint = this.toDatapoint(product);
+        if (!datapoint) {
+            this.skipped++;
+            return false;
+        }
+        await this.writer.write(datapoint);
+        this.datapoints++;
+        return true;
+    }
+
+    /**
+     * Flush and close the datapoint file
+     * @returns {Promise<string[]>} Every file written, in order
+     */
+    async close() {
+        return this.writer.close();
+    }
+
+    /**
+     * Vector Search datapoint for a converted product
+     * @returns {Object|null} null when the product has neither a dense nor a sparse vector
+     */
+    toDatapoint(product) {
+        const attributes = product.attributes || {};
+        const datapoint = { id: String(product.id) };
+
+        const dense = attributes[this.config.EMBEDDING_ATTRIBUTE];
+        if (dense && Array.isArray(dense.numbers) && dense.numbers.length > 0) {
+            datapoint.embedding = dense.numbers;
+        }
+
+        const sparse = this.config.INCLUDE_SPARSE ? this.readSparse(attributes) : null;
+        if (sparse && sparse.dimensions.length > 0) {
+            datapoint.sparse_embedding = sparse;
+        }
+
+        if (!datapoint.embedding && !datapoint.sparse_embedding) return null;
+
+        const restricts = this.buildRestricts(product);
+        if (restricts.length > 0) datapoint.restricts = restricts;
+
+        const numericRestricts = this.buildNumericRestricts(product);
+        if (numericRestricts.length > 0) datapoint.numeric_restricts = numericRestricts;
+
+        return datapoint;
+    }
+
+    /**
+     * Sparse vector as { values, dimensions } from indexed attributes, else from text via the vocabulary
+     */
+    readSparse(attributes) {
+        const { INDICES_ATTRIBUTE, VALUES_ATTRIBUTE } = CONFIG.EMBEDDINGS.SPARSE_OUTPUT;
+        if (attributes[INDICES_ATTRIBUTE] && attributes[VALUES_ATTRIBUTE]) {
+            return {
+                values: attributes[VALUES_ATTRIBUTE].numbers,
+                dimensions: attributes[INDICES_ATTRIBUTE].numbers
+            };
+        }
+
+        if (!attributes.sparse_embedding || !this.vocabulary) return null;
+        const { indices, values } = this.vocabulary.encode(parseSparseText(attributes.sparse_embedding.text));
+        return { values, dimensions: indices };
+    }
+
+    /**
+     * Token restricts: { namespace, allow } per RESTRICTS entry with values on the product
+     */
+    buildRestricts(product) {
+        const restricts = [];
+        Object.entries(this.config.RESTRICTS).forEach(([namespace, field]) => {
+            const values = [].concat(resolvePath(product, field))
+                .filter(value => value !== undefined && value !== null && String(value).trim() !== '')
+                .map(value => String(value).trim());
+            const allow = Array.from(new Set(values)).slice(0, this.config.MAX_RESTRICT_VALUES);
+            if (allow.length > 0) restricts.push({ namespace, allow });
+        });
+        return restricts;
+    }
+
+    /**
+     * Numeric restricts: { namespace, value_float | value_int | value_double } per NUMERIC_RESTRICTS entry
+     */
+    buildNumericRestricts(product) {
+        const restricts = [];
+        Object.entries(this.config.NUMERIC_RESTRICTS).forEach(([namespace, { FIELD, TYPE }]) => {
+            const raw = resolvePath(product, FIELD);
+            const value = Number(raw);
+            if (raw === undefined || raw === null || raw === '' || !isFinite(value)) return;
+            restricts.push({ namespace, [TYPE]: TYPE === 'value_int' ? Math.round(value) : value });
+        });
+        return restricts;
+    }
+}
+
+module.exports = {
+    VectorSearchWriter
+};
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Retail User Event Converter
+ *
+ * Converts clickstream and order exports (JSON, NDJSON, CSV/TSV) into Retail UserEvent JSONL
+ * for model training. Product ids are written the way ProductConverter writes them and are
+ * checked against a converted catalog (by default the converter output in output/).
+ *
+ * Usage:
+ *   node scripts/conversion/convert_user_events.js <input> [output] [--catalog=<file|dir|none>]
+ *        [--validation=fail|skip|repair|off] [--default-currency=USD]
+ */
+
+const path = require('path');
+
+const { StreamingJSONParser } = require('../../universal_converter.js');
+const { UserEventConverter } = require('../../lib/user_event_converter');
+const { ShardedJSONLWriter } = require('../../lib/jsonl_writer');
+const { CONFIG } = require('../../constants');
+
+/**
+ * Default output: output/<input name>_user_events.jsonl
+ */
+function getUserEventsPath(inputPath) {
+    const name = path.basename(inputPath).replace(/\.gz$/i, '').replace(/\.[^.]+$/, '');
+    return path.join(CONFIG.OUTPUT_DIRECTORY, `${name}${CONFIG.USER_EVENTS.OUTPUT_SUFFIX}.jsonl`);
+}
+
+/**
+ * Convert one export file to user events
+ * @param {string} inputPath - Clickstream or order export
+ * @param {string|null} outputPath - Target JSONL (defaults to getUserEventsPath)
+ * @param {Object} options - { catalog: converted catalog file/directory or 'none', validationMode, defaultCurrency }
+ * @returns {Promise<Object>} { outputFiles, catalogProducts, lineErrors, ...converter stats }
+ */
+async function convertUserEvents(inputPath, outputPath = null, options = {}) {
+    const validationMode = options.validationMode || CONFIG.VALIDATION.DEFAULT_MODE;
+    if (!CONFIG.VALIDATION.MODES.includes(validationMode)) {
+        throw new Error(`Unknown validation mode "${validationMode}". Expected one of: ${CONFIG.VALIDATION.MODES.join(', ')}`);
+    }
+
+    const catalog = options.catalog || CONFIG.OUTPUT_DIRECTORY;
+    const catalogIds = catalog === 'none' ? null : await UserEventConverter.loadCatalogIds(catalog);
+    if (catalogIds) {
+        console.log(`📚 Catalog: ${catalogIds.size} product ids from ${catalog}`);
+    }
+
+    const converter = new UserEventConverter({
+        mode: validationMode,
+        catalogIds,
+        currency: options.defaultCurrency
+    });
+
+    const parser = new StreamingJSONParser(console);
+    const { products: records, lineErrors } = await parser.openProducts(inputPath);
+
+    const stats = {
+        records: 0,
+        events: 0,
+        mergedLines: 0,
+        valid: 0,
+        repaired: 0,
+        skipped: 0,
+        unknownProducts: 0,
+        issues: { count: 0, samples: [] }
+    };
+
+    const writer = new ShardedJSONLWriter(outputPath || getUserEventsPath(inputPath));
+    let outputFiles;
+    try {
+        for await (const event of converter.convert(records, stats)) {
+            await writer.write(event);
+        }
+    } finally {
+        outputFiles = await writer.close();
+    }
+
+    return { outputFiles, catalogProducts: catalogIds ? catalogIds.size : null, lineErrors, ...stats };
+}
+
+if (require.main === module) {
+    // Pull out --catalog, --validation and --default-currency ("--flag=value" or "--flag value"); the rest are positional
+    const args = [];
+    const flags = {};
+    const rawArgs = process.argv.slice(2);
+    for (let i = 0; i < rawArgs.length; i++) {
+        const flag = rawArgs[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (flag) {
+            flags[flag[1]] = flag[2] !== undefined ? flag[2] : rawArgs[++i];
+        } else {
+            args.push(rawArgs[i]);
+        }
+    }
+
+    if (args.length === 0) {
+        console.log('Usage: node scripts/conversion/convert_user_events.js <input> [output] [--catalog=<file|dir|none>] [--validation=fail|skip|repair|off] [--default-currency=USD]');
+        process.exit(1);
+    }
+
+    console.log('🛒 Retail user event conversion');
+    console.log(`📁 Input: ${args[0]}`);
+
+    convertUserEvents(args[0], args[1] || null, {
+        catalog: flags.catalog,
+        validationMode: flags.validation,
+        defaultCurrency: flags['default-currency']
+    })
+        .then(summary => {
+            console.log(`📁 Output: ${summary.outputFiles.join(', ')}`);
+            console.log(`📊 ${summary.events} events from ${summary.records} records` +
+                (summary.mergedLines > 0 ? ` (${summary.mergedLines} order lines merged)` : ''));
+            if (summary.repaired > 0) console.log(`🔧 Repaired: ${summary.repaired}`);
+            if (summary.unknownProducts > 0) console.log(`❓ Product references missing from the catalog: ${summary.unknownProducts}`);
+            if (summary.skipped > 0) {
+                console.log(`⚠️  Skipped ${summary.skipped} invalid events`);
+                summary.issues.samples.forEach(sample => console.log(`   - ${sample.event}: ${sample.violations.join('; ')}`));
+            }
+            if (summary.lineErrors.count > 0) console.log(`⚠️  Unreadable lines: ${summary.lineErrors.count}`);
+            console.log('✅ User event conversion completed successfully!');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('❌ User event conversion failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    convertUserEvents,
+    getUserEventsPath
+};
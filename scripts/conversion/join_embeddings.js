@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Embedding Sidecar Join
+ *
+ * Merges the dense vectors of an embedding sidecar (written with --separate-embeddings or
+ * OPTIMIZATION.SEPARATE_EMBEDDINGS) back into the product attributes, giving a product file that
+ * can be imported as-is. Products are matched by id, so grouped and sharded outputs join too.
+ *
+ * Usage:
+ *   node scripts/conversion/join_embeddings.js <products.jsonl> [more shards...]
+ *        [--embeddings=<sidecar .jsonl or .f32>] [--output=<file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const { EmbeddingSidecarReader, findEmbeddingSidecar } = require('../../lib/embedding_sidecar');
+const { ShardedJSONLWriter } = require('../../lib/jsonl_writer');
+const { CONFIG } = require('../../constants');
+
+/**
+ * Default output: <product output>_joined.jsonl next to it (shard suffixes dropped)
+ */
+function getJoinedPath(productOutputPath) {
+    const ext = path.extname(productOutputPath);
+    const name = path.basename(productOutputPath, ext).replace(/_shard_\d+$/, '');
+    return path.join(path.dirname(productOutputPath), `${name}${CONFIG.EMBEDDING_SIDECAR.JOINED_SUFFIX}${ext}`);
+}
+
+/**
+ * Join product files with their embedding sidecar
+ * @param {string[]} productFiles - Product output files (all shards of one output, in order)
+ * @param {Object} options - { embeddings: sidecar file, default the one next to the first product file; output: target JSONL }
+ * @returns {Promise<Object>} { outputFiles, embeddingsPath, products, joined, missing }
+ */
+async function joinEmbeddings(productFiles, options = {}) {
+    if (productFiles.length === 0) {
+        throw new Error('No product files to join');
+    }
+    productFiles.forEach(file => {
+        if (!fs.existsSync(file)) throw new Error(`Product file not found: ${file}`);
+    });
+
+    const embeddingsPath = options.embeddings || findEmbeddingSidecar(productFiles[0]);
+    if (!embeddingsPath) {
+        throw new Error(`No embedding sidecar found next to ${productFiles[0]}; pass --embeddings=<file>`);
+    }
+
+    const reader = await EmbeddingSidecarReader.open(embeddingsPath);
+    const writer = new ShardedJSONLWriter(options.output || getJoinedPath(productFiles[0]));
+    const summary = { embeddingsPath, products: 0, joined: 0, missing: 0 };
+
+    try {
+        for (const file of productFiles) {
+            const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+
+                const product = JSON.parse(line);
+                if (reader.attach(product)) {
+                    summary.joined++;
+                } else {
+                    summary.missing++;
+                }
+                await writer.write(product);
+                summary.products++;
+            }
+        }
+    } finally {
+        summary.outputFiles = await writer.close();
+        reader.close();
+    }
+
+    return summary;
+}
+
+if (require.main === module) {
+    // Pull out --embeddings and --output ("--flag=value" or "--flag value"); the rest are product files
+    const args = [];
+    const flags = {};
+    const rawArgs = process.argv.slice(2);
+    for (let i = 0; i < rawArgs.length; i++) {
+        const flag = rawArgs[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (flag) {
+            flags[flag[1]] = flag[2] !== undefined ? flag[2] : rawArgs[++i];
+        } else {
+            args.push(rawArgs[i]);
+        }
+    }
+
+    if (args.length === 0) {
+        console.log('Usage: node scripts/conversion/join_embeddings.js <products.jsonl> [more shards...] [--embeddings=<sidecar>] [--output=<file>]');
+        process.exit(1);
+    }
+
+    console.log('🧮 Embedding sidecar join');
+    console.log(`📁 Products: ${args.join(', ')}`);
+
+    joinEmbeddings(args, { embeddings: flags.embeddings, output: flags.output })
+        .then(summary => {
+            console.log(`🧩 Embeddings: ${summary.embeddingsPath}`);
+            console.log(`📁 Output: ${summary.outputFiles.join(', ')}`);
+            console.log(`📊 ${summary.joined}/${summary.products} products joined with their vectors`);
+            if (summary.missing > 0) console.log(`⚠️  Products without vectors in the sidecar: ${summary.missing}`);
+            console.log('✅ Embedding join completed successfully!');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('❌ Embedding join failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    joinEmbeddings,
+    getJoinedPath
+};
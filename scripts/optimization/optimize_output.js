@@ -13,7 +13,10 @@ const readline = require('readline');
 const { execSync } = require('child_process');
 
 // Import constants
-const { PATHS } = require('../../constants');
+const { PATHS, CONFIG, OPTIMIZATION } = require('../../constants');
+const { EmbeddingSidecarWriter, detachEmbeddings } = require('../../lib/embedding_sidecar');
+
+const { INDICES_ATTRIBUTE, VALUES_ATTRIBUTE } = CONFIG.EMBEDDINGS.SPARSE_OUTPUT;
 
 class OutputOptimizer {
     constructor() {
@@ -52,6 +55,24 @@ class OutputOptimizer {
         }
     }
 
+    /**
+     * Keep the strongest features of an indexed sparse vector ({indices, values} attributes)
+     * Writes the trimmed pair into target; indices stay in ascending order.
+     */
+    copyTopIndexedSparse(attributes, target, limit, precision) {
+        if (!attributes[INDICES_ATTRIBUTE] || !attributes[VALUES_ATTRIBUTE]) return;
+
+        const values = attributes[VALUES_ATTRIBUTE].numbers || [];
+        const top = (attributes[INDICES_ATTRIBUTE].numbers || [])
+            .map((index, position) => ({ index, weight: values[position] }))
+            .sort((a, b) => b.weight - a.weight)
+            .slice(0, limit)
+            .sort((a, b) => a.index - b.index);
+
+        target[INDICES_ATTRIBUTE] = { numbers: top.map(item => item.index) };
+        target[VALUES_ATTRIBUTE] = { numbers: top.map(item => parseFloat(item.weight.toFixed(precision))) };
+    }
+
     /**
      * Create minimal version - only essential data for search
      */
@@ -95,6 +116,7 @@ class OutputOptimizer {
                 
                 minimal.attributes.sparse_embedding = { text: topSparse };
             }
+            this.copyTopIndexedSparse(product.attributes, minimal.attributes, 20, 3);
 
             if (product.attributes.search_readiness_score) {
                 minimal.attributes.search_readiness_score = product.attributes.search_readiness_score;
@@ -145,6 +167,7 @@ class OutputOptimizer {
                     balanced.attributes[key].text = topSparse;
                 }
             });
+            this.copyTopIndexedSparse(balanced.attributes, balanced.attributes, 50, 4);
         }
 
         return balanced;
@@ -199,6 +222,7 @@ class OutputOptimizer {
                 
                 essentialAttributes.sparse_embedding = { text: topSparse };
             }
+            this.copyTopIndexedSparse(compact.attributes, essentialAttributes, 30, 3);
 
             if (compact.attributes.search_readiness_score) {
                 essentialAttributes.search_readiness_score = compact.attributes.search_readiness_score;
@@ -212,6 +236,7 @@ class OutputOptimizer {
 
     /**
      * Process a JSONL file and create optimized version
+     * Levels with SEPARATE_EMBEDDINGS move the dense vectors into an embedding sidecar next to the output.
      */
     async processFile(inputFile, outputFile, optimizationLevel) {
         console.log(`\n🔄 Processing: ${inputFile}`);
@@ -232,6 +257,8 @@ class OutputOptimizer {
         });
 
         const writeStream = fs.createWriteStream(outputPath);
+        const levelConfig = OPTIMIZATION.LEVELS[optimizationLevel.toUpperCase()];
+        const embeddingSidecar = levelConfig && levelConfig.SEPARATE_EMBEDDINGS ? new EmbeddingSidecarWriter(outputPath) : null;
         let processedCount = 0;
         let originalSize = 0;
         let optimizedSize = 0;
@@ -241,6 +268,10 @@ class OutputOptimizer {
                 try {
                     const product = JSON.parse(line);
                     const optimized = this.optimizeProduct(product, optimizationLevel);
+                    const vectors = embeddingSidecar && detachEmbeddings(optimized);
+                    if (vectors) {
+                        await embeddingSidecar.write(optimized.id, vectors);
+                    }
                     
                     const originalJson = JSON.stringify(product);
                     const optimizedJson = JSON.stringify(optimized);
@@ -263,6 +294,11 @@ class OutputOptimizer {
         writeStream.end();
         console.log(`\n✅ Completed: ${processedCount} products processed`);
 
+        if (embeddingSidecar) {
+            const sidecarFiles = await embeddingSidecar.close();
+            console.log(`🧮 Embeddings of ${embeddingSidecar.size} products: ${sidecarFiles.join(', ')}`);
+        }
+
         const compressionRatio = ((originalSize - optimizedSize) / originalSize * 100).toFixed(1);
         console.log(`💾 Size reduction: ${compressionRatio}%`);
         console.log(`📁 Output: ${outputPath}`);
@@ -331,6 +367,7 @@ class OutputOptimizer {
         console.log('1. 📦 MINIMAL (Smallest size, basic search functionality)');
         console.log('   - Essential fields only');
         console.log('   - Primary dense + sparse embeddings');
+        console.log('   - Dense vectors in a separate _embeddings file');
         console.log('   - 3 decimal precision');
         console.log('   - Expected reduction: ~70%');
         console.log('');
@@ -382,7 +419,9 @@ class OutputOptimizer {
         try {
             // Find JSONL files in output directory
             const files = fs.readdirSync(this.inputDir).filter(f => 
-                f.endsWith('.jsonl') && !f.includes('_optimized') && !f.includes('_minimal') && !f.includes('_compact')
+                f.endsWith('.jsonl') && !f.includes('_optimized') && !f.includes('_minimal') && !f.includes('_compact') &&
+                !f.includes('_local_inventory') && !f.includes('_user_events') &&
+                !f.endsWith(`${CONFIG.EMBEDDING_SIDECAR.SUFFIX}.jsonl`) && !f.endsWith(CONFIG.EMBEDDING_SIDECAR.INDEX_EXTENSION)
             );
 
             if (files.length === 0) {
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+/**
+ * Dense Embedding Quantization
+ *
+ * Quantizes the dense vectors of converted products to float16, scalar int8 (one scale per
+ * vector) and product quantization codes, writes them as .npy (or raw little-endian binary)
+ * with ids.json and a manifest.json describing every file, and measures how well each method
+ * keeps the float32 ranking: recall@k of the local search engine's cosine ranking over the
+ * decoded vectors against the ranking over the original ones.
+ *
+ * Usage:
+ *   node scripts/optimization/quantize_embeddings.js [output dir | product file] [--methods=float16,int8,pq]
+ *        [--format=npy|raw] [--output=<dir>] [--attribute=dense_embedding] [--subvectors=48] [--queries=<file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { CommerceSearchAPI, cosineSimilarity } = require('../../api/commerce_search_api');
+const { EmbeddingSidecarReader, findEmbeddingSidecar } = require('../../lib/embedding_sidecar');
+const {
+    ProductQuantizer,
+    createRandom,
+    sampleIndices,
+    quantizeFloat16,
+    dequantizeFloat16,
+    quantizeInt8,
+    dequantizeInt8,
+    writeArray
+} = require('../../lib/quantization');
+const { CONFIG, PATHS } = require('../../constants');
+
+// Bumped whenever the manifest layout changes
+const MANIFEST_VERSION = 1;
+
+/**
+ * Load converted products (and their embedding sidecar) through the search API and collect one
+ * attribute's vectors; vectors of another length than the first are skipped
+ * @returns {Promise<Object>} { api, ids, matrix: Float32Array, dimension, skipped }
+ */
+async function loadVectors(input, attribute) {
+    const api = new CommerceSearchAPI();
+    if (fs.statSync(input).isDirectory()) {
+        await api.loadFromDirectory(input);
+    } else {
+        const sidecarPath = findEmbeddingSidecar(input);
+        const embeddings = sidecarPath ? await EmbeddingSidecarReader.open(sidecarPath) : null;
+        try {
+            await api.loadFromFile(input, embeddings);
+        } finally {
+            if (embeddings) embeddings.close();
+        }
+    }
+
+    const vectors = [];
+    let dimension = 0;
+    let skipped = 0;
+    api.entries.forEach((entry, id) => {
+        const numbers = entry.product.attributes?.[attribute]?.numbers;
+        if (!Array.isArray(numbers) || numbers.length === 0) return;
+
+        if (dimension === 0) dimension = numbers.length;
+        if (numbers.length !== dimension) {
+            skipped++;
+            return;
+        }
+        vectors.push([id, numbers]);
+    });
+
+    const matrix = new Float32Array(vectors.length * dimension);
+    vectors.forEach(([, numbers], row) => matrix.set(numbers, row * dimension));
+    return { api, ids: vectors.map(([id]) => id), matrix, dimension, skipped };
+}
+
+/**
+ * Quantize the matrix with one method
+ * @returns {Object} { arrays: [{ name, array, dtype, shape, shared }], decoded: Float32Array, details }
+ *   shared arrays (PQ codebooks) do not grow with the number of vectors
+ */
+function quantize(method, matrix, dimension, options) {
+    const count = matrix.length / dimension;
+
+    if (method === 'float16') {
+        const halves = quantizeFloat16(matrix);
+        return {
+            arrays: [{ name: 'vectors', array: halves, dtype: 'float16', shape: [count, dimension] }],
+            decoded: dequantizeFloat16(halves),
+            details: {}
+        };
+    }
+
+    if (method === 'int8') {
+        const { codes, scales } = quantizeInt8(matrix, dimension);
+        return {
+            arrays: [
+                { name: 'codes', array: codes, dtype: 'int8', shape: [count, dimension] },
+                { name: 'scales', array: scales, dtype: 'float32', shape: [count] }
+            ],
+            decoded: dequantizeInt8(codes, scales, dimension),
+            details: { scheme: 'symmetric per vector: value = code * scale, scale = max |value| / 127' }
+        };
+    }
+
+    // Product quantization: codebooks trained on a sample, then every vector encoded
+    const quantizer = new ProductQuantizer(dimension, { subvectors: options.subvectors, seed: CONFIG.QUANTIZATION.SEED });
+    const sample = sampleIndices(count, CONFIG.QUANTIZATION.PQ.TRAINING_SAMPLE, createRandom(CONFIG.QUANTIZATION.SEED));
+    const training = new Float32Array(sample.length * dimension);
+    sample.forEach((row, position) => training.set(matrix.subarray(row * dimension, (row + 1) * dimension), position * dimension));
+    quantizer.train(training);
+
+    const codes = quantizer.encode(matrix);
+    return {
+        arrays: [
+            { name: 'codes', array: codes, dtype: 'uint8', shape: [count, quantizer.subvectors] },
+            { name: 'codebooks', array: quantizer.codebooks, dtype: 'float32', shape: [quantizer.subvectors, quantizer.centroids, quantizer.subDimension], shared: true }
+        ],
+        decoded: quantizer.decode(codes),
+        details: {
+            subvectors: quantizer.subvectors,
+            centroids: quantizer.centroids,
+            subvectorDimension: quantizer.subDimension,
+            iterations: quantizer.iterations,
+            trainingVectors: sample.length,
+            scheme: 'vector = concatenation of codebooks[s][codes[s]] over subvectors s'
+        }
+    };
+}
+
+/**
+ * Recall queries: the lines of a query file embedded like search queries, or products sampled
+ * with QUANTIZATION.SEED (those leave themselves out of their ranking)
+ * @returns {Promise<Array>} [{ vector, exclude: row or -1 }]
+ */
+async function selectQueries(api, matrix, dimension, queriesFile) {
+    if (queriesFile) {
+        if (!fs.existsSync(queriesFile)) {
+            throw new Error(`Query file not found: ${queriesFile}`);
+        }
+        const texts = fs.readFileSync(queriesFile, 'utf8').split('\n').map(line => line.trim()).filter(Boolean)
+            .slice(0, CONFIG.QUANTIZATION.RECALL.QUERIES);
+        const queries = [];
+        for (const text of texts) {
+            const { dense } = await api.embedQuery(text);
+            if (dense && dense.length === dimension) queries.push({ vector: dense, exclude: -1 });
+        }
+        return queries;
+    }
+
+    const count = matrix.length / dimension;
+    return sampleIndices(count, CONFIG.QUANTIZATION.RECALL.QUERIES, createRandom(CONFIG.QUANTIZATION.SEED + 1))
+        .map(row => ({ vector: matrix.subarray(row * dimension, (row + 1) * dimension), exclude: row }));
+}
+
+/**
+ * Rows of the top `limit` vectors by cosine similarity, best first (ties keep row order)
+ */
+function rankRows(query, matrix, dimension, limit) {
+    const count = matrix.length / dimension;
+    const scores = new Float64Array(count);
+    for (let row = 0; row < count; row++) {
+        scores[row] = row === query.exclude ?
+            -Infinity :
+            cosineSimilarity(query.vector, matrix.subarray(row * dimension, (row + 1) * dimension));
+    }
+    return Array.from(scores.keys())
+        .sort((a, b) => scores[b] - scores[a] || a - b)
+        .slice(0, limit);
+}
+
+/**
+ * Mean recall@k of a decoded matrix against the float32 rankings
+ * @param {Array} truth - Float32 top rows per query (rankRows)
+ * @returns {Object} { recall_at_<k>: fraction }
+ */
+function measureRecall(queries, truth, decoded, dimension, topK) {
+    const hits = topK.map(() => 0);
+    queries.forEach((query, index) => {
+        const ranked = rankRows(query, decoded, dimension, topK[topK.length - 1]);
+        topK.forEach((k, position) => {
+            const expected = new Set(truth[index].slice(0, k));
+            hits[position] += ranked.slice(0, k).filter(row => expected.has(row)).length / k;
+        });
+    });
+
+    const recall = {};
+    topK.forEach((k, position) => {
+        recall[`recall_at_${k}`] = queries.length > 0 ? parseFloat((hits[position] / queries.length).toFixed(4)) : null;
+    });
+    return recall;
+}
+
+/**
+ * Mean cosine similarity between each original vector and its decoded version
+ */
+function reconstructionCosine(matrix, decoded, dimension) {
+    const count = matrix.length / dimension;
+    let sum = 0;
+    for (let row = 0; row < count; row++) {
+        sum += cosineSimilarity(matrix.subarray(row * dimension, (row + 1) * dimension), decoded.subarray(row * dimension, (row + 1) * dimension));
+    }
+    return count > 0 ? parseFloat((sum / count).toFixed(6)) : null;
+}
+
+/**
+ * Quantize the vectors of converted output and measure recall
+ * @param {string} input - Output directory or product file (default the converter output directory)
+ * @param {Object} options - { methods, format, output, attribute, subvectors, queries: text file with one query per line }
+ * @returns {Promise<Object>} The manifest written to <output>/manifest.json
+ */
+async function quantizeEmbeddings(input = PATHS.OUTPUT_DIRECTORY, options = {}) {
+    const methods = options.methods || CONFIG.QUANTIZATION.METHODS;
+    const format = options.format || CONFIG.QUANTIZATION.FORMAT;
+    const attribute = options.attribute || CONFIG.QUANTIZATION.ATTRIBUTE;
+    const outputDir = options.output || path.join(PATHS.OPTIMIZED_DIRECTORY, CONFIG.QUANTIZATION.OUTPUT_DIRECTORY);
+
+    methods.forEach(method => {
+        if (!CONFIG.QUANTIZATION.METHODS.includes(method)) {
+            throw new Error(`Unknown quantization method "${method}". Expected one of: ${CONFIG.QUANTIZATION.METHODS.join(', ')}`);
+        }
+    });
+    if (!CONFIG.QUANTIZATION.FORMATS.includes(format)) {
+        throw new Error(`Unknown array format "${format}". Expected one of: ${CONFIG.QUANTIZATION.FORMATS.join(', ')}`);
+    }
+    if (!fs.existsSync(input)) {
+        throw new Error(`Input not found: ${input}`);
+    }
+
+    const { api, ids, matrix, dimension, skipped } = await loadVectors(input, attribute);
+    if (ids.length === 0) {
+        throw new Error(`No "${attribute}" vectors found in ${input}`);
+    }
+
+    // Recall is measured at every TOP_K the product count allows
+    const queries = await selectQueries(api, matrix, dimension, options.queries);
+    const candidates = options.queries ? ids.length : ids.length - 1;
+    const topK = CONFIG.QUANTIZATION.RECALL.TOP_K.filter(k => k <= candidates);
+    const truth = topK.length > 0 ? queries.map(query => rankRows(query, matrix, dimension, topK[topK.length - 1])) : [];
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'ids.json'), JSON.stringify(ids), 'utf8');
+
+    const float32Bytes = matrix.byteLength;
+    const manifest = {
+        formatVersion: MANIFEST_VERSION,
+        createdAt: new Date().toISOString(),
+        source: path.resolve(input),
+        attribute,
+        count: ids.length,
+        dimension,
+        skippedVectors: skipped,
+        format,
+        byteOrder: 'little-endian',
+        ids: 'ids.json',
+        float32Bytes,
+        recall: {
+            baseline: 'float32 cosine ranking',
+            queries: queries.length,
+            querySource: options.queries ? path.resolve(options.queries) : 'sampled products (excluded from their own ranking)',
+            topK
+        },
+        methods: {}
+    };
+
+    for (const method of methods) {
+        const { arrays, decoded, details } = quantize(method, matrix, dimension, options);
+
+        const files = {};
+        let bytes = 0;
+        let vectorBytes = 0;
+        arrays.forEach(({ name, array, dtype, shape, shared }) => {
+            const file = `${attribute}.${method}_${name}.${format === 'npy' ? 'npy' : 'bin'}`;
+            writeArray(path.join(outputDir, file), array, dtype, shape, format);
+            files[name] = { file, dtype, shape };
+            bytes += array.byteLength;
+            if (!shared) vectorBytes += array.byteLength;
+        });
+
+        manifest.methods[method] = {
+            ...details,
+            files,
+            bytes,
+            bytesPerVector: parseFloat((vectorBytes / ids.length).toFixed(2)),
+            compression: parseFloat((float32Bytes / bytes).toFixed(2)),
+            reconstructionCosine: reconstructionCosine(matrix, decoded, dimension),
+            ...measureRecall(queries, truth, decoded, dimension, topK)
+        };
+    }
+
+    fs.writeFileSync(path.join(outputDir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+    manifest.outputDir = outputDir;
+    return manifest;
+}
+
+if (require.main === module) {
+    // Pull out --methods, --format, --output, --attribute, --subvectors and --queries ("--flag=value" or "--flag value");
+    // the rest are positional
+    const args = [];
+    const flags = {};
+    const rawArgs = process.argv.slice(2);
+    for (let i = 0; i < rawArgs.length; i++) {
+        const flag = rawArgs[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (flag) {
+            flags[flag[1]] = flag[2] !== undefined ? flag[2] : rawArgs[++i];
+        } else {
+            args.push(rawArgs[i]);
+        }
+    }
+
+    const input = args[0] || PATHS.OUTPUT_DIRECTORY;
+    console.log('🧮 Dense embedding quantization');
+    console.log(`📁 Input: ${input}`);
+
+    quantizeEmbeddings(input, {
+        methods: flags.methods ? flags.methods.split(',').map(method => method.trim()) : undefined,
+        format: flags.format,
+        output: flags.output,
+        attribute: flags.attribute,
+        subvectors: flags.subvectors ? parseInt(flags.subvectors) : undefined,
+        queries: flags.queries
+    })
+        .then(manifest => {
+            console.log(`📊 ${manifest.count} ${manifest.attribute} vectors (${manifest.dimension} dims), ${manifest.recall.queries} recall queries`);
+            if (manifest.skippedVectors > 0) console.log(`⚠️  Vectors with another dimension skipped: ${manifest.skippedVectors}`);
+            Object.entries(manifest.methods).forEach(([method, stats]) => {
+                const recall = manifest.recall.topK.map(k => `@${k} ${stats[`recall_at_${k}`]}`).join('  ');
+                console.log(`   ${method.padEnd(8)} ${String(stats.bytesPerVector).padStart(8)} B/vector  ${String(stats.compression).padStart(6)}x  ` +
+                    `cos ${stats.reconstructionCosine}  recall ${recall}`);
+            });
+            console.log(`📁 Output: ${manifest.outputDir}/ (manifest.json)`);
+            console.log('✅ Quantization completed successfully!');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('❌ Quantization failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    quantizeEmbeddings
+};
@@ -0,0 +1,78 @@
+/**
+ * BPN Product Converter Tests
+ *
+ * Converts test/fixtures/bpn_products.json and compares the mapped fields with
+ * test/fixtures/bpn_products.expected.json; then runs the same file through processBPNProducts.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ProductConverter, UniversalConverter } = require('../universal_converter');
+const { CONFIG } = require('../constants');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'bpn_products.json');
+const records = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+const expected = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'bpn_products.expected.json'), 'utf8'));
+
+const converter = new ProductConverter();
+const converted = records.map(record => converter.convertBPNProduct(record));
+
+test('maps ids from the BPN id fields in lookup order', () => {
+    assert.deepEqual(converted.map(product => product.id), expected.map(product => product.id));
+});
+
+test('cleans titles and builds category paths', () => {
+    converted.forEach((product, i) => {
+        assert.equal(product.title, expected[i].title);
+        assert.deepEqual(product.categories, expected[i].categories);
+    });
+});
+
+test('builds priceInfo with currency, original price and cost', () => {
+    converted.forEach((product, i) => {
+        assert.deepEqual(product.priceInfo, expected[i].priceInfo, `priceInfo of ${product.id}`);
+    });
+});
+
+test('derives availability from inventory, then from status fields', () => {
+    assert.deepEqual(converted.map(product => product.availability), expected.map(product => product.availability));
+});
+
+test('determineAvailability treats positive inventory as in stock', () => {
+    assert.equal(converter.determineAvailability(5), 'IN_STOCK');
+    assert.equal(converter.determineAvailability(0), 'OUT_OF_STOCK');
+    assert.equal(converter.determineAvailability(-2), 'OUT_OF_STOCK');
+    assert.equal(converter.determineAvailability(undefined), 'IN_STOCK');
+});
+
+test('maps attribute fields, brands, images and uri', () => {
+    converted.forEach((product, i) => {
+        assert.deepEqual(product.attributes, expected[i].attributes, `attributes of ${product.id}`);
+        assert.deepEqual(product.brands, expected[i].brands);
+        assert.deepEqual(product.images, expected[i].images);
+        assert.equal(product.uri, expected[i].uri);
+    });
+});
+
+test('processBPNProducts converts the fixture through the shared pipeline', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bpn-test-'));
+    try {
+        const outputPath = path.join(directory, 'bpn_products_commerce_ready.jsonl');
+        const summary = await new UniversalConverter().processBPNProducts(FIXTURE, outputPath);
+
+        const products = fs.readFileSync(outputPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(summary.totalProducts, records.length);
+        assert.deepEqual(products.map(product => product.id), expected.map(product => product.id));
+        products.forEach(product => {
+            assert.equal(product.attributes.dense_embedding.numbers.length, CONFIG.EMBEDDINGS.DENSE_DIM);
+        });
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
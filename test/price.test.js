@@ -0,0 +1,75 @@
+/**
+ * Price Parsing Tests
+ *
+ * Locale separators, ranges, ambiguous multi-number strings and currency detection
+ * in lib/price.js.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePrice, detectCurrency, buildPriceInfo } = require('../lib/price');
+
+test('parsePrice reads locale thousands and decimal separators', () => {
+    assert.equal(parsePrice('$1,299.99'), 1299.99);
+    assert.equal(parsePrice('1.299,99 €'), 1299.99);
+    assert.equal(parsePrice('19,5'), 19.5);
+    assert.equal(parsePrice('1.000.000'), 1000000);
+    assert.equal(parsePrice('€ 1.299'), 1299);
+    assert.equal(parsePrice('$1.299'), 1.299);
+    assert.equal(parsePrice('1 299,99 €'), 1299.99);
+});
+
+test('parsePrice uses the currency to read a single dot', () => {
+    assert.equal(parsePrice('1.299', 'EUR'), 1299);
+    assert.equal(parsePrice('1.299', 'USD'), 1.299);
+    assert.equal(parsePrice('0.999', 'EUR'), 0.999);
+});
+
+test('parsePrice returns the lower bound of a range', () => {
+    assert.equal(parsePrice('$10 - $20'), 10);
+    assert.equal(parsePrice('$20 to $10'), 10);
+    assert.equal(parsePrice('1.299,99 € – 1.499,99 €'), 1299.99);
+});
+
+test('parsePrice leaves strings with several numbers unparsed', () => {
+    assert.equal(parsePrice('Was $20 Now $15'), undefined);
+    assert.equal(parsePrice('3 for $10'), undefined);
+    assert.equal(parsePrice('19.99 / 2 pack'), undefined);
+});
+
+test('parsePrice passes numbers through and rejects empty values', () => {
+    assert.equal(parsePrice(19.99), 19.99);
+    assert.equal(parsePrice(Infinity), undefined);
+    assert.equal(parsePrice(null), undefined);
+    assert.equal(parsePrice('call for price'), undefined);
+});
+
+test('detectCurrency only accepts a code next to the number', () => {
+    assert.equal(detectCurrency('19.99 USD'), 'USD');
+    assert.equal(detectCurrency('USD 19.99'), 'USD');
+    assert.equal(detectCurrency('€5'), 'EUR');
+    assert.equal(detectCurrency('ALL SIZES 19.99'), null);
+    assert.equal(detectCurrency('CUP HOLDER 19.99'), null);
+    assert.equal(detectCurrency('19.99 PEN REFILL'), null);
+    assert.equal(detectCurrency('19.99'), null);
+});
+
+test('buildPriceInfo keeps an ISO-looking word out of currencyCode', () => {
+    assert.deepEqual(buildPriceInfo({ price: 'ALL SIZES 19.99' }, 'GBP'), { currencyCode: 'GBP', price: 19.99 });
+});
+
+test('buildPriceInfo parses every price in the detected currency', () => {
+    assert.deepEqual(
+        buildPriceInfo({ price: '1.299,99 €', originalPrice: '1.499,99 €', cost: '800' }),
+        { currencyCode: 'EUR', price: 1299.99, originalPrice: 1499.99, cost: 800 }
+    );
+    assert.deepEqual(buildPriceInfo({ price: '€ 1.299' }), { currencyCode: 'EUR', price: 1299 });
+});
+
+test('buildPriceInfo drops ambiguous prices and low original prices', () => {
+    assert.equal(buildPriceInfo({ price: 'Was $20 Now $15' }), null);
+    assert.deepEqual(buildPriceInfo({ price: '$20', originalPrice: '$15' }), { currencyCode: 'USD', price: 20 });
+});
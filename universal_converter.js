@@ -11,31 +11,57 @@
 
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
 const natural = require('natural');
 
-// Note: Enhanced dependencies for scalability (Transform, pipeline, Worker threads)
-// were removed as they are not currently used in the implementation.
-// These can be re-added when implementing streaming transforms or worker thread processing.
+// Note: Worker threads were removed as they are not currently used in the implementation.
+// Files are streamed through async-iterator stages (see lib/pipeline.js) instead.
 
 // Import constants from the constants folder
 const {
     CONFIG,
+    PATHS,
     TEXT_PATTERNS,
     SYNONYMS,
     PATTERN_BOOSTS
 } = require('./constants');
+const { createEmbeddingProvider } = require('./lib/providers');
+const { MappingProfileRegistry, applyProfile } = require('./lib/mapping_profiles');
+const { buildPriceInfo } = require('./lib/price');
+const { RetailSchemaValidator } = require('./lib/retail_schema_validator');
+const { ShardedJSONLWriter } = require('./lib/jsonl_writer');
+const { peek, batches } = require('./lib/pipeline');
+const { VariantGrouper } = require('./lib/variant_grouping');
+const { CurrencyConverter } = require('./lib/currency_converter');
+const { CorpusStats } = require('./lib/corpus_stats');
+const { SparseVocabulary } = require('./lib/sparse_vocabulary');
+const { VectorSearchWriter } = require('./lib/vector_search_writer');
+const { EmbeddingSidecarWriter, EmbeddingSidecarReader, removeEmbeddingSidecars } = require('./lib/embedding_sidecar');
+const { resolvePointer } = require('./lib/json_pointer');
+const { getLanguageTools, resolveLanguageCode } = require('./lib/text_language');
+const { decodeHtmlEntities } = require('./lib/html_entities');
+const { readCSVRecords, buildColumnNames } = require('./lib/csv_reader');
 
 // Note: Install these packages for production use:
-// npm install stream-json p-queue winston cli-progress
+// npm install stream-json p-queue winston cli-progress sax
 // For now, we'll use fallbacks if packages are not available
 
-let StreamArray, PQueue, winston, cliProgress;
+let ProductArrayStreamer, readFeedItems, PQueue, winston, cliProgress;
 
 try {
-    StreamArray = require('stream-json/streamers/StreamArray');
+    ProductArrayStreamer = require('./lib/json_product_stream').ProductArrayStreamer;
 } catch (e) {
     console.warn('⚠️  stream-json not installed. Using fallback JSON parsing.');
-    StreamArray = null;
+    ProductArrayStreamer = null;
+}
+
+try {
+    readFeedItems = require('./lib/merchant_feed_stream').readFeedItems;
+} catch (e) {
+    console.warn('⚠️  sax not installed. Merchant Center XML feeds cannot be read.');
+    readFeedItems = null;
 }
 
 try {
@@ -198,6 +224,20 @@ class MemoryMonitor {
     }
 }
 
+/**
+ * Whether a file is gzip-compressed (by extension)
+ */
+function isGzipped(filePath) {
+    return /\.gz$/i.test(filePath);
+}
+
+/**
+ * Drop a trailing .gz so the real extension can be inspected ("a.jsonl.gz" -> "a.jsonl")
+ */
+function stripGzipExtension(filePath) {
+    return filePath.replace(/\.gz$/i, '');
+}
+
 /**
  * Streaming JSON Parser for large files
  */
@@ -206,90 +246,308 @@ class StreamingJSONParser {
         this.logger = logger;
     }
 
-    async parseJSONFile(filePath) {
-        if (StreamArray && CONFIG.PROCESSING.ENABLE_STREAMING) {
-            return this.parseWithStreaming(filePath);
-        } else {
-            return this.parseWithFallback(filePath);
+    /**
+     * Open a file as a stream of products
+     * @param {string} filePath - JSON, NDJSON, CSV/TSV or XML feed file (all but JSON may be gzipped)
+     * @param {Object} options - { pointer: JSON pointer to the product array (defaults to STREAMING.PRODUCTS_POINTER) }
+     * @returns {Promise<Object>} { container, products, lineErrors }
+     *   container: where the products were found - 'array' | 'products' | 'data' | 'items' |
+     *              'pointer' | 'discovered' | 'ndjson' | 'csv' | 'merchant_feed' | 'object'
+     *   products: (async) iterable of raw products
+     *   lineErrors: { count, samples: [{ line, snippet, error }] } - filled while NDJSON/CSV is read
+     */
+    async openProducts(filePath, options = {}) {
+        const pointer = options.pointer !== undefined && options.pointer !== null ?
+            options.pointer : CONFIG.PROCESSING.STREAMING.PRODUCTS_POINTER;
+        const lineErrors = { count: 0, samples: [] };
+
+        if (this.isXMLFeed(filePath)) {
+            if (!readFeedItems) {
+                throw new Error('Reading XML feeds requires the sax package (npm install sax)');
+            }
+            this.logger.info(`Reading Merchant Center feed items: ${path.basename(filePath)}`);
+            return { container: 'merchant_feed', products: this.streamFeedItems(filePath), lineErrors };
+        }
+
+        if (this.isCSV(filePath)) {
+            this.logger.info(`Reading delimited rows: ${path.basename(filePath)}`);
+            return { container: 'csv', products: this.streamCSV(filePath, lineErrors), lineErrors };
+        }
+
+        if (this.isNDJSON(filePath)) {
+            this.logger.info(`Reading NDJSON line by line: ${path.basename(filePath)}`);
+            return { container: 'ndjson', products: this.streamNDJSON(filePath, lineErrors), lineErrors };
+        }
+
+        if (ProductArrayStreamer && CONFIG.PROCESSING.ENABLE_STREAMING) {
+            this.logger.info(`Using streaming parser for: ${path.basename(filePath)}`);
+
+            const streamer = new ProductArrayStreamer({
+                pointer,
+                wrapperKeys: CONFIG.PROCESSING.STREAMING.WRAPPER_KEYS,
+                minItems: CONFIG.PROCESSING.STREAMING.AUTO_DISCOVER_MIN_ITEMS
+            });
+
+            // Pull the first product so the container is known before conversion starts
+            const { items } = await peek(this.streamProducts(filePath, streamer));
+            if (!streamer.unresolved) {
+                return { container: streamer.container, products: items, lineErrors };
+            }
+
+            // No product array anywhere (e.g. a single product object): the file is small enough to parse whole
+            this.logger.info(`No product array found while streaming, parsing whole file: ${path.basename(filePath)}`);
+        }
+
+        const { container, products } = await this.parseWithFallback(filePath, pointer);
+        return { container, products, lineErrors };
+    }
+
+    /**
+     * Parse a whole file into an array (kept for callers that need every product at once)
+     */
+    async parseJSONFile(filePath, options = {}) {
+        const { products } = await this.openProducts(filePath, options);
+        const items = [];
+        for await (const product of products) {
+            items.push(product);
+        }
+        return items;
+    }
+
+    /**
+     * NDJSON by extension, or by content: the first line is a complete object and the next line starts another
+     */
+    isNDJSON(filePath) {
+        const { NDJSON_EXTENSIONS, SNIFF_BYTES } = CONFIG.PROCESSING.STREAMING;
+        if (NDJSON_EXTENSIONS.includes(path.extname(stripGzipExtension(filePath)).toLowerCase())) return true;
+        if (isGzipped(filePath)) return false;
+
+        const lines = this.readHead(filePath, SNIFF_BYTES)
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+        if (lines.length < 2 || !lines[0].startsWith('{') || !lines[1].startsWith('{')) return false;
+
+        try {
+            JSON.parse(lines[0]);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read the first bytes of a file without loading the rest
+     */
+    readHead(filePath, bytes) {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(bytes);
+            const bytesRead = fs.readSync(fd, buffer, 0, bytes, 0);
+            return buffer.toString('utf8', 0, bytesRead);
+        } catch (error) {
+            return '';
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Yield products one at a time; the file is only read as fast as products are consumed
+     */
+    async *streamProducts(filePath, streamer) {
+        // Errors destroy the last stage, which makes the for-await below throw
+        const stream = pipeline(fs.createReadStream(filePath), ProductArrayStreamer.tokenizer(), streamer, () => {});
+
+        let count = 0;
+        try {
+            for await (const product of stream) {
+                count++;
+                yield product;
+            }
+        } catch (error) {
+            this.logger.error(`Streaming parse error: ${error.message}`);
+            throw error;
+        }
+
+        if (!streamer.unresolved) {
+            this.logger.info(`Streaming parse complete: ${count} items (${streamer.container})`);
         }
     }
 
-    async parseWithStreaming(filePath) {
-        this.logger.info(`Using streaming parser for: ${path.basename(filePath)}`);
+    /**
+     * Yield one product per non-empty line, decompressing .gz files on the fly
+     * A bad line is recorded in lineErrors and skipped instead of failing the file
+     */
+    async *streamNDJSON(filePath, lineErrors = { count: 0, samples: [] }) {
+        const fileName = path.basename(filePath);
+        const lines = readline.createInterface({ input: this.openInput(filePath), crlfDelay: Infinity });
 
-        return new Promise((resolve, reject) => {
-            const products = [];
-            let isVertexFormat = false;
+        let lineNumber = 0;
+        for await (const line of lines) {
+            lineNumber++;
+            if (!line.trim()) continue;
 
-            // First, check if this is a vertex catalog format
+            let product;
             try {
-                const sampleData = fs.readFileSync(filePath, 'utf8').substring(0, 1000);
-                if (sampleData.includes('"products":[')) {
-                    isVertexFormat = true;
+                product = JSON.parse(line);
+                if (!product || typeof product !== 'object' || Array.isArray(product)) {
+                    throw new Error('Expected a JSON object');
                 }
             } catch (error) {
-                // Continue with normal parsing
+                this.recordLineError(lineErrors, fileName, lineNumber, line, error.message);
+                continue;
             }
 
-            if (isVertexFormat) {
-                // Handle vertex catalog format with nested products
-                const stream = fs.createReadStream(filePath)
-                    .pipe(StreamArray.withParser('products.*'));
+            yield product;
+        }
 
-                stream.on('data', ({ value }) => {
-                    products.push(value);
-                });
+        if (lineErrors.count > 0) {
+            this.logger.warn(`${fileName}: skipped ${lineErrors.count} invalid line(s) of ${lineNumber}`);
+        }
+    }
 
-                stream.on('end', () => {
-                    this.logger.info(`Streaming parse complete: ${products.length} items`);
-                    resolve(products);
-                });
+    /**
+     * Yield one plain object per CSV/TSV row, keyed by the (normalized) header row
+     * Empty cells are left out so the converter's fallback field lists still apply;
+     * MULTI_VALUE_COLUMNS are split into arrays on MULTI_VALUE_DELIMITER.
+     */
+    async *streamCSV(filePath, lineErrors = { count: 0, samples: [] }) {
+        const csvConfig = CONFIG.FORMATS.CSV;
+        const fileName = path.basename(filePath);
+        const extension = path.extname(stripGzipExtension(filePath)).toLowerCase();
+        const delimiter = csvConfig.DELIMITER || csvConfig.EXTENSIONS[extension] || ',';
+        const multiValueColumns = new Set(csvConfig.MULTI_VALUE_COLUMNS);
+
+        const input = this.openInput(filePath);
+        input.setEncoding('utf8');
+
+        let columns = null;
+        let rows = 0;
+        for await (const record of readCSVRecords(input, { delimiter, quote: csvConfig.QUOTE })) {
+            if (record.error) {
+                this.recordLineError(lineErrors, fileName, record.line, '', record.error);
+                continue;
+            }
+            if (!columns) {
+                columns = buildColumnNames(record.fields, csvConfig.NORMALIZE_HEADERS);
+                continue;
+            }
 
-                stream.on('error', (error) => {
-                    this.logger.error(`Streaming parse error: ${error.message}`);
-                    reject(error);
-                });
-            } else {
-                // Handle direct array format
-                const stream = fs.createReadStream(filePath)
-                    .pipe(StreamArray.withParser());
+            rows++;
+            // Spreadsheet exports drop trailing empty cells, so short rows are fine; long rows are not
+            if (record.fields.length > columns.length) {
+                this.recordLineError(lineErrors, fileName, record.line, record.fields.join(delimiter),
+                    `Row has ${record.fields.length} fields, header has ${columns.length}`);
+                continue;
+            }
 
-                stream.on('data', ({ value }) => {
-                    products.push(value);
-                });
+            const product = {};
+            record.fields.forEach((rawValue, index) => {
+                const value = rawValue.trim();
+                if (!value) return;
 
-                stream.on('end', () => {
-                    this.logger.info(`Streaming parse complete: ${products.length} items`);
-                    resolve(products);
-                });
+                const column = columns[index];
+                product[column] = multiValueColumns.has(column) ?
+                    value.split(csvConfig.MULTI_VALUE_DELIMITER).map(item => item.trim()).filter(Boolean) :
+                    value;
+            });
 
-                stream.on('error', (error) => {
-                    this.logger.error(`Streaming parse error: ${error.message}`);
-                    reject(error);
-                });
-            }
-        });
+            yield product;
+        }
+
+        if (lineErrors.count > 0) {
+            this.logger.warn(`${fileName}: skipped ${lineErrors.count} invalid row(s) of ${rows}`);
+        }
+    }
+
+    /**
+     * Yield Merchant Center feed items (<item>/<entry>) one at a time
+     */
+    async *streamFeedItems(filePath) {
+        let count = 0;
+        for await (const item of readFeedItems(this.openInput(filePath), {
+            itemElements: CONFIG.FORMATS.MERCHANT_CENTER.ITEM_ELEMENTS
+        })) {
+            count++;
+            yield item;
+        }
+        this.logger.info(`Feed parse complete: ${count} items`);
+    }
+
+    /**
+     * Read stream for a file, decompressing .gz on the fly
+     */
+    openInput(filePath) {
+        return isGzipped(filePath) ?
+            pipeline(fs.createReadStream(filePath), zlib.createGunzip(), () => {}) :
+            fs.createReadStream(filePath);
     }
 
-    async parseWithFallback(filePath) {
+    /**
+     * Count a bad line/row and keep the first MAX_LOGGED_LINE_ERRORS as samples
+     */
+    recordLineError(lineErrors, fileName, lineNumber, raw, message) {
+        const { MAX_LOGGED_LINE_ERRORS, ERROR_SNIPPET_LENGTH } = CONFIG.PROCESSING.STREAMING;
+        lineErrors.count++;
+        const snippet = raw.length > ERROR_SNIPPET_LENGTH ? `${raw.substring(0, ERROR_SNIPPET_LENGTH)}...` : raw;
+
+        if (lineErrors.count <= MAX_LOGGED_LINE_ERRORS) {
+            lineErrors.samples.push({ line: lineNumber, snippet, error: message });
+            this.logger.warn(`Skipping invalid line ${lineNumber} of ${fileName}: ${message}`, { snippet });
+        } else if (lineErrors.count === MAX_LOGGED_LINE_ERRORS + 1) {
+            this.logger.warn(`More invalid lines in ${fileName}; further lines are counted but not logged`);
+        }
+    }
+
+    /**
+     * Merchant Center XML/RSS/Atom feed by extension (see FORMATS.MERCHANT_CENTER.EXTENSIONS)
+     */
+    isXMLFeed(filePath) {
+        const extension = path.extname(stripGzipExtension(filePath)).toLowerCase();
+        return CONFIG.FORMATS.MERCHANT_CENTER.EXTENSIONS.includes(extension);
+    }
+
+    /**
+     * CSV/TSV by extension (see FORMATS.CSV.EXTENSIONS)
+     */
+    isCSV(filePath) {
+        const extension = path.extname(stripGzipExtension(filePath)).toLowerCase();
+        return Object.prototype.hasOwnProperty.call(CONFIG.FORMATS.CSV.EXTENSIONS, extension);
+    }
+
+    /**
+     * Load and parse the whole file
+     * @param {string} filePath - JSON file
+     * @param {string} pointer - Optional JSON pointer to the product array
+     * @returns {Promise<Object>} { container, products: Array }
+     */
+    async parseWithFallback(filePath, pointer = null) {
         this.logger.info(`Using fallback parser for: ${path.basename(filePath)}`);
 
         try {
             const rawData = fs.readFileSync(filePath, 'utf8');
             const jsonData = JSON.parse(rawData);
 
+            if (pointer !== null && pointer !== undefined) {
+                const value = resolvePointer(jsonData, pointer);
+                if (value === undefined || value === null) {
+                    throw new Error(`JSON pointer "${pointer}" not found`);
+                }
+                return { container: 'pointer', products: Array.isArray(value) ? value : [value] };
+            }
+
             // Handle different JSON structures
             if (Array.isArray(jsonData)) {
-                return jsonData;
-            } else if (jsonData.products && Array.isArray(jsonData.products)) {
-                return jsonData.products;
-            } else if (jsonData.data && Array.isArray(jsonData.data)) {
-                return jsonData.data;
-            } else if (jsonData.items && Array.isArray(jsonData.items)) {
-                return jsonData.items;
-            } else {
-                return [jsonData]; // Single object
+                return { container: 'array', products: jsonData };
+            }
+
+            const wrapperKey = CONFIG.PROCESSING.STREAMING.WRAPPER_KEYS.find(key => Array.isArray(jsonData[key]));
+            if (wrapperKey) {
+                return { container: wrapperKey, products: jsonData[wrapperKey] };
             }
+
+            return { container: 'object', products: [jsonData] }; // Single object
         } catch (error) {
             this.logger.error(`Fallback parse error: ${error.message}`);
             throw error;
@@ -297,14 +555,41 @@ class StreamingJSONParser {
     }
 }
 
+// Scripts written without spaces between words; tokens in them are split with Intl.Segmenter
+const UNSPACED_SCRIPTS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+/**
+ * Escape characters for use inside a RegExp character class
+ */
+function escapeCharacterClass(characters) {
+    return characters.map(character => character.replace(/[\\\]\[^-]/g, '\\$&')).join('');
+}
+
+// Sparse embedding fields: extractKeywords context, searchable component (null = the full
+// weighted text), keyword count and weight in the combined sparse embedding
+const SPARSE_FIELDS = [
+    { context: 'general', component: null, maxFeatures: CONFIG.EMBEDDINGS.MAX_SPARSE_FEATURES, weight: 1.0 },
+    { context: 'title', component: 'title', maxFeatures: 20, weight: 2.5 },
+    { context: 'category', component: 'categories', maxFeatures: 15, weight: 2.0 },
+    { context: 'brand', component: 'brands', maxFeatures: 10, weight: 2.0 },
+    { context: 'attributes', component: 'attributes', maxFeatures: 25, weight: 1.5 }
+];
+
 /**
  * Enhanced text processing utilities - Optimized for comprehensive search
  */
 class TextProcessor {
     constructor() {
-        this.stemmer = natural.PorterStemmer;
-        this.tokenizer = new natural.WordTokenizer();
-        this.stopwords = new Set(natural.stopwords);
+        const cleaning = CONFIG.EMBEDDINGS.TEXT_CLEANING;
+        const keywordCharacters = escapeCharacterClass(cleaning.KEYWORD_CHARACTERS);
+
+        // Everything but letters, marks, digits, whitespace, _-.()[]/ and the preserve-list is removed
+        this.removedCharacters = new RegExp(`[^\\p{L}\\p{M}\\p{N}\\s_\\-.()\\[\\]/${escapeCharacterClass(cleaning.PRESERVE_CHARACTERS)}` +
+            `${cleaning.PRESERVE_CURRENCY_SYMBOLS ? '\\p{Sc}' : ''}]`, 'gu');
+        // A token is a run of letters/digits, optionally carrying keyword characters ("c++", "#1", "h&m")
+        this.tokenPattern = new RegExp(`[${keywordCharacters}]*[\\p{L}\\p{M}\\p{N}][\\p{L}\\p{M}\\p{N}${keywordCharacters}]*`, 'gu');
+        this.keywordCharacterPattern = new RegExp(`[${keywordCharacters}]`, 'u');
+        this.wordSegmenter = typeof Intl.Segmenter === 'function' ? new Intl.Segmenter(undefined, { granularity: 'word' }) : null;
 
         // Use patterns and synonyms from constants
         this.searchPatterns = {
@@ -318,20 +603,47 @@ class TextProcessor {
 
         // Use synonyms from constants
         this.synonyms = SYNONYMS;
+
+        // Term weighting of extractKeywords; corpus statistics are set with setSparseWeighting
+        this.weightingMode = 'tf';
+        this.corpusStats = null;
+    }
+
+    /**
+     * Weigh keywords by TF-IDF or BM25 over a corpus instead of term frequency alone
+     * @param {string} mode - 'tf' | 'tfidf' | 'bm25' (see EMBEDDINGS.SPARSE_WEIGHTING)
+     * @param {CorpusStats} corpusStats - Required unless mode is 'tf'
+     */
+    setSparseWeighting(mode, corpusStats = null) {
+        if (!CONFIG.EMBEDDINGS.SPARSE_WEIGHTING.MODES.includes(mode)) {
+            throw new Error(`Unknown sparse weighting "${mode}". Expected one of: ${CONFIG.EMBEDDINGS.SPARSE_WEIGHTING.MODES.join(', ')}`);
+        }
+        if (mode !== 'tf' && !corpusStats) {
+            throw new Error(`Sparse weighting "${mode}" needs corpus statistics`);
+        }
+        this.weightingMode = mode;
+        this.corpusStats = mode === 'tf' ? null : corpusStats;
     }
 
     /**
      * Advanced text cleaning with commerce-specific optimizations
+     * Letters and digits of every script survive; other characters only when preserved
+     * (see EMBEDDINGS.TEXT_CLEANING).
      */
     cleanText(text) {
         if (!text || typeof text !== 'string') return '';
+        const cleaning = CONFIG.EMBEDDINGS.TEXT_CLEANING;
 
-        // Remove HTML tags and entities
+        // Remove HTML tags, then decode entities ("&amp;" -> "&") or drop them
         text = text.replace(/<[^>]*>/g, ' ');
-        text = text.replace(/&[a-zA-Z0-9#]+;/g, ' ');
+        text = cleaning.DECODE_ENTITIES ? decodeHtmlEntities(text) : text.replace(/&[a-zA-Z0-9#]+;/g, ' ');
+
+        if (cleaning.NORMALIZATION) {
+            text = text.normalize(cleaning.NORMALIZATION);
+        }
 
         // Preserve important punctuation for product codes
-        text = text.replace(/[^\w\s\-\.\(\)\[\]\/]/g, ' ');
+        text = text.replace(this.removedCharacters, ' ');
 
         // Normalize whitespace
         text = text.replace(/\s+/g, ' ').trim();
@@ -339,6 +651,20 @@ class TextProcessor {
         return text;
     }
 
+    /**
+     * Split text into word tokens; runs of Chinese, Japanese, Thai, ... are segmented into words
+     */
+    tokenize(text) {
+        const tokens = text.match(this.tokenPattern) || [];
+        if (!this.wordSegmenter) return tokens;
+
+        return tokens.flatMap(token => (UNSPACED_SCRIPTS.test(token) ?
+            Array.from(this.wordSegmenter.segment(token))
+                .filter(segment => segment.isWordLike)
+                .map(segment => segment.segment) :
+            [token]));
+    }
+
     /**
      * Clean and validate text array to remove empty strings and invalid values
      * This prevents Vertex AI Commerce Search import errors
@@ -354,26 +680,56 @@ class TextProcessor {
 
     /**
      * Enhanced keyword extraction with weighted importance and search optimization
+     * Weights are term frequency / token count, or TF-IDF / BM25 once corpus statistics are set.
+     * @param {string} context - Sparse field: 'general' | 'title' | 'category' | 'brand' | 'attributes'
+     * @param {string} languageCode - Product language; selects the stemmer and stopword list
+     */
+    extractKeywords(text, maxFeatures = CONFIG.EMBEDDINGS.MAX_SPARSE_FEATURES, context = 'general', languageCode = null) {
+        const { termFreq, length } = this.countTerms(text, context, languageCode);
+
+        // Sort by weight and return top keywords
+        return Object.entries(termFreq)
+            .map(([term, freq]) => ({ term, weight: this.weighTerm(term, freq, length, context), rawFreq: freq }))
+            .sort((a, b) => b.weight - a.weight)
+            .slice(0, maxFeatures)
+            .map(keyword => ({ ...keyword, weight: parseFloat(keyword.weight.toFixed(4)) }));
+    }
+
+    /**
+     * Weight of one term in a field
+     */
+    weighTerm(term, freq, length, context) {
+        if (!this.corpusStats) return freq / length;
+        return this.corpusStats.weigh(context, term, freq, length, this.weightingMode);
+    }
+
+    /**
+     * Boosted term frequencies of a text: clean -> tokenize -> filter -> stem -> boost -> synonyms
+     * @returns {Object} { termFreq: stemmed term -> boosted frequency, length: token count after filtering }
      */
-    extractKeywords(text, maxFeatures = CONFIG.EMBEDDINGS.MAX_SPARSE_FEATURES, context = 'general') {
-        const cleanedText = this.cleanText(text.toLowerCase());
-        const tokens = this.tokenizer.tokenize(cleanedText);
+    countTerms(text, context = 'general', languageCode = null) {
+        const normalization = CONFIG.EMBEDDINGS.TEXT_CLEANING.KEYWORD_NORMALIZATION;
+        let cleanedText = this.cleanText(text);
+        if (normalization) cleanedText = cleanedText.normalize(normalization);
+        const tokens = this.tokenize(cleanedText.toLowerCase());
+
+        if (!tokens || tokens.length === 0) return { termFreq: {}, length: 0 };
 
-        if (!tokens || tokens.length === 0) return [];
+        const { stemmer, stopwords } = getLanguageTools(languageCode);
 
         // Enhanced filtering with context awareness
         const filteredTokens = tokens.filter(token => {
-            // Basic filters
-            if (token.length < 2 || this.stopwords.has(token)) return false;
+            // Basic filters (one character is a word in Chinese and Japanese)
+            if ((token.length < 2 && !UNSPACED_SCRIPTS.test(token)) || stopwords.has(token)) return false;
 
-            // Keep alphanumeric tokens and important patterns
-            if (!/^[a-zA-Z0-9]/.test(token)) return false;
+            // Tokens carrying a keyword character ("c++", "100%", "h&m") are kept as written
+            if (this.keywordCharacterPattern.test(token)) return true;
 
             // Keep numbers if they might be important (sizes, quantities, etc.)
-            if (/^\d+$/.test(token) && parseInt(token) > 0 && parseInt(token) < 10000) return true;
+            if (/^\d+$/.test(token)) return parseInt(token) > 0 && parseInt(token) < 10000;
 
-            // Keep alphabetic tokens
-            return /^[a-zA-Z]/.test(token);
+            // Keep tokens starting with a letter of any script
+            return /^\p{L}/u.test(token);
         });
 
         // Calculate enhanced term frequency with context weighting
@@ -381,7 +737,8 @@ class TextProcessor {
         const contextBoosts = this.getContextBoosts(context);
 
         filteredTokens.forEach(token => {
-            const stemmed = CONFIG.EMBEDDINGS.STEMMING_ENABLED ? this.stemmer.stem(token) : token;
+            const stemmed = CONFIG.EMBEDDINGS.STEMMING_ENABLED && !this.keywordCharacterPattern.test(token) ?
+                stemmer.stem(token) : token;
             const baseWeight = 1;
 
             // Apply context-specific boosts
@@ -395,19 +752,10 @@ class TextProcessor {
 
         // Add synonym expansion if enabled
         if (CONFIG.EMBEDDINGS.SYNONYM_EXPANSION) {
-            this.expandSynonyms(termFreq, filteredTokens);
+            this.expandSynonyms(termFreq, filteredTokens, stemmer);
         }
 
-        // Sort by weighted frequency and return top keywords
-        const totalTokens = filteredTokens.length;
-        return Object.entries(termFreq)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, maxFeatures)
-            .map(([term, freq]) => ({
-                term,
-                weight: parseFloat((freq / totalTokens).toFixed(4)),
-                rawFreq: freq
-            }));
+        return { termFreq, length: filteredTokens.length };
     }
 
     /**
@@ -444,14 +792,14 @@ class TextProcessor {
     /**
      * Expand keywords with synonyms for better search coverage
      */
-    expandSynonyms(termFreq, originalTokens) {
+    expandSynonyms(termFreq, originalTokens, stemmer = getLanguageTools(null).stemmer) {
         const expansions = {};
 
         Object.keys(termFreq).forEach(term => {
             if (this.synonyms[term]) {
                 this.synonyms[term].forEach(synonym => {
                     const stemmedSynonym = CONFIG.EMBEDDINGS.STEMMING_ENABLED ?
-                        this.stemmer.stem(synonym) : synonym;
+                        stemmer.stem(synonym) : synonym;
 
                     // Add synonym with reduced weight
                     if (!termFreq[stemmedSynonym]) {
@@ -495,107 +843,142 @@ class TextProcessor {
  * Advanced embedding generator
  */
 class EmbeddingGenerator {
-    constructor() {
+    constructor(logger = null) {
+        this.logger = logger || new ScalableLogger();
         this.textProcessor = new TextProcessor();
+        this.provider = createEmbeddingProvider(CONFIG.EMBEDDINGS);
+        this.providerReady = null;
+
+        // Sparse output format; 'indexed' and 'both' need a vocabulary (setSparseOutput)
+        this.sparseFormat = 'text';
+        this.sparseVocabulary = null;
+
+        // Dense vectors go to product.embeddings instead of attributes (setSeparateEmbeddings)
+        this.separateEmbeddings = false;
     }
 
     /**
-     * Generate deterministic hash from string
+     * Initialize the dense embedding provider and validate its output dimension
+     * against CONFIG.EMBEDDINGS.DENSE_DIM. Safe to call more than once.
      */
-    hashString(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+    async initialize() {
+        if (!CONFIG.EMBEDDINGS.ENABLE_DENSE) return;
+
+        if (!this.providerReady) {
+            this.providerReady = this.provider.initialize().then(dimension => {
+                if (dimension !== CONFIG.EMBEDDINGS.DENSE_DIM) {
+                    throw new Error(
+                        `Embedding provider "${this.provider.name}" produces ${dimension}-dim vectors ` +
+                        `but EMBEDDINGS.DENSE_DIM is ${CONFIG.EMBEDDINGS.DENSE_DIM}`
+                    );
+                }
+                return dimension;
+            });
         }
-        return Math.abs(hash);
+
+        return this.providerReady;
     }
 
     /**
-     * Generate dense embedding (384-dimensional vector)
-     * In production, replace with real embedding service
+     * Generate dense embedding (DENSE_DIM-dimensional vector)
+     * Backed by the provider selected in EMBEDDINGS.PROVIDER.TYPE
      */
-    generateDenseEmbedding(text) {
+    async generateDenseEmbedding(text) {
         if (!CONFIG.EMBEDDINGS.ENABLE_DENSE) return null;
 
-        const hash = this.hashString(text);
-        const embedding = [];
-
-        for (let i = 0; i < CONFIG.EMBEDDINGS.DENSE_DIM; i++) {
-            const seed = hash + i;
-            const value = (Math.sin(seed) * 10000) % 1;
-            embedding.push(parseFloat(value.toFixed(6)));
+        const [embedding] = await this.embedTexts([text]);
+        if (!embedding) {
+            throw new Error('Dense embedding generation failed');
         }
 
-        // L2 normalization
-        const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-        return embedding.map(val => val / magnitude);
+        return embedding;
     }
 
     /**
      * Generate multiple sparse embeddings for comprehensive search coverage
+     * @param {string} languageCode - Language whose stemmer and stopwords are used (defaults to LANGUAGES.DEFAULT)
      */
-    generateSparseEmbedding(text, searchableComponents = null) {
-        if (!CONFIG.EMBEDDINGS.ENABLE_SPARSE) return null;
-
-        // Generate multiple sparse embeddings for different search scenarios
-        const sparseEmbeddings = {
-            // Primary sparse embedding - general keywords
-            general: this.textProcessor.extractKeywords(text, CONFIG.EMBEDDINGS.MAX_SPARSE_FEATURES, 'general'),
-
-            // Title-focused sparse embedding
-            title: searchableComponents?.title ?
-                this.textProcessor.extractKeywords(searchableComponents.title, 20, 'title') : [],
-
-            // Category-focused sparse embedding
-            category: searchableComponents?.categories ?
-                this.textProcessor.extractKeywords(searchableComponents.categories, 15, 'category') : [],
-
-            // Brand-focused sparse embedding
-            brand: searchableComponents?.brands ?
-                this.textProcessor.extractKeywords(searchableComponents.brands, 10, 'brand') : [],
+    generateSparseEmbedding(text, searchableComponents = null, languageCode = null) {
+        const termWeights = this.generateSparseTerms(text, searchableComponents, languageCode);
+        return termWeights ? termWeights.map(([term, weight]) => `${term}:${weight.toFixed(4)}`) : null;
+    }
 
-            // Attribute-focused sparse embedding
-            attributes: searchableComponents?.attributes ?
-                this.textProcessor.extractKeywords(searchableComponents.attributes, 25, 'attributes') : []
-        };
+    /**
+     * Combined sparse keywords of a product, strongest first
+     * @returns {Array|null} [term, weight] pairs, at most MAX_SPARSE_FEATURES; null when sparse embeddings are off
+     */
+    generateSparseTerms(text, searchableComponents = null, languageCode = null) {
+        if (!CONFIG.EMBEDDINGS.ENABLE_SPARSE) return null;
 
-        // Combine all sparse embeddings with proper weighting
+        // One keyword list per field (general text, title, categories, ...), combined with per-field weights
         const combinedKeywords = new Map();
+        SPARSE_FIELDS.forEach(({ context, component, maxFeatures, weight }) => {
+            const fieldText = component ? searchableComponents?.[component] : text;
+            if (!fieldText) return;
 
-        // Add general keywords with base weight
-        sparseEmbeddings.general.forEach(kw => {
-            combinedKeywords.set(kw.term, (combinedKeywords.get(kw.term) || 0) + kw.weight);
-        });
-
-        // Add title keywords with high weight
-        sparseEmbeddings.title.forEach(kw => {
-            combinedKeywords.set(kw.term, (combinedKeywords.get(kw.term) || 0) + (kw.weight * 2.5));
+            this.textProcessor.extractKeywords(fieldText, maxFeatures, context, languageCode).forEach(kw => {
+                combinedKeywords.set(kw.term, (combinedKeywords.get(kw.term) || 0) + (kw.weight * weight));
+            });
         });
 
-        // Add category keywords with medium-high weight
-        sparseEmbeddings.category.forEach(kw => {
-            combinedKeywords.set(kw.term, (combinedKeywords.get(kw.term) || 0) + (kw.weight * 2.0));
-        });
+        // Sort by combined weight
+        return Array.from(combinedKeywords.entries())
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, CONFIG.EMBEDDINGS.MAX_SPARSE_FEATURES);
+    }
 
-        // Add brand keywords with medium-high weight
-        sparseEmbeddings.brand.forEach(kw => {
-            combinedKeywords.set(kw.term, (combinedKeywords.get(kw.term) || 0) + (kw.weight * 2.0));
-        });
+    /**
+     * Write sparse embeddings as "term:weight" text, {indices, values} over a vocabulary, or both
+     * @param {string} format - 'text' | 'indexed' | 'both' (see EMBEDDINGS.SPARSE_OUTPUT)
+     * @param {SparseVocabulary} vocabulary - Required unless format is 'text'
+     */
+    setSparseOutput(format, vocabulary = null) {
+        if (!CONFIG.EMBEDDINGS.SPARSE_OUTPUT.FORMATS.includes(format)) {
+            throw new Error(`Unknown sparse format "${format}". Expected one of: ${CONFIG.EMBEDDINGS.SPARSE_OUTPUT.FORMATS.join(', ')}`);
+        }
+        if (format !== 'text' && !vocabulary) {
+            throw new Error(`Sparse format "${format}" needs a vocabulary`);
+        }
+        this.sparseFormat = format;
+        this.sparseVocabulary = vocabulary;
+    }
 
-        // Add attribute keywords with medium weight
-        sparseEmbeddings.attributes.forEach(kw => {
-            combinedKeywords.set(kw.term, (combinedKeywords.get(kw.term) || 0) + (kw.weight * 1.5));
-        });
+    /**
+     * Keep dense vectors out of the product attributes
+     * They are put on product.embeddings (attribute -> number[]) for the writer to move into an
+     * embedding sidecar file (see lib/embedding_sidecar.js).
+     */
+    setSeparateEmbeddings(enabled) {
+        this.separateEmbeddings = !!enabled;
+    }
 
-        // Sort by combined weight and format for Vertex AI
-        const finalKeywords = Array.from(combinedKeywords.entries())
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, CONFIG.EMBEDDINGS.MAX_SPARSE_FEATURES)
-            .map(([term, weight]) => `${term}:${weight.toFixed(4)}`);
+    /**
+     * Use TF-IDF or BM25 term weights from corpus statistics (see lib/corpus_stats.js)
+     */
+    setSparseWeighting(mode, corpusStats = null) {
+        this.textProcessor.setSparseWeighting(mode, corpusStats);
+    }
 
-        return finalKeywords;
+    /**
+     * Distinct terms and token count of each sparse field of a product, for CorpusStats.addDocument
+     * @returns {Object|null} field -> { terms, length }; null when the product has no searchable text
+     */
+    collectSparseFieldTerms(product, format = 'auto') {
+        const searchableText = this.extractSearchableText(product, format);
+        if (!searchableText.trim()) return null;
+
+        const searchableComponents = this.extractSearchableComponents(product, format);
+        const fieldTerms = {};
+        SPARSE_FIELDS.forEach(({ context, component }) => {
+            const fieldText = component ? searchableComponents[component] : searchableText;
+            if (!fieldText) return;
+
+            const { termFreq, length } = this.textProcessor.countTerms(fieldText, context, product.languageCode);
+            if (length > 0) {
+                fieldTerms[context] = { terms: Object.keys(termFreq), length };
+            }
+        });
+        return fieldTerms;
     }
 
     /**
@@ -627,52 +1010,41 @@ class EmbeddingGenerator {
             specifications: ''
         };
 
-        // Auto-detect format if not specified
-        if (format === 'auto') {
-            if (product.title || product.categories) {
-                format = 'vertex';
-            } else {
-                format = 'generic';
-            }
-        }
-
-        if (format === 'vertex' || format === 'generic') {
-            // Vertex catalog format (primary focus) and generic format
-            searchableComponents.title = this.textProcessor.cleanText(product.title || product.name || '');
-            searchableComponents.description = this.textProcessor.cleanText(product.description || '');
-            searchableComponents.categories = (product.categories || []).map(cat => this.textProcessor.cleanText(cat)).join(' ');
-            searchableComponents.brands = (product.brands || []).map(brand => this.textProcessor.cleanText(brand)).join(' ');
-
-            // Extract attributes from vertex format
-            if (product.attributes) {
-                const attributeTexts = [];
-                Object.values(product.attributes).forEach(attr => {
-                    if (attr.text && Array.isArray(attr.text)) {
-                        attributeTexts.push(...attr.text);
-                    } else if (attr.numbers && Array.isArray(attr.numbers)) {
-                        attributeTexts.push(...attr.numbers.map(String));
-                    } else if (typeof attr === 'string') {
-                        attributeTexts.push(attr);
-                    }
-                });
-                searchableComponents.attributes = attributeTexts.join(' ');
-            }
-
-            // Extract additional searchable fields
-            const additionalFields = [
-                product.tags || [],
-                product.features || [],
-                product.specifications || [],
-                product.keywords || []
-            ].flat().join(' ');
-            searchableComponents.specifications = additionalFields;
-
-            // Extract price information as searchable text
-            if (product.priceInfo || product.price) {
-                const priceInfo = product.priceInfo || product.price;
-                if (priceInfo.price) {
-                    searchableComponents.specifications += ` ${priceInfo.price} ${priceInfo.currencyCode || 'USD'}`;
+        // Converted products share the Commerce shape whatever the source format
+        searchableComponents.title = this.textProcessor.cleanText(product.title || product.name || '');
+        searchableComponents.description = this.textProcessor.cleanText(product.description || '');
+        searchableComponents.categories = (product.categories || []).map(cat => this.textProcessor.cleanText(cat)).join(' ');
+        searchableComponents.brands = (product.brands || []).map(brand => this.textProcessor.cleanText(brand)).join(' ');
+
+        // Extract attributes from vertex format
+        if (product.attributes) {
+            const attributeTexts = [];
+            Object.values(product.attributes).forEach(attr => {
+                if (attr.text && Array.isArray(attr.text)) {
+                    attributeTexts.push(...attr.text);
+                } else if (attr.numbers && Array.isArray(attr.numbers)) {
+                    attributeTexts.push(...attr.numbers.map(String));
+                } else if (typeof attr === 'string') {
+                    attributeTexts.push(attr);
                 }
+            });
+            searchableComponents.attributes = attributeTexts.join(' ');
+        }
+
+        // Extract additional searchable fields
+        const additionalFields = [
+            product.tags || [],
+            product.features || [],
+            product.specifications || [],
+            product.keywords || []
+        ].flat().join(' ');
+        searchableComponents.specifications = additionalFields;
+
+        // Extract price information as searchable text
+        if (product.priceInfo || product.price) {
+            const priceInfo = product.priceInfo || product.price;
+            if (priceInfo.price) {
+                searchableComponents.specifications += ` ${priceInfo.price} ${priceInfo.currencyCode || CONFIG.COMMERCE.CURRENCY_CODE}`;
             }
         }
 
@@ -712,84 +1084,178 @@ class EmbeddingGenerator {
 
     /**
      * Add comprehensive embeddings optimized for vertex_catalog format and search scenarios
+     * Single-product convenience wrapper around addEmbeddingsToProducts
+     */
+    async addEmbeddingsToProduct(product, format = 'auto') {
+        const [productWithEmbeddings] = await this.addEmbeddingsToProducts([product], format);
+        return productWithEmbeddings;
+    }
+
+    /**
+     * Add embeddings to a batch of products
+     * Dense texts from the whole batch are embedded together in micro-batches,
+     * then reassembled onto their products in input order.
+     * @param {Array} products - Commerce format products
+     * @param {string} format - Source format hint
+     * @returns {Promise<Array>} Products with embeddings; unembedded where dense embedding failed
+     */
+    async addEmbeddingsToProducts(products, format = 'auto') {
+        // Collect searchable text and dense embedding inputs for every product
+        const prepared = products.map(product => this.prepareEmbeddingInputs(product, format));
+
+        const texts = [];
+        prepared.forEach(entry => {
+            if (!entry) return;
+            Object.values(entry.denseTexts).forEach(text => {
+                if (text !== null) texts.push(text);
+            });
+        });
+
+        const vectors = await this.embedTexts(texts);
+
+        // Reassemble vectors onto products in the same order they were collected
+        let cursor = 0;
+        return products.map((product, index) => {
+            const entry = prepared[index];
+            if (!entry) return product;
+
+            const denseEmbeddings = {};
+            let failed = false;
+            Object.entries(entry.denseTexts).forEach(([slot, text]) => {
+                if (text === null) {
+                    denseEmbeddings[slot] = null;
+                    return;
+                }
+                denseEmbeddings[slot] = vectors[cursor++];
+                if (!denseEmbeddings[slot]) failed = true;
+            });
+
+            // Keep the product without dense vectors; it is counted as not embedded
+            if (failed) {
+                this.logger.error('Dense embedding batch failed, writing product without embeddings', {
+                    productId: product.id || 'unknown'
+                });
+                return product;
+            }
+
+            try {
+                return this.buildProductWithEmbeddings(product, entry, denseEmbeddings);
+            } catch (error) {
+                this.logger.error('Error adding embeddings to product', {
+                    productId: product.id || 'unknown',
+                    error: error.message
+                });
+                return product;
+            }
+        });
+    }
+
+    /**
+     * Extract the searchable text, components and dense embedding inputs for a product
+     * @returns {Object|null} Null when the product has no searchable text
      */
-    addEmbeddingsToProduct(product, format = 'auto') {
+    prepareEmbeddingInputs(product, format = 'auto') {
         try {
             // Extract searchable text with component breakdown
             const searchableText = this.extractSearchableText(product, format);
 
             if (!searchableText.trim()) {
                 console.warn(`⚠️  No searchable text found for product: ${product.id || 'unknown'}`);
-                return product;
+                return null;
             }
 
             // Extract searchable components for enhanced embedding generation
             const searchableComponents = this.extractSearchableComponents(product, format);
 
-            // Generate multiple types of dense embeddings for different search scenarios
-            const denseEmbeddings = this.generateMultipleDenseEmbeddings(searchableText, searchableComponents);
+            return {
+                searchableText,
+                searchableComponents,
+                denseTexts: this.planDenseEmbeddingTexts(searchableText, searchableComponents)
+            };
+        } catch (error) {
+            console.error(`❌ Error preparing embeddings for product ${product.id || 'unknown'}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Attach dense, sparse and hybrid attributes to a cloned product
+     */
+    buildProductWithEmbeddings(product, prepared, denseEmbeddings) {
+        const { searchableText, searchableComponents } = prepared;
 
-            // Generate enhanced sparse embeddings with component-based weighting
-            const sparseEmbedding = this.generateSparseEmbedding(searchableText, searchableComponents);
+        // Generate enhanced sparse embeddings with component-based weighting
+        const sparseTerms = this.generateSparseTerms(searchableText, searchableComponents, product.languageCode);
+        const sparseEmbedding = sparseTerms ? sparseTerms.map(([term, weight]) => `${term}:${weight.toFixed(4)}`) : null;
 
-            // Generate comprehensive hybrid metadata
-            const hybridMetadata = this.generateEnhancedHybridMetadata(
-                searchableText, denseEmbeddings, sparseEmbedding, searchableComponents
-            );
+        // Generate comprehensive hybrid metadata
+        const hybridMetadata = this.generateEnhancedHybridMetadata(
+            searchableText, denseEmbeddings, sparseEmbedding, searchableComponents
+        );
 
-            // Clone product to avoid mutation
-            const productWithEmbeddings = JSON.parse(JSON.stringify(product));
+        // Clone product to avoid mutation
+        const productWithEmbeddings = JSON.parse(JSON.stringify(product));
 
-            // Ensure attributes object exists
-            if (!productWithEmbeddings.attributes) {
-                productWithEmbeddings.attributes = {};
-            }
+        // Ensure attributes object exists
+        if (!productWithEmbeddings.attributes) {
+            productWithEmbeddings.attributes = {};
+        }
 
-            // Add primary dense embedding (semantic search)
-            if (denseEmbeddings.primary) {
-                productWithEmbeddings.attributes.dense_embedding = {
-                    numbers: denseEmbeddings.primary
-                };
-            }
+        // Add primary dense embedding (semantic search)
+        if (denseEmbeddings.primary) {
+            this.setDenseEmbedding(productWithEmbeddings, 'dense_embedding', denseEmbeddings.primary);
+        }
 
-            // Add title-focused dense embedding for title-based searches
-            if (denseEmbeddings.title) {
-                productWithEmbeddings.attributes.title_embedding = {
-                    numbers: denseEmbeddings.title
-                };
-            }
+        // Add title-focused dense embedding for title-based searches
+        if (denseEmbeddings.title) {
+            this.setDenseEmbedding(productWithEmbeddings, 'title_embedding', denseEmbeddings.title);
+        }
 
-            // Add category-focused dense embedding for category-based searches
-            if (denseEmbeddings.category) {
-                productWithEmbeddings.attributes.category_embedding = {
-                    numbers: denseEmbeddings.category
-                };
-            }
+        // Add category-focused dense embedding for category-based searches
+        if (denseEmbeddings.category) {
+            this.setDenseEmbedding(productWithEmbeddings, 'category_embedding', denseEmbeddings.category);
+        }
 
-            // Add enhanced sparse embedding
-            if (sparseEmbedding && sparseEmbedding.length > 0) {
+        // Add enhanced sparse embedding: "term:weight" text and/or {indices, values} over the vocabulary
+        if (sparseEmbedding && sparseEmbedding.length > 0) {
+            if (this.sparseFormat !== 'indexed') {
                 productWithEmbeddings.attributes.sparse_embedding = {
                     text: sparseEmbedding
                 };
             }
-
-            // Add simple metadata for tracking (using only basic text/numbers format)
-            if (hybridMetadata && hybridMetadata.search_readiness_score) {
-                productWithEmbeddings.attributes.search_readiness_score = {
-                    numbers: [hybridMetadata.search_readiness_score]
-                };
+            if (this.sparseFormat !== 'text') {
+                const { indices, values } = this.sparseVocabulary.encode(
+                    sparseTerms.map(([term, weight]) => [term, parseFloat(weight.toFixed(4))])
+                );
+                productWithEmbeddings.attributes[CONFIG.EMBEDDINGS.SPARSE_OUTPUT.INDICES_ATTRIBUTE] = { numbers: indices };
+                productWithEmbeddings.attributes[CONFIG.EMBEDDINGS.SPARSE_OUTPUT.VALUES_ATTRIBUTE] = { numbers: values };
             }
+        }
 
-            // Add simple embedding count for reference
-            productWithEmbeddings.attributes.embedding_count = {
-                numbers: [Object.keys(denseEmbeddings).length + (sparseEmbedding ? 1 : 0)]
+        // Add simple metadata for tracking (using only basic text/numbers format)
+        if (hybridMetadata && hybridMetadata.search_readiness_score) {
+            productWithEmbeddings.attributes.search_readiness_score = {
+                numbers: [hybridMetadata.search_readiness_score]
             };
+        }
 
-            return productWithEmbeddings;
+        // Add simple embedding count for reference
+        productWithEmbeddings.attributes.embedding_count = {
+            numbers: [Object.keys(denseEmbeddings).length + (sparseEmbedding ? 1 : 0)]
+        };
 
-        } catch (error) {
-            console.error(`❌ Error adding embeddings to product ${product.id || 'unknown'}:`, error.message);
-            return product;
+        return productWithEmbeddings;
+    }
+
+    /**
+     * Put a dense vector in the product attributes, or on product.embeddings when they are kept separate
+     */
+    setDenseEmbedding(product, attribute, vector) {
+        if (this.separateEmbeddings) {
+            product.embeddings = product.embeddings || {};
+            product.embeddings[attribute] = vector;
+        } else {
+            product.attributes[attribute] = { numbers: vector };
         }
     }
 
@@ -827,29 +1293,151 @@ class EmbeddingGenerator {
     }
 
     /**
-     * Generate multiple dense embeddings for different search scenarios
+     * Decide which dense embeddings a product gets and the text for each
+     * A null text means the slot exists but dense embeddings are disabled
      */
-    generateMultipleDenseEmbeddings(searchableText, searchableComponents) {
-        const embeddings = {};
+    planDenseEmbeddingTexts(searchableText, searchableComponents) {
+        const denseEnabled = CONFIG.EMBEDDINGS.ENABLE_DENSE;
+        const texts = {};
 
         // Primary dense embedding - full weighted text
-        if (CONFIG.EMBEDDINGS.ENABLE_DENSE) {
-            embeddings.primary = this.generateDenseEmbedding(searchableText);
+        if (denseEnabled) {
+            texts.primary = searchableText;
         }
 
         // Title-focused dense embedding for title-based searches
         if (searchableComponents.title && searchableComponents.title.trim()) {
-            embeddings.title = this.generateDenseEmbedding(searchableComponents.title);
+            texts.title = denseEnabled ? searchableComponents.title : null;
         }
 
         // Category-focused dense embedding for category-based searches
         if (searchableComponents.categories && searchableComponents.categories.trim()) {
-            embeddings.category = this.generateDenseEmbedding(searchableComponents.categories);
+            texts.category = denseEnabled ? searchableComponents.categories : null;
         }
 
+        return texts;
+    }
+
+    /**
+     * Generate multiple dense embeddings for different search scenarios
+     */
+    async generateMultipleDenseEmbeddings(searchableText, searchableComponents) {
+        const texts = this.planDenseEmbeddingTexts(searchableText, searchableComponents);
+        const slots = Object.keys(texts).filter(slot => texts[slot] !== null);
+        const vectors = await this.embedTexts(slots.map(slot => texts[slot]));
+
+        const embeddings = {};
+        Object.keys(texts).forEach(slot => { embeddings[slot] = null; });
+        slots.forEach((slot, index) => { embeddings[slot] = vectors[index]; });
+
         return embeddings;
     }
 
+    /**
+     * Embed many texts through the provider in micro-batches
+     * Micro-batches run with QUEUE_SETTINGS.MAX_CONCURRENT concurrency and are
+     * retried with exponential backoff; results keep the input order.
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<Array>} One vector per text; null for texts whose micro-batch failed
+     */
+    async embedTexts(texts) {
+        if (texts.length === 0) return [];
+
+        await this.initialize();
+
+        const queueSettings = CONFIG.PROCESSING.QUEUE_SETTINGS;
+        const microBatchSize = Math.max(1, queueSettings.EMBEDDING_BATCH_SIZE || texts.length);
+        const concurrency = Math.max(1, queueSettings.MAX_CONCURRENT || 1);
+
+        const microBatches = [];
+        for (let i = 0; i < texts.length; i += microBatchSize) {
+            microBatches.push({ offset: i, texts: texts.slice(i, i + microBatchSize) });
+        }
+
+        const results = new Array(texts.length).fill(null);
+        let nextBatch = 0;
+
+        // Simple worker pool: each worker pulls the next micro-batch until none remain
+        const worker = async () => {
+            while (nextBatch < microBatches.length) {
+                const microBatch = microBatches[nextBatch++];
+                try {
+                    const vectors = await this.embedMicroBatchWithRetry(microBatch.texts);
+                    vectors.forEach((vector, index) => {
+                        results[microBatch.offset + index] = vector;
+                    });
+                } catch (error) {
+                    this.logger.error('Embedding micro-batch failed', {
+                        texts: microBatch.texts.length,
+                        error: error.message
+                    });
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, microBatches.length) }, worker));
+
+        return results;
+    }
+
+    /**
+     * Embed one micro-batch with timeout, retry and exponential backoff
+     */
+    async embedMicroBatchWithRetry(texts) {
+        const queueSettings = CONFIG.PROCESSING.QUEUE_SETTINGS;
+        const maxAttempts = CONFIG.PROCESSING.RETRY_ATTEMPTS;
+        let delay = queueSettings.RETRY_DELAY;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const controller = new AbortController();
+                const vectors = await this.withTimeout(
+                    this.provider.embed(texts, { signal: controller.signal }),
+                    queueSettings.TIMEOUT,
+                    controller
+                );
+
+                if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+                    throw new Error(`Provider returned ${vectors ? vectors.length : 0} vectors for ${texts.length} texts`);
+                }
+                vectors.forEach(vector => {
+                    if (!vector || vector.length !== CONFIG.EMBEDDINGS.DENSE_DIM) {
+                        throw new Error(`Provider returned ${vector ? vector.length : 0} dimensions, expected ${CONFIG.EMBEDDINGS.DENSE_DIM}`);
+                    }
+                });
+
+                return vectors;
+            } catch (error) {
+                if (attempt >= maxAttempts) throw error;
+
+                this.logger.warn(`Embedding attempt ${attempt}/${maxAttempts} failed, retrying in ${delay}ms`, {
+                    error: error.message
+                });
+                await new Promise(resolve => setTimeout(resolve, delay));
+                delay *= queueSettings.BACKOFF_MULTIPLIER || 2;
+            }
+        }
+    }
+
+    /**
+     * Reject if a promise does not settle within timeoutMs, aborting controller
+     * so the provider can cancel the in-flight request
+     */
+    withTimeout(promise, timeoutMs, controller = null) {
+        if (!timeoutMs) return promise;
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Embedding request timed out after ${timeoutMs}ms`);
+                if (controller) controller.abort(error);
+                reject(error);
+            }, timeoutMs);
+        });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
     /**
      * Generate simplified hybrid metadata compatible with Vertex AI Commerce Search
      */
@@ -918,6 +1506,9 @@ class ProductConverter {
             // Process description
             const description = this.processDescription(vertexProduct.description || '');
 
+            // Vertex price { amount, currency } or a Retail priceInfo passed through
+            const priceInfo = this.buildVertexPriceInfo(vertexProduct);
+
             // Build Commerce format product
             const commerceProduct = {
                 id: productId,
@@ -926,11 +1517,15 @@ class ProductConverter {
                 description: description,
                 uri: vertexProduct.uri || this.generateProductUri(productId, title),
                 availability: vertexProduct.availability || 'IN_STOCK',
-                languageCode: vertexProduct.languageCode || 'en',
-                ...(vertexProduct.price && { priceInfo: {
-                    currencyCode: vertexProduct.price.currency || CONFIG.COMMERCE.CURRENCY_CODE,
-                    price: parseFloat(vertexProduct.price.amount || 0)
-                }}),
+                languageCode: resolveLanguageCode(vertexProduct.languageCode, [vertexProduct.title, vertexProduct.description]),
+                // Retail variant/collection structure is kept as given by the source
+                ...(vertexProduct.type && { type: vertexProduct.type }),
+                ...(vertexProduct.primaryProductId && { primaryProductId: String(vertexProduct.primaryProductId) }),
+                ...(Array.isArray(vertexProduct.collectionMemberIds) && vertexProduct.collectionMemberIds.length > 0 && {
+                    collectionMemberIds: vertexProduct.collectionMemberIds.map(String)
+                }),
+                ...(Array.isArray(vertexProduct.fulfillmentInfo) && { fulfillmentInfo: vertexProduct.fulfillmentInfo }),
+                ...(priceInfo && { priceInfo: priceInfo }),
                 ...(vertexProduct.brands && vertexProduct.brands.length > 0 && { brands: vertexProduct.brands }),
                 attributes: this.processVertexAttributes(vertexProduct),
                 ...(vertexProduct.images && { images: vertexProduct.images })
@@ -944,6 +1539,567 @@ class ProductConverter {
         }
     }
 
+    /**
+     * Vertex price { amount, currency }, or a Retail priceInfo from a source already in Retail shape
+     */
+    buildVertexPriceInfo(vertexProduct) {
+        const retail = vertexProduct.priceInfo;
+        if (retail && typeof retail === 'object') {
+            return buildPriceInfo(retail);
+        }
+
+        const price = vertexProduct.price;
+        if (price === undefined || price === null) return null;
+        if (typeof price !== 'object') return buildPriceInfo({ price: price, currencyCode: vertexProduct.currency });
+
+        return buildPriceInfo({ price: price.amount, currencyCode: price.currency });
+    }
+
+    /**
+     * Convert BPN product export record to Commerce format
+     * Field lookup order comes from CONFIG.FORMATS.BPN
+     */
+    convertBPNProduct(bpnProduct) {
+        try {
+            const mapping = CONFIG.FORMATS.BPN;
+            const fields = mapping.FIELDS;
+
+            const rawId = this.pickField(bpnProduct, fields.ID);
+            const productId = rawId !== undefined ? String(rawId).trim() : `bpn-product-${Date.now()}`;
+            const title = this.textProcessor.cleanText(String(this.pickField(bpnProduct, fields.TITLE) || 'Untitled Product'))
+                .substring(0, CONFIG.LIMITS.MAX_TITLE_LENGTH);
+
+            // Category and subcategory become one hierarchical category path
+            const categories = this.processCategories(this.buildBPNCategories(bpnProduct, mapping));
+
+            const description = this.processDescription(String(this.pickField(bpnProduct, fields.DESCRIPTION) || ''));
+
+            const brand = this.pickField(bpnProduct, fields.BRAND);
+            const brands = brand ? this.textProcessor.cleanTextArray(Array.isArray(brand) ? brand : [String(brand)]) : [];
+
+            const priceInfo = buildPriceInfo({
+                price: this.pickField(bpnProduct, fields.PRICE),
+                originalPrice: this.pickField(bpnProduct, fields.ORIGINAL_PRICE),
+                cost: this.pickField(bpnProduct, fields.COST),
+                currencyCode: this.pickField(bpnProduct, fields.CURRENCY)
+            }, mapping.DEFAULT_CURRENCY);
+
+            const images = this.buildBPNImages(this.pickField(bpnProduct, fields.IMAGES));
+
+            const commerceProduct = {
+                id: productId,
+                title: title,
+                categories: categories.length > 0 ? categories : ['Products'],
+                description: description,
+                uri: this.pickField(bpnProduct, fields.URI) || this.generateProductUri(productId, title),
+                availability: this.determineBPNAvailability(bpnProduct, fields),
+                languageCode: resolveLanguageCode(this.pickField(bpnProduct, CONFIG.EMBEDDINGS.LANGUAGES.SOURCE_FIELDS),
+                    [this.pickField(bpnProduct, fields.TITLE), this.pickField(bpnProduct, fields.DESCRIPTION)]),
+                ...(priceInfo && { priceInfo: priceInfo }),
+                ...(brands.length > 0 && { brands: brands }),
+                attributes: this.processMappedAttributes(bpnProduct, mapping.ATTRIBUTE_FIELDS),
+                ...(images.length > 0 && { images: images })
+            };
+
+            return commerceProduct;
+
+        } catch (error) {
+            console.error(`❌ Error converting BPN product ${bpnProduct.id || bpnProduct.bpn || 'unknown'}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Convert Merchant Center feed item (g:id, g:price, ...) to Commerce format
+     * Field lookup order comes from CONFIG.FORMATS.MERCHANT_CENTER
+     */
+    convertMerchantCenterProduct(feedItem) {
+        try {
+            const mapping = CONFIG.FORMATS.MERCHANT_CENTER;
+            const fields = mapping.FIELDS;
+            const first = value => (Array.isArray(value) ? value[0] : value);
+
+            const rawId = first(this.pickField(feedItem, fields.ID));
+            const productId = rawId !== undefined ? String(rawId).trim() : `merchant-product-${Date.now()}`;
+            const title = this.textProcessor.cleanText(String(first(this.pickField(feedItem, fields.TITLE)) || 'Untitled Product'))
+                .substring(0, CONFIG.LIMITS.MAX_TITLE_LENGTH);
+
+            const categories = this.processCategories(this.buildMerchantCategories(feedItem, mapping));
+            const description = this.processDescription(String(first(this.pickField(feedItem, fields.DESCRIPTION)) || ''));
+
+            const brand = this.pickField(feedItem, fields.BRAND);
+            const brands = brand ? this.textProcessor.cleanTextArray([].concat(brand).map(String)) : [];
+
+            const priceInfo = this.buildMerchantPriceInfo(feedItem, mapping);
+
+            const images = [].concat(
+                this.pickField(feedItem, fields.IMAGE) || [],
+                this.pickField(feedItem, fields.ADDITIONAL_IMAGES) || []
+            ).filter(uri => typeof uri === 'string' && uri).map(uri => ({ uri }));
+
+            const availability = String(first(this.pickField(feedItem, fields.AVAILABILITY)) || '')
+                .trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+            const commerceProduct = {
+                id: productId,
+                title: title,
+                categories: categories.length > 0 ? categories : ['Products'],
+                description: description,
+                uri: first(this.pickField(feedItem, fields.URI)) || this.generateProductUri(productId, title),
+                availability: mapping.AVAILABILITY_MAP[availability] || 'IN_STOCK',
+                languageCode: resolveLanguageCode(first(this.pickField(feedItem, fields.LANGUAGE)),
+                    [first(this.pickField(feedItem, fields.TITLE)), first(this.pickField(feedItem, fields.DESCRIPTION))]),
+                ...(priceInfo && { priceInfo: priceInfo }),
+                ...(brands.length > 0 && { brands: brands }),
+                attributes: this.processMappedAttributes(feedItem, mapping.ATTRIBUTE_FIELDS),
+                ...(images.length > 0 && { images: images })
+            };
+
+            return commerceProduct;
+
+        } catch (error) {
+            console.error(`❌ Error converting Merchant Center product ${feedItem.id || 'unknown'}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Merchant Center priceInfo: a sale price below the regular price is the selling price, with the
+     * regular price as original price and sale_price_effective_date as its price window
+     */
+    buildMerchantPriceInfo(feedItem, mapping) {
+        const fields = mapping.FIELDS;
+        const first = value => (Array.isArray(value) ? value[0] : value);
+        const scalar = value => (value !== null && typeof value === 'object' ? undefined : value);
+
+        const regularPrice = scalar(first(this.pickField(feedItem, fields.PRICE)));
+        const salePrice = scalar(first(this.pickField(feedItem, fields.SALE_PRICE)));
+        const cost = scalar(first(this.pickField(feedItem, fields.COST)));
+
+        // sale_price_effective_date: "2024-11-01T00:00-0800/2024-11-30T23:59-0800"
+        const [saleStart, saleEnd] = String(scalar(first(this.pickField(feedItem, fields.SALE_PRICE_DATES))) || '').split('/');
+
+        const sale = salePrice !== undefined && buildPriceInfo({
+            price: salePrice,
+            originalPrice: regularPrice,
+            cost: cost,
+            priceEffectiveTime: saleStart,
+            priceExpireTime: saleEnd
+        }, mapping.DEFAULT_CURRENCY);
+
+        if (sale && (sale.originalPrice !== undefined || regularPrice === undefined)) return sale;
+        if (regularPrice === undefined) return null;
+        return buildPriceInfo({ price: regularPrice, cost: cost }, mapping.DEFAULT_CURRENCY);
+    }
+
+    /**
+     * Merchant Center categories: each product_type ("Home > Kitchen > Cookware") is one category
+     * path; google_product_category is used when there is no product_type and it is not a numeric ID
+     */
+    buildMerchantCategories(feedItem, mapping) {
+        const toPath = value => String(value)
+            .split(mapping.PRODUCT_TYPE_SEPARATOR)
+            .map(part => part.trim())
+            .filter(Boolean)
+            .join(mapping.CATEGORY_SEPARATOR);
+
+        const productTypes = this.pickField(feedItem, mapping.FIELDS.PRODUCT_TYPE);
+        if (productTypes) {
+            return [].concat(productTypes).filter(type => typeof type === 'string').map(toPath).filter(Boolean);
+        }
+
+        const googleCategory = this.pickField(feedItem, mapping.FIELDS.GOOGLE_CATEGORY);
+        if (typeof googleCategory === 'string' && !/^\d+$/.test(googleCategory.trim())) {
+            return [toPath(googleCategory)];
+        }
+        return [];
+    }
+
+    /**
+     * Convert Shopify product (product -> variants) to a PRIMARY product followed by its VARIANT products
+     * A product whose only variant is Shopify's default one becomes a single PRIMARY product
+     * @returns {Array|null}
+     */
+    convertShopifyProduct(shopifyProduct) {
+        try {
+            const mapping = CONFIG.FORMATS.SHOPIFY;
+            const primaryId = String(shopifyProduct.id || shopifyProduct.handle || `shopify-product-${Date.now()}`);
+            const title = this.textProcessor.cleanText(String(shopifyProduct.title || 'Untitled Product'))
+                .substring(0, CONFIG.LIMITS.MAX_TITLE_LENGTH);
+            const currencyCode = shopifyProduct.currency || mapping.DEFAULT_CURRENCY;
+
+            const images = (shopifyProduct.images || []).filter(image => image && image.src);
+            if (images.length === 0 && shopifyProduct.image && shopifyProduct.image.src) images.push(shopifyProduct.image);
+
+            const tags = typeof shopifyProduct.tags === 'string' ?
+                shopifyProduct.tags.split(mapping.TAG_SEPARATOR) :
+                (shopifyProduct.tags || []);
+            const cleanedTags = this.textProcessor.cleanTextArray(tags.map(String));
+
+            // Option position -> name: option1 -> "Size"
+            const optionNames = (shopifyProduct.options || []).map(option => option.name || option);
+
+            const variants = (shopifyProduct.variants || []).map(variant => {
+                const options = [1, 2, 3]
+                    .map(position => ({ name: optionNames[position - 1] || `option${position}`, value: variant[`option${position}`] }))
+                    .filter(option => option.value !== undefined && option.value !== null && option.value !== '' &&
+                        option.value !== mapping.DEFAULT_VARIANT_TITLE);
+
+                const image = images.find(candidate => candidate.id !== undefined && candidate.id === variant.image_id) ||
+                    variant.featured_image;
+
+                return {
+                    id: String(variant.id || variant.sku),
+                    options,
+                    priceInfo: this.buildVariantPriceInfo(variant.price, variant.compare_at_price, currencyCode),
+                    availability: this.determineShopifyAvailability(variant),
+                    uri: shopifyProduct.handle ? `${mapping.PRODUCT_PATH}${shopifyProduct.handle}?variant=${variant.id}` : null,
+                    images: image && image.src ? [{ uri: image.src }] : [],
+                    attributes: this.processMappedAttributes(variant, { sku: 'sku', barcode: 'gtin' })
+                };
+            });
+
+            return this.buildVariantFamily({
+                id: primaryId,
+                title: title,
+                categories: this.processCategories(shopifyProduct.product_type ? [shopifyProduct.product_type] : []),
+                description: this.processDescription(String(shopifyProduct.body_html || '')),
+                uri: shopifyProduct.handle ? `${mapping.PRODUCT_PATH}${shopifyProduct.handle}` : this.generateProductUri(primaryId, title),
+                brands: shopifyProduct.vendor ? this.textProcessor.cleanTextArray([String(shopifyProduct.vendor)]) : [],
+                languageCode: resolveLanguageCode(this.pickField(shopifyProduct, CONFIG.EMBEDDINGS.LANGUAGES.SOURCE_FIELDS),
+                    [shopifyProduct.title, shopifyProduct.body_html]),
+                images: images.map(image => ({ uri: image.src })),
+                attributes: cleanedTags.length > 0 ? { tags: { text: cleanedTags } } : {}
+            }, variants);
+
+        } catch (error) {
+            console.error(`❌ Error converting Shopify product ${shopifyProduct.id || 'unknown'}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Convert WooCommerce product to a PRIMARY product followed by its VARIANT products
+     * Variations are only emitted when embedded as objects; bare variation IDs are ignored
+     * @returns {Array|null}
+     */
+    convertWooCommerceProduct(wooProduct) {
+        try {
+            const mapping = CONFIG.FORMATS.WOOCOMMERCE;
+            const primaryId = String(wooProduct.id || wooProduct.sku || `woocommerce-product-${Date.now()}`);
+            const title = this.textProcessor.cleanText(String(wooProduct.name || 'Untitled Product'))
+                .substring(0, CONFIG.LIMITS.MAX_TITLE_LENGTH);
+            const currencyCode = wooProduct.currency || mapping.DEFAULT_CURRENCY;
+            const nameOf = item => (item && typeof item === 'object' ? item.name : item);
+
+            // Non-variation attributes (e.g. "Material": ["Cotton"]) are plain Commerce attributes
+            const attributes = this.processMappedAttributes(wooProduct, { sku: 'sku' });
+            const tags = this.textProcessor.cleanTextArray((wooProduct.tags || []).map(nameOf).filter(Boolean).map(String));
+            if (tags.length > 0) attributes.tags = { text: tags };
+            (wooProduct.attributes || []).filter(attribute => !attribute.variation).forEach(attribute => {
+                const values = this.textProcessor.cleanTextArray((attribute.options || []).map(String));
+                if (values.length > 0) attributes[this.optionAttributeKey(attribute.name)] = { text: values };
+            });
+
+            const variants = (wooProduct.variations || [])
+                .filter(variation => variation && typeof variation === 'object')
+                .map(variation => ({
+                    id: String(variation.id || variation.sku),
+                    options: (variation.attributes || [])
+                        .filter(attribute => attribute.option)
+                        .map(attribute => ({ name: attribute.name, value: attribute.option })),
+                    priceInfo: this.buildVariantPriceInfo(variation.price || variation.regular_price, variation.regular_price, currencyCode,
+                        this.wooSaleWindow(variation)),
+                    availability: mapping.AVAILABILITY_MAP[variation.stock_status] || 'IN_STOCK',
+                    uri: variation.permalink || null,
+                    images: variation.image && variation.image.src ? [{ uri: variation.image.src }] : [],
+                    attributes: this.processMappedAttributes(variation, { sku: 'sku' })
+                }));
+
+            return this.buildVariantFamily({
+                id: primaryId,
+                title: title,
+                categories: this.processCategories((wooProduct.categories || []).map(nameOf).filter(Boolean)),
+                description: this.processDescription(String(wooProduct.description || wooProduct.short_description || '')),
+                uri: wooProduct.permalink || this.generateProductUri(primaryId, title),
+                brands: this.textProcessor.cleanTextArray((wooProduct.brands || []).map(nameOf).filter(Boolean).map(String)),
+                languageCode: resolveLanguageCode(this.pickField(wooProduct, CONFIG.EMBEDDINGS.LANGUAGES.SOURCE_FIELDS),
+                    [wooProduct.name, wooProduct.description || wooProduct.short_description]),
+                images: (wooProduct.images || []).filter(image => image && image.src).map(image => ({ uri: image.src })),
+                attributes: attributes,
+                priceInfo: this.buildVariantPriceInfo(wooProduct.price || wooProduct.regular_price, wooProduct.regular_price, currencyCode,
+                    this.wooSaleWindow(wooProduct)),
+                availability: mapping.AVAILABILITY_MAP[wooProduct.stock_status]
+            }, variants);
+
+        } catch (error) {
+            console.error(`❌ Error converting WooCommerce product ${wooProduct.id || 'unknown'}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Build the PRIMARY product and one VARIANT per option combination
+     * @param {Object} base - Shared fields: id, title, categories, description, uri, brands, languageCode,
+     *   images, attributes and optionally priceInfo/availability of the parent product
+     * @param {Array} variants - { id, options: [{ name, value }], priceInfo, availability, uri, images, attributes }
+     * @returns {Array} [primary, ...variants]
+     */
+    buildVariantFamily(base, variants) {
+        const optionVariants = variants.filter(variant => variant.options.length > 0);
+        const single = optionVariants.length === 0 ? variants[0] : null;
+
+        // Parent price: the base price, else the cheapest variant
+        const priced = variants.filter(variant => variant.priceInfo)
+            .sort((a, b) => a.priceInfo.price - b.priceInfo.price);
+        const priceInfo = base.priceInfo || (priced.length > 0 ? priced[0].priceInfo : null);
+
+        const allOptions = this.splitVariantOptions(optionVariants.flatMap(variant => variant.options));
+
+        const primary = {
+            id: base.id,
+            type: 'PRIMARY',
+            title: base.title,
+            categories: base.categories.length > 0 ? base.categories : ['Products'],
+            description: base.description,
+            uri: base.uri,
+            availability: base.availability || this.bestAvailability(variants.map(variant => variant.availability)),
+            languageCode: base.languageCode,
+            ...(priceInfo && { priceInfo: priceInfo }),
+            ...(base.brands.length > 0 && { brands: base.brands }),
+            ...(allOptions.colors.length > 0 && { colorInfo: this.buildColorInfo(allOptions.colors) }),
+            ...(allOptions.sizes.length > 0 && { sizes: allOptions.sizes }),
+            attributes: {
+                ...(single && single.attributes),
+                ...this.optionAttributes(allOptions.other),
+                ...base.attributes
+            },
+            ...(base.images.length > 0 && { images: base.images })
+        };
+
+        if (single) return [primary];
+
+        return [primary, ...optionVariants.map(variant => {
+            const options = this.splitVariantOptions(variant.options);
+            const images = variant.images.length > 0 ? variant.images : base.images;
+
+            return {
+                id: variant.id,
+                type: 'VARIANT',
+                primaryProductId: primary.id,
+                title: `${base.title} - ${variant.options.map(option => option.value).join(' / ')}`
+                    .substring(0, CONFIG.LIMITS.MAX_TITLE_LENGTH),
+                categories: primary.categories,
+                description: base.description,
+                uri: variant.uri || base.uri,
+                availability: variant.availability,
+                languageCode: base.languageCode,
+                ...(variant.priceInfo && { priceInfo: variant.priceInfo }),
+                ...(base.brands.length > 0 && { brands: base.brands }),
+                ...(options.colors.length > 0 && { colorInfo: this.buildColorInfo(options.colors) }),
+                ...(options.sizes.length > 0 && { sizes: options.sizes }),
+                attributes: {
+                    ...variant.attributes,
+                    ...this.optionAttributes(options.other)
+                },
+                ...(images.length > 0 && { images: images })
+            };
+        })];
+    }
+
+    /**
+     * Sort variant options into colors, sizes and other options (CONFIG.FORMATS.VARIANTS)
+     */
+    splitVariantOptions(options) {
+        const variantConfig = CONFIG.FORMATS.VARIANTS;
+        const split = { colors: [], sizes: [], other: [] };
+
+        options.forEach(option => {
+            const name = String(option.name).trim().toLowerCase();
+            const value = this.textProcessor.cleanText(String(option.value));
+            if (!value) return;
+
+            if (variantConfig.COLOR_OPTION_NAMES.includes(name)) {
+                if (!split.colors.includes(value)) split.colors.push(value);
+            } else if (variantConfig.SIZE_OPTION_NAMES.includes(name)) {
+                if (!split.sizes.includes(value)) split.sizes.push(value);
+            } else {
+                split.other.push({ name: option.name, value });
+            }
+        });
+
+        return split;
+    }
+
+    /**
+     * Retail colorInfo: color names plus the standard color families they mention
+     */
+    buildColorInfo(colors) {
+        const variantConfig = CONFIG.FORMATS.VARIANTS;
+        const families = [];
+
+        colors.forEach(color => {
+            color.toLowerCase().split(/[^a-z]+/).forEach(word => {
+                const family = variantConfig.COLOR_FAMILY_ALIASES[word] ||
+                    variantConfig.COLOR_FAMILIES.find(candidate => candidate.toLowerCase() === word);
+                if (family && !families.includes(family)) families.push(family);
+            });
+        });
+
+        return {
+            ...(families.length > 0 && { colorFamilies: families.slice(0, variantConfig.MAX_COLOR_FAMILIES) }),
+            colors: colors
+        };
+    }
+
+    /**
+     * Non color/size options as text attributes: { name: "Material", value: "Wool" } -> material: ["Wool"]
+     */
+    optionAttributes(options) {
+        const attributes = {};
+        options.forEach(option => {
+            const key = this.optionAttributeKey(option.name);
+            attributes[key] = attributes[key] || { text: [] };
+            if (!attributes[key].text.includes(option.value)) attributes[key].text.push(option.value);
+        });
+        return attributes;
+    }
+
+    optionAttributeKey(name) {
+        return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'option';
+    }
+
+    /**
+     * Variant price with an optional compare-at (regular) price above it
+     * @param {Object} window - Optional { priceEffectiveTime, priceExpireTime } of a scheduled sale
+     */
+    buildVariantPriceInfo(price, compareAtPrice, currencyCode, window = {}) {
+        return buildPriceInfo({
+            price: price,
+            originalPrice: compareAtPrice,
+            currencyCode: currencyCode,
+            ...window
+        });
+    }
+
+    /**
+     * Price window of a scheduled WooCommerce sale (date_on_sale_from/to), empty when not on sale
+     */
+    wooSaleWindow(item) {
+        if (!item.sale_price) return {};
+
+        // *_gmt dates have no zone designator: read them as UTC
+        const utc = value => (value && !/(Z|[+-]\d{2}:?\d{2})$/i.test(value) ? `${value}Z` : value);
+        return {
+            priceEffectiveTime: utc(item.date_on_sale_from_gmt) || item.date_on_sale_from,
+            priceExpireTime: utc(item.date_on_sale_to_gmt) || item.date_on_sale_to
+        };
+    }
+
+    /**
+     * Shopify variant availability: the storefront "available" flag, else tracked inventory
+     */
+    determineShopifyAvailability(variant) {
+        if (typeof variant.available === 'boolean') {
+            return variant.available ? 'IN_STOCK' : 'OUT_OF_STOCK';
+        }
+        // Inventory not tracked by Shopify: always purchasable
+        if (!variant.inventory_management || variant.inventory_quantity === undefined) {
+            return 'IN_STOCK';
+        }
+        if (Number(variant.inventory_quantity) > 0) {
+            return 'IN_STOCK';
+        }
+        return variant.inventory_policy === 'continue' ? 'BACKORDER' : 'OUT_OF_STOCK';
+    }
+
+    /**
+     * Most purchasable availability among variants (a parent is in stock if any variant is)
+     */
+    bestAvailability(availabilities) {
+        const order = ['IN_STOCK', 'BACKORDER', 'PREORDER', 'OUT_OF_STOCK'];
+        return order.find(availability => availabilities.includes(availability)) || 'IN_STOCK';
+    }
+
+    /**
+     * Return the first non-empty value among candidate field names
+     */
+    pickField(product, fieldNames) {
+        for (const field of fieldNames) {
+            const value = product[field];
+            if (value === undefined || value === null) continue;
+            if (typeof value === 'string' && value.trim() === '') continue;
+            if (Array.isArray(value) && value.length === 0) continue;
+            return value;
+        }
+        return undefined;
+    }
+
+    /**
+     * Build BPN categories, joining category and subcategory into a path
+     */
+    buildBPNCategories(bpnProduct, mapping) {
+        const category = this.pickField(bpnProduct, mapping.FIELDS.CATEGORY);
+        const subcategory = this.pickField(bpnProduct, mapping.FIELDS.SUBCATEGORY);
+
+        if (Array.isArray(category)) return category.map(String);
+        if (!category) return subcategory ? [String(subcategory)] : [];
+
+        return subcategory ?
+            [`${category}${mapping.CATEGORY_SEPARATOR}${subcategory}`] :
+            [String(category)];
+    }
+
+    /**
+     * Normalize BPN image fields to Commerce image objects
+     */
+    buildBPNImages(images) {
+        if (!images) return [];
+
+        return (Array.isArray(images) ? images : [images])
+            .map(image => (typeof image === 'string' ? { uri: image } : image))
+            .filter(image => image && image.uri);
+    }
+
+    /**
+     * BPN availability: inventory level first, then textual status fields
+     */
+    determineBPNAvailability(bpnProduct, fields) {
+        const inventory = this.pickField(bpnProduct, fields.INVENTORY);
+        if (inventory !== undefined && !isNaN(inventory)) {
+            return this.determineAvailability(Number(inventory));
+        }
+
+        const statusFields = {};
+        fields.STATUS.forEach(field => {
+            if (bpnProduct[field] !== undefined) statusFields[field] = bpnProduct[field];
+        });
+        return this.determineGenericAvailability(statusFields);
+    }
+
+    /**
+     * Build attributes from a source field -> attribute key mapping (BPN, Merchant Center) only
+     */
+    processMappedAttributes(sourceProduct, attributeFields) {
+        const attributes = {};
+
+        Object.entries(attributeFields).forEach(([sourceField, attrName]) => {
+            const value = sourceProduct[sourceField];
+            if (value === undefined || value === null || value === '') return;
+
+            // Nested elements (e.g. feed <g:shipping>) have no text form
+            const values = (Array.isArray(value) ? value : [value]).filter(item => item !== null && typeof item !== 'object');
+            const cleanedValues = this.textProcessor.cleanTextArray(values.map(String));
+            if (cleanedValues.length > 0) {
+                attributes[attrName] = {
+                    text: cleanedValues
+                };
+            }
+        });
+
+        return attributes;
+    }
+
     /**
      * Process categories - clean HTML, remove promotional and limit count
      */
@@ -953,7 +2109,7 @@ class ProductConverter {
         const promotionalKeywords = ['sale', 'new', 'clearance', 'promo', 'deal', 'special', 'limited'];
 
         return categories
-            .map(cat => this.textProcessor.cleanText(cat))
+            .map(cat => this.cleanCategoryPath(cat))
             .filter(cat => {
                 const lowerCat = cat.toLowerCase();
                 return !promotionalKeywords.some(keyword => lowerCat.includes(keyword));
@@ -961,6 +2117,18 @@ class ProductConverter {
             .slice(0, CONFIG.LIMITS.MAX_CATEGORIES);
     }
 
+    /**
+     * Clean each level of a "Parent > Child" category path, keeping the separator
+     */
+    cleanCategoryPath(category) {
+        return String(category)
+            .replace(/<[^>]*>/g, ' ')
+            .split(/\s*>\s*/)
+            .map(level => this.textProcessor.cleanText(level))
+            .filter(Boolean)
+            .join(' > ');
+    }
+
     /**
      * Process description - clean HTML and limit length
      */
@@ -976,21 +2144,19 @@ class ProductConverter {
 
     /**
      * Process price information
+     * @param {Object} fields - { price, originalPrice, cost, currencyCode, priceEffectiveTime, priceExpireTime }
+     * @returns {Object|null} Retail priceInfo, currency defaulting to CONFIG.COMMERCE.CURRENCY_CODE
      */
-    processPriceInfo(price) {
-        if (!price || isNaN(price)) return null;
-
-        return {
-            currencyCode: CONFIG.COMMERCE.CURRENCY_CODE,
-            price: parseFloat(price)
-        };
+    processPriceInfo(fields) {
+        return buildPriceInfo(fields, CONFIG.COMMERCE.CURRENCY_CODE);
     }
 
     /**
      * Generate product URI
      */
     generateProductUri(productId, title) {
-        const slug = title.toLowerCase()
+        // Accents are folded ("Crème" -> "creme") rather than dropped
+        const slug = title.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase()
             .replace(/[^a-z0-9\s-]/g, '')
             .replace(/\s+/g, '-')
             .substring(0, 50);
@@ -1062,78 +2228,121 @@ class ProductConverter {
 
     /**
      * Convert generic/unknown product format to Commerce format
-     * This method attempts to map common field names to Commerce format
+     * This method attempts to map common field names to Commerce format.
+     * An optional mapping profile (see profiles/README.md) takes precedence for every
+     * field it maps; unmapped fields fall back to the common field names below.
      */
-    convertGenericProduct(genericProduct) {
+    convertGenericProduct(genericProduct, profile = null) {
         try {
-            // Try to extract common fields with fallbacks
-            const productId = genericProduct.id ||
-                             genericProduct.product_id ||
-                             genericProduct.sku ||
-                             `generic-product-${Date.now()}`;
+            const mapped = profile ? applyProfile(genericProduct, profile) : null;
+            const mappedFields = mapped ? mapped.fields : {};
+            const source = mapped ? this.omitKeys(genericProduct, mapped.droppedKeys) : genericProduct;
 
-            const title = this.textProcessor.cleanText(genericProduct.title ||
-                          genericProduct.name ||
-                          genericProduct.product_name ||
-                          genericProduct.display_name ||
-                          'Untitled Product').substring(0, CONFIG.LIMITS.MAX_TITLE_LENGTH);
+            // Try to extract common fields with fallbacks
+            const productId = String(mappedFields.id ||
+                             source.id ||
+                             source.product_id ||
+                             source.sku ||
+                             `generic-product-${Date.now()}`);
+
+            const rawTitle = mappedFields.title ||
+                          source.title ||
+                          source.name ||
+                          source.product_name ||
+                          source.display_name;
+            const title = this.textProcessor.cleanText(String(rawTitle || 'Untitled Product'))
+                .substring(0, CONFIG.LIMITS.MAX_TITLE_LENGTH);
 
             // Try to extract categories from various possible field names
             let categories = [];
-            const categoryFields = ['categories', 'category', 'product_categories', 'tags', 'types'];
-            for (const field of categoryFields) {
-                if (genericProduct[field]) {
-                    if (Array.isArray(genericProduct[field])) {
-                        categories = genericProduct[field];
-                    } else if (typeof genericProduct[field] === 'string') {
-                        categories = [genericProduct[field]];
+            if (mappedFields.categories !== undefined) {
+                categories = [].concat(mappedFields.categories).map(String);
+            } else {
+                const categoryFields = ['categories', 'category', 'product_categories', 'tags', 'types'];
+                for (const field of categoryFields) {
+                    if (source[field]) {
+                        if (Array.isArray(source[field])) {
+                            categories = source[field];
+                        } else if (typeof source[field] === 'string') {
+                            categories = [source[field]];
+                        }
+                        break;
                     }
-                    break;
                 }
             }
             categories = this.processCategories(categories);
 
             // Try to extract description
-            const description = this.processDescription(
-                genericProduct.description ||
-                genericProduct.details ||
-                genericProduct.summary ||
-                genericProduct.content ||
-                ''
-            );
+            const rawDescription = mappedFields.description ||
+                source.description ||
+                source.details ||
+                source.summary ||
+                source.content ||
+                '';
+            const description = this.processDescription(String(rawDescription));
+
+            // Language named by the profile or source, else detected from the raw text
+            const namedLanguage = mappedFields.languageCode !== undefined ?
+                mappedFields.languageCode : this.pickField(source, CONFIG.EMBEDDINGS.LANGUAGES.SOURCE_FIELDS);
+            const languageCode = resolveLanguageCode(namedLanguage, [rawTitle, rawDescription]);
 
             // Try to extract price
-            let priceInfo = null;
-            const priceFields = ['price', 'cost', 'amount', 'value'];
-            for (const field of priceFields) {
-                if (genericProduct[field] && !isNaN(genericProduct[field])) {
-                    priceInfo = this.processPriceInfo(genericProduct[field]);
-                    break;
-                }
-            }
+            // Profile mappings first, then common field names
+            const priceField = (field, fallbackFields) => (mappedFields[field] !== undefined ?
+                mappedFields[field] : this.pickField(source, fallbackFields));
+            const priceInfo = this.processPriceInfo({
+                price: priceField('price', ['price', 'amount', 'value']),
+                originalPrice: priceField('originalPrice', ['original_price', 'compare_at_price', 'list_price', 'msrp', 'regular_price']),
+                cost: priceField('cost', ['cost', 'unit_cost', 'cost_price']),
+                currencyCode: priceField('currencyCode', ['currency_code', 'currency']),
+                priceEffectiveTime: priceField('priceEffectiveTime', ['price_effective_time', 'sale_start_date']),
+                priceExpireTime: priceField('priceExpireTime', ['price_expire_time', 'sale_end_date'])
+            });
 
             // Try to extract brand
             const brands = [];
-            const brandFields = ['brand', 'manufacturer', 'company', 'vendor'];
-            for (const field of brandFields) {
-                if (genericProduct[field]) {
-                    brands.push(genericProduct[field]);
-                    break;
+            if (mappedFields.brands !== undefined) {
+                brands.push(...this.textProcessor.cleanTextArray([].concat(mappedFields.brands).map(String)));
+            } else {
+                const brandFields = ['brand', 'manufacturer', 'company', 'vendor'];
+                for (const field of brandFields) {
+                    if (source[field]) {
+                        brands.push(source[field]);
+                        break;
+                    }
                 }
             }
 
+            const images = mappedFields.images !== undefined ?
+                [].concat(mappedFields.images)
+                    .map(image => (typeof image === 'string' ? { uri: image } : image))
+                    .filter(image => image && image.uri) :
+                [];
+
+            // Store-level stock -> fulfillmentInfo and local inventory records
+            const storeInventory = this.readStoreInventory(source, mapped);
+            const inventory = storeInventory && this.buildLocalInventory(storeInventory.records, priceInfo);
+            const attributeSource = storeInventory && storeInventory.field ?
+                this.omitKeys(source, new Set([storeInventory.field])) : source;
+
             // Build Commerce format product
             const commerceProduct = {
                 id: productId,
                 title: title,
                 categories: categories.length > 0 ? categories : ['Products'],
                 description: description,
-                uri: this.generateProductUri(productId, title),
-                availability: this.determineGenericAvailability(genericProduct),
-                languageCode: 'en',
+                uri: mappedFields.uri || this.generateProductUri(productId, title),
+                availability: mappedFields.availability !== undefined ?
+                    this.normalizeMappedAvailability(mappedFields.availability) :
+                    this.determineGenericAvailability(source, inventory ? inventory.availability : 'IN_STOCK'),
+                languageCode: languageCode,
                 ...(priceInfo && { priceInfo: priceInfo }),
                 ...(brands.length > 0 && { brands: brands }),
-                attributes: this.processGenericAttributes(genericProduct)
+                attributes: this.processGenericAttributes(attributeSource, mapped),
+                ...(images.length > 0 && { images: images }),
+                ...(inventory && inventory.fulfillmentInfo.length > 0 && { fulfillmentInfo: inventory.fulfillmentInfo }),
+                // Written to the local inventory output and removed before the product line is written
+                ...(inventory && inventory.localInventories.length > 0 && { localInventories: inventory.localInventories })
             };
 
             return commerceProduct;
@@ -1144,20 +2353,46 @@ class ProductConverter {
         }
     }
 
+    /**
+     * Profile-mapped availability: Commerce values pass through, anything else uses the generic heuristics
+     */
+    normalizeMappedAvailability(value) {
+        const upper = String(value).toUpperCase();
+        if (['IN_STOCK', 'OUT_OF_STOCK', 'PREORDER', 'BACKORDER'].includes(upper)) {
+            return upper;
+        }
+        return this.determineGenericAvailability({ availability: value });
+    }
+
+    /**
+     * Shallow copy of an object without the given keys
+     */
+    omitKeys(object, keys) {
+        if (!keys || keys.size === 0) return object;
+
+        const result = {};
+        Object.keys(object).forEach(key => {
+            if (!keys.has(key)) result[key] = object[key];
+        });
+        return result;
+    }
+
     /**
      * Determine availability for generic products
+     * @param {string} fallback - Used when the product has no availability or quantity field
      */
-    determineGenericAvailability(product) {
+    determineGenericAvailability(product, fallback = 'IN_STOCK') {
         // Check various availability fields
         const availabilityFields = ['availability', 'status', 'stock_status', 'in_stock', 'available'];
 
         for (const field of availabilityFields) {
             if (product[field] !== undefined) {
                 const value = String(product[field]).toLowerCase();
-                if (value.includes('stock') || value.includes('available') || value === 'true' || value === '1') {
-                    return 'IN_STOCK';
-                } else if (value.includes('out') || value === 'false' || value === '0') {
+                // Negative values first: "out of stock" and "unavailable" contain the positive words
+                if (value.includes('out') || value.includes('unavailable') || value === 'false' || value === '0') {
                     return 'OUT_OF_STOCK';
+                } else if (value.includes('stock') || value.includes('available') || value === 'true' || value === '1') {
+                    return 'IN_STOCK';
                 }
             }
         }
@@ -1170,13 +2405,142 @@ class ProductConverter {
             }
         }
 
-        return 'IN_STOCK'; // Default to in stock
+        return fallback;
+    }
+
+    /**
+     * Store records of a generic product, from the profile's inventory section or CONFIG.INVENTORY
+     * @returns {Object|null} { records: normalized store records, field: source key holding them (not
+     *   turned into attributes) }, or null when the product has no store-level stock
+     */
+    readStoreInventory(source, mapped = null) {
+        if (mapped && mapped.inventory !== undefined) {
+            return mapped.inventory && mapped.inventory.length > 0 ? { records: mapped.inventory, field: null } : null;
+        }
+
+        const config = CONFIG.INVENTORY;
+        if (!config.ENABLED) return null;
+
+        const field = config.RECORD_FIELDS.find(name => Array.isArray(source[name]) &&
+            source[name].some(record => record && typeof record === 'object'));
+        if (!field) return null;
+
+        const fields = config.FIELDS;
+        const records = source[field].filter(record => record && typeof record === 'object').map(record => {
+            const fulfillment = {};
+            Object.entries(config.FULFILLMENT_FIELDS).forEach(([type, names]) => {
+                const flag = this.pickField(record, names);
+                if (flag !== undefined) fulfillment[type] = flag;
+            });
+
+            const attributes = {};
+            Object.entries(config.ATTRIBUTE_FIELDS).forEach(([sourceField, attribute]) => {
+                if (record[sourceField] !== undefined && record[sourceField] !== null && record[sourceField] !== '') {
+                    attributes[attribute] = record[sourceField];
+                }
+            });
+
+            return {
+                placeId: this.pickField(record, fields.PLACE_ID),
+                quantity: this.pickField(record, fields.QUANTITY),
+                availability: this.pickField(record, fields.AVAILABILITY),
+                price: this.pickField(record, fields.PRICE),
+                originalPrice: this.pickField(record, fields.ORIGINAL_PRICE),
+                currencyCode: this.pickField(record, fields.CURRENCY),
+                fulfillment,
+                attributes
+            };
+        });
+
+        return { records, field };
+    }
+
+    /**
+     * Build fulfillmentInfo and local inventory records from normalized store records
+     * @param {Object|null} priceInfo - Product price; store prices default to its currency
+     * @returns {Object} { fulfillmentInfo, localInventories, availability: best store availability }
+     */
+    buildLocalInventory(records, priceInfo = null) {
+        const rules = CONFIG.VALIDATION.RULES;
+        const placeIds = new Map();     // fulfillment type -> place ids
+        const localInventories = [];
+        const seen = new Set();
+
+        records.forEach(record => {
+            if (record.placeId === undefined || record.placeId === null) return;
+
+            const placeId = String(record.placeId).trim()
+                .replace(rules.PLACE_ID_INVALID_CHARS, '_')
+                .substring(0, rules.PLACE_ID_MAX_LENGTH);
+            if (!placeId || seen.has(placeId)) return;
+            seen.add(placeId);
+
+            const quantity = parseFloat(record.quantity);
+            let availability = 'IN_STOCK';
+            if (record.availability !== undefined) {
+                availability = this.normalizeMappedAvailability(record.availability);
+            } else if (!isNaN(quantity)) {
+                availability = quantity > 0 ? 'IN_STOCK' : 'OUT_OF_STOCK';
+            }
+
+            const storePrice = record.price !== undefined ? buildPriceInfo({
+                price: record.price,
+                originalPrice: record.originalPrice,
+                currencyCode: record.currencyCode || (priceInfo && priceInfo.currencyCode)
+            }) : null;
+
+            const attributes = {};
+            if (!isNaN(quantity)) attributes.quantity = { numbers: [quantity] };
+            Object.entries(record.attributes || {}).forEach(([key, value]) => {
+                if (typeof value === 'number') {
+                    attributes[key] = { numbers: [value] };
+                } else {
+                    const values = this.textProcessor.cleanTextArray([].concat(value).map(String));
+                    if (values.length > 0) attributes[key] = { text: values };
+                }
+            });
+
+            const fulfillmentTypes = Object.entries(record.fulfillment || {})
+                .filter(([, flag]) => this.isTruthyFlag(flag))
+                .map(([type]) => type);
+
+            // Stores without stock stay in local inventory but are not offered as fulfillment places
+            if (!CONFIG.INVENTORY.REQUIRE_STOCK_FOR_FULFILLMENT || availability === 'IN_STOCK') {
+                fulfillmentTypes.forEach(type => {
+                    if (!placeIds.has(type)) placeIds.set(type, []);
+                    placeIds.get(type).push(placeId);
+                });
+            }
+
+            localInventories.push({
+                placeId,
+                availability,
+                ...(storePrice && { priceInfo: storePrice }),
+                ...(fulfillmentTypes.length > 0 && { fulfillmentTypes }),
+                ...(Object.keys(attributes).length > 0 && { attributes })
+            });
+        });
+
+        return {
+            fulfillmentInfo: [...placeIds].map(([type, ids]) => ({ type, placeIds: ids.slice(0, rules.MAX_PLACE_IDS) })),
+            localInventories,
+            availability: this.bestAvailability(localInventories.map(inventory => inventory.availability))
+        };
+    }
+
+    /**
+     * Yes/no store flag: true, 1, "yes", "y", "true", "1"
+     */
+    isTruthyFlag(value) {
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'number') return value > 0;
+        return ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
     }
 
     /**
      * Process generic product attributes
      */
-    processGenericAttributes(genericProduct) {
+    processGenericAttributes(genericProduct, mapped = null) {
         const attributes = {};
 
         // Common attribute field mappings
@@ -1207,9 +2571,26 @@ class ProductConverter {
             }
         });
 
-        // Add any remaining fields as custom attributes (excluding system fields)
+        // Profile attributes take precedence over the common field mappings
+        if (mapped) {
+            Object.entries(mapped.attributes).forEach(([attrName, value]) => {
+                const cleanedValues = this.textProcessor.cleanTextArray([].concat(value).map(String));
+                if (cleanedValues.length > 0) {
+                    attributes[attrName] = {
+                        text: cleanedValues
+                    };
+                }
+            });
+
+            if (mapped.includeUnmapped === false) {
+                return attributes;
+            }
+        }
+
+        // Add any remaining fields as custom attributes (excluding system fields and fields a profile consumed)
         const systemFields = new Set(['id', 'title', 'name', 'description', 'price', 'categories', 'brand', 'availability']);
         Object.keys(genericProduct).forEach(key => {
+            if (mapped && mapped.consumedKeys.has(key)) return;
             if (!systemFields.has(key) && !attributes[key] && genericProduct[key] !== null && genericProduct[key] !== undefined) {
                 const values = Array.isArray(genericProduct[key]) ?
                     genericProduct[key].map(String) : [String(genericProduct[key])];
@@ -1230,17 +2611,87 @@ class ProductConverter {
  * Main conversion orchestrator - Scalable processing of millions of JSON files
  */
 class UniversalConverter {
-    constructor() {
-        this.productConverter = new ProductConverter();
-        this.embeddingGenerator = new EmbeddingGenerator();
+    /**
+     * @param {Object} options - { profile: mapping profile name applied to every file,
+     *                             validationMode: 'fail' | 'skip' | 'repair' | 'off',
+     *                             pointer: JSON pointer to the product array in every file,
+     *                             groupBy: group key path for the primary/variant stage,
+     *                             currency: target currency of the price conversion stage,
+     *                             ratesFile: exchange-rate table, default CONFIG.RATES_FILE,
+     *                             sparseWeighting: 'tf' | 'tfidf' | 'bm25', default EMBEDDINGS.SPARSE_WEIGHTING.MODE,
+     *                             corpusStats: saved corpus statistics to reuse instead of a first pass,
+     *                             sparseFormat: 'text' | 'indexed' | 'both', default EMBEDDINGS.SPARSE_OUTPUT.FORMAT,
+     *                             vocabulary: sparse vocabulary file, default next to the output,
+     *                             vectorSearch: write Vector Search datapoints to VECTOR_SEARCH.OUTPUT_DIRECTORY,
+     *                             vectorSearchDir: write Vector Search datapoints to this folder instead,
+     *                             separateEmbeddings: 'jsonl' | 'float32' embedding sidecar instead of inline dense vectors }
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.validationMode = options.validationMode || CONFIG.VALIDATION.DEFAULT_MODE;
+        if (!CONFIG.VALIDATION.MODES.includes(this.validationMode)) {
+            throw new Error(`Unknown validation mode "${this.validationMode}". Expected one of: ${CONFIG.VALIDATION.MODES.join(', ')}`);
+        }
+        this.schemaValidator = new RetailSchemaValidator();
+
+        // Primary/variant grouping stage: --group-by=<path> or GROUPING.ENABLED
+        this.groupingOptions = options.groupBy ? { KEY_PATHS: [options.groupBy] } :
+            (CONFIG.GROUPING.ENABLED ? {} : null);
+
+        // Price conversion stage: --currency=<code> or COMMERCE.CONVERSION.TARGET_CURRENCY.
+        // Loading fails fast on a missing, malformed or stale rates table.
+        const targetCurrency = options.currency || CONFIG.COMMERCE.CONVERSION.TARGET_CURRENCY;
+        this.currencyConverter = targetCurrency ? CurrencyConverter.load(
+            path.resolve(__dirname, options.ratesFile || CONFIG.RATES_FILE),
+            { TARGET_CURRENCY: targetCurrency, mode: this.validationMode }
+        ) : null;
+
+        // TF-IDF/BM25 sparse weighting: --sparse-weighting=<mode> or EMBEDDINGS.SPARSE_WEIGHTING.MODE.
+        // Corpus statistics come from --corpus-stats=<file> or a first pass over the input (prepareSparseWeighting).
+        this.sparseWeighting = options.sparseWeighting || CONFIG.EMBEDDINGS.SPARSE_WEIGHTING.MODE;
+        if (!CONFIG.EMBEDDINGS.SPARSE_WEIGHTING.MODES.includes(this.sparseWeighting)) {
+            throw new Error(`Unknown sparse weighting "${this.sparseWeighting}". Expected one of: ${CONFIG.EMBEDDINGS.SPARSE_WEIGHTING.MODES.join(', ')}`);
+        }
+        this.corpusStats = null;
+
+        // Integer-indexed sparse output: --sparse-format=<format> or EMBEDDINGS.SPARSE_OUTPUT.FORMAT.
+        // The vocabulary is loaded (or started) when the first file is processed (prepareSparseVocabulary).
+        this.sparseFormat = options.sparseFormat || CONFIG.EMBEDDINGS.SPARSE_OUTPUT.FORMAT;
+        if (!CONFIG.EMBEDDINGS.SPARSE_OUTPUT.FORMATS.includes(this.sparseFormat)) {
+            throw new Error(`Unknown sparse format "${this.sparseFormat}". Expected one of: ${CONFIG.EMBEDDINGS.SPARSE_OUTPUT.FORMATS.join(', ')}`);
+        }
+        this.sparseVocabulary = null;
+        this.sparseVocabularyPath = null;
+
+        // Vector Search datapoint stage: --vector-search[=<directory>] or VECTOR_SEARCH.ENABLED
+        // (without a directory, datapoints go to VECTOR_SEARCH.OUTPUT_DIRECTORY next to each output)
+        this.vectorSearch = !!(options.vectorSearch || options.vectorSearchDir || CONFIG.VECTOR_SEARCH.ENABLED);
+
+        // Dense vectors in an embedding sidecar next to each output: --separate-embeddings=<format>
+        // or OPTIMIZATION.SEPARATE_EMBEDDINGS (sidecar format EMBEDDING_SIDECAR.FORMAT)
+        this.separateEmbeddings = options.separateEmbeddings ||
+            (CONFIG.OPTIMIZATION.SEPARATE_EMBEDDINGS ? CONFIG.EMBEDDING_SIDECAR.FORMAT : null);
+        if (this.separateEmbeddings && !CONFIG.EMBEDDING_SIDECAR.FORMATS.includes(this.separateEmbeddings)) {
+            throw new Error(`Unknown embedding sidecar format "${this.separateEmbeddings}". Expected one of: ${CONFIG.EMBEDDING_SIDECAR.FORMATS.join(', ')}`);
+        }
+
         this.logger = new ScalableLogger();
+        this.productConverter = new ProductConverter();
+        this.embeddingGenerator = new EmbeddingGenerator(this.logger);
+        this.embeddingGenerator.setSeparateEmbeddings(!!this.separateEmbeddings);
         this.memoryMonitor = new MemoryMonitor();
         this.streamingParser = new StreamingJSONParser(this.logger);
         this.processingQueue = PQueue ? new PQueue({ concurrency: CONFIG.PROCESSING.CONCURRENCY_LIMIT }) : null;
 
+        // Field-mapping profiles for generic sources (profiles/*.json|js)
+        this.mappingProfiles = new MappingProfileRegistry();
+        this.mappingProfiles.loadDirectory(path.resolve(__dirname, CONFIG.PROFILES_DIR));
+
         this.stats = {
             processedFiles: {},
             combined: { total: 0, withEmbeddings: 0, totalFiles: 0 },
+            validation: {},
+            currency: {},
             performance: {
                 startTime: null,
                 endTime: null,
@@ -1312,7 +2763,7 @@ class UniversalConverter {
     }
 
     /**
-     * Discover all JSON files in the Data directory
+     * Discover all input files (JSON, NDJSON, CSV/TSV) in the Data directory
      * @returns {Array} Array of file paths to process
      */
     discoverJSONFiles() {
@@ -1322,11 +2773,11 @@ class UniversalConverter {
             throw new Error(`Data directory not found: ${dataDir}`);
         }
 
-        console.log(`🔍 Scanning for JSON files in: ${dataDir}`);
+        console.log(`🔍 Scanning for input files in: ${dataDir}`);
 
         const files = fs.readdirSync(dataDir);
         const jsonFiles = files.filter(file => {
-            // Include JSON files
+            // Include supported input files
             if (!CONFIG.FILE_PATTERNS.INCLUDE.test(file)) return false;
 
             // Exclude unwanted files
@@ -1338,10 +2789,10 @@ class UniversalConverter {
         });
 
         if (jsonFiles.length === 0) {
-            throw new Error(`No JSON files found in ${dataDir}`);
+            throw new Error(`No input files found in ${dataDir}`);
         }
 
-        console.log(`📁 Found ${jsonFiles.length} JSON files to process:`);
+        console.log(`📁 Found ${jsonFiles.length} input files to process:`);
         jsonFiles.forEach(file => console.log(`   - ${file}`));
 
         return jsonFiles.map(file => path.join(dataDir, file));
@@ -1360,7 +2811,8 @@ class UniversalConverter {
             fs.mkdirSync(outputDir, { recursive: true });
         }
 
-        const inputFileName = path.basename(inputFilePath, path.extname(inputFilePath));
+        const plainInputPath = stripGzipExtension(inputFilePath);
+        const inputFileName = path.basename(plainInputPath, path.extname(plainInputPath));
         const outputFileName = `${inputFileName}_commerce_ready.jsonl`;
 
         return path.join(outputDir, outputFileName);
@@ -1370,10 +2822,12 @@ class UniversalConverter {
      * Enhanced universal JSON file processor with streaming and batch processing
      * @param {string} inputFilePath - Path to the JSON file
      * @param {string} outputFilePath - Path for the output JSONL file
-     * @param {string} formatHint - Optional format hint ('bpn', 'vertex', 'auto')
-     * @returns {Array} Converted products
+     * @param {string} formatHint - Optional format hint ('bpn', 'vertex', 'merchant', 'shopify', 'woocommerce', 'auto')
+     * @param {Object} options - { profile: mapping profile name; defaults to a profile whose "match" globs fit the file name,
+     *                             pointer: JSON pointer to the product array, e.g. '/data/items' }
+     * @returns {Promise<Object>} Conversion summary (see processBatchesWithSharding)
      */
-    async processAnyJSONFile(inputFilePath, outputFilePath = null, formatHint = 'auto') {
+    async processAnyJSONFile(inputFilePath, outputFilePath = null, formatHint = 'auto', options = {}) {
         const fileName = path.basename(inputFilePath);
         this.logger.info(`Starting processing: ${fileName}`);
 
@@ -1388,95 +2842,251 @@ class UniversalConverter {
 
             // Generate output path if not provided
             if (!outputFilePath) {
-                const inputName = path.basename(inputFilePath, path.extname(inputFilePath));
-                outputFilePath = path.resolve(__dirname, `${CONFIG.OUTPUT_DIRECTORY}/${inputName}_commerce_ready.jsonl`);
+                outputFilePath = this.generateOutputPath(inputFilePath);
+            }
+
+            // Fail fast if the embedding provider is unavailable or misconfigured
+            await this.embeddingGenerator.initialize();
+
+            // TF-IDF/BM25 on a single file: its own first pass (processAllDataFiles prepares all files at once)
+            if (this.sparseWeighting !== 'tf' && !this.corpusStats) {
+                await this.prepareSparseWeighting([resolvedInputPath], path.dirname(outputFilePath), formatHint, options);
+            }
+
+            if (this.needsSparseVocabulary() && !this.sparseVocabulary) {
+                this.prepareSparseVocabulary(path.dirname(outputFilePath));
+            }
+
+            const { container, items, lineErrors, profile, detectedFormat } =
+                await this.openSource(resolvedInputPath, formatHint, options);
+
+            this.logger.info(`Detected format: ${detectedFormat} (container: ${container})`);
+            if (profile) {
+                this.logger.info(`Using mapping profile: ${profile.name}`);
+            }
+
+            // Dense vectors of separate-embeddings runs; a sidecar of the other format would be stale
+            removeEmbeddingSidecars(outputFilePath, this.separateEmbeddings);
+            const embeddingSidecar = this.separateEmbeddings ?
+                new EmbeddingSidecarWriter(outputFilePath, { format: this.separateEmbeddings }) : null;
+
+            // Parse -> convert -> embed -> write, one batch in flight at a time
+            let summary;
+            try {
+                summary = await this.processBatchesWithSharding(
+                    items, outputFilePath, detectedFormat, fileName, profile, embeddingSidecar
+                );
+
+                if (this.groupingOptions) {
+                    summary.grouping = await this.groupOutputFiles(summary, outputFilePath, fileName, embeddingSidecar);
+                }
+            } finally {
+                if (embeddingSidecar) await embeddingSidecar.close();
             }
+            summary.inputPath = resolvedInputPath;
+            summary.lineErrors = lineErrors;
+
+            if (embeddingSidecar) {
+                summary.embeddings = {
+                    format: embeddingSidecar.format,
+                    outputFiles: embeddingSidecar.files,
+                    products: embeddingSidecar.size
+                };
+                this.logger.info(`Embedding sidecar (${embeddingSidecar.format}): ${embeddingSidecar.size} products -> ${embeddingSidecar.files.join(', ')}`);
+            }
+
+            if (this.vectorSearch) {
+                summary.vectorSearch = await this.writeVectorSearchOutput(summary, outputFilePath, fileName);
+            }
+
+            this.logger.info(`Conversion complete: ${fileName} -> ${summary.totalProducts} products`);
+
+            return summary;
+
+        } catch (error) {
+            this.logger.error(`JSON file processing failed: ${fileName}`, { error: error.message });
+            throw error;
+        } finally {
+            // Saved after every file, failed ones included, so output already written never references unsaved indices
+            this.saveSparseVocabulary();
+        }
+    }
+
+    /**
+     * Persist terms added to the sparse vocabulary since the last save
+     */
+    saveSparseVocabulary() {
+        if (this.sparseVocabulary && this.sparseVocabulary.save(this.sparseVocabularyPath)) {
+            this.logger.info(`Sparse vocabulary: ${this.sparseVocabulary.size} terms (revision ${this.sparseVocabulary.revision}) -> ${this.sparseVocabularyPath}`);
+        }
+    }
 
-            // Use streaming parser for large files
-            const products = await this.streamingParser.parseJSONFile(resolvedInputPath);
+    /**
+     * Stream a file's products and settle its format and mapping profile
+     * Detection only needs the container and the first product.
+     * @returns {Promise<Object>} { container, items: async iterable of products, lineErrors, profile, detectedFormat }
+     */
+    async openSource(inputPath, formatHint = 'auto', options = {}) {
+        const { container, products, lineErrors } = await this.streamingParser.openProducts(inputPath, {
+            pointer: options.pointer || this.options.pointer
+        });
+        const { first, items } = await peek(products);
+
+        // A mapping profile implies the generic converter unless a format was forced
+        const profile = this.resolveMappingProfile(path.basename(inputPath), options.profile || this.options.profile);
+        const detectedFormat = profile && formatHint === 'auto' ?
+            'generic' :
+            this.detectFormat(container, first, formatHint);
+
+        return { container, items, lineErrors, profile, detectedFormat };
+    }
 
-            // Auto-detect format
-            const { detectedFormat } = this.detectFormatAndExtractProducts({ products }, formatHint);
+    /**
+     * Load or build the corpus statistics for TF-IDF/BM25 sparse weighting
+     * Without options.corpusStats this is the first of two passes: every input file is converted
+     * (without embeddings) and the sparse field terms of each product are counted. The statistics
+     * are saved as PATHS.OUTPUT_FILES.CORPUS_STATS in the output directory, where the search API
+     * picks them up to weigh queries the same way.
+     * @param {string[]} inputFiles - Files the statistics cover
+     * @param {string} outputDir - Directory of the converted output
+     */
+    async prepareSparseWeighting(inputFiles, outputDir, formatHint = 'auto', options = {}) {
+        const statsPath = path.join(outputDir, PATHS.OUTPUT_FILES.CORPUS_STATS);
+        let corpusStats;
 
-            this.logger.info(`Detected format: ${detectedFormat}, Products: ${products.length}`);
+        if (this.options.corpusStats) {
+            corpusStats = CorpusStats.load(path.resolve(this.options.corpusStats));
+            this.logger.info(`Loaded corpus statistics: ${this.options.corpusStats} (${corpusStats.documents} products)`);
+        } else {
+            corpusStats = new CorpusStats();
+            this.logger.info(`Collecting corpus statistics for ${this.sparseWeighting} weighting from ${inputFiles.length} file(s)...`);
 
-            // Ensure output directory exists
-            const outputDir = path.dirname(outputFilePath);
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
+            for (const filePath of inputFiles) {
+                try {
+                    await this.collectCorpusStats(filePath, corpusStats, formatHint, options);
+                } catch (error) {
+                    // The second pass reports the file again; its products just are not counted
+                    this.logger.warn(`Corpus statistics skip ${path.basename(filePath)}: ${error.message}`);
+                }
             }
+        }
 
-            // Initialize progress tracking
-            this.logger.initProgressBar(products.length, `Processing ${fileName}`);
+        corpusStats.weighting = this.sparseWeighting;
+        corpusStats.save(statsPath);
+        this.logger.info(`Corpus statistics: ${corpusStats.documents} products -> ${statsPath}`);
 
-            // Process with enhanced batch processing and sharding
-            const convertedProducts = await this.processBatchesWithSharding(
-                products, outputFilePath, detectedFormat, fileName
-            );
+        this.embeddingGenerator.setSparseWeighting(this.sparseWeighting, corpusStats);
+        this.corpusStats = corpusStats;
+        return corpusStats;
+    }
 
-            this.logger.stopProgress();
-            this.logger.info(`Conversion complete: ${fileName} -> ${convertedProducts.length} products`);
+    /**
+     * Indexed sparse output and Vector Search sparse vectors both map terms through the vocabulary
+     */
+    needsSparseVocabulary() {
+        return this.sparseFormat !== 'text' ||
+            (this.vectorSearch && CONFIG.VECTOR_SEARCH.INCLUDE_SPARSE && CONFIG.EMBEDDINGS.ENABLE_SPARSE);
+    }
 
-            return convertedProducts;
+    /**
+     * Load the sparse vocabulary (options.vocabulary, else PATHS.OUTPUT_FILES.SPARSE_VOCABULARY in the
+     * output directory) or start a new one there; new terms are appended as products are embedded
+     * @param {string} outputDir - Directory of the converted output
+     */
+    prepareSparseVocabulary(outputDir) {
+        this.sparseVocabularyPath = this.options.vocabulary ?
+            path.resolve(this.options.vocabulary) :
+            path.join(outputDir, PATHS.OUTPUT_FILES.SPARSE_VOCABULARY);
+        this.sparseVocabulary = SparseVocabulary.loadOrCreate(this.sparseVocabularyPath);
+        this.logger.info(`Sparse vocabulary: ${this.sparseVocabulary.size} terms (revision ${this.sparseVocabulary.revision}) from ${this.sparseVocabularyPath}`);
+
+        this.embeddingGenerator.setSparseOutput(this.sparseFormat, this.sparseVocabulary);
+        return this.sparseVocabulary;
+    }
 
-        } catch (error) {
-            this.logger.error(`JSON file processing failed: ${fileName}`, { error: error.message });
-            throw error;
+    /**
+     * First pass over one file: convert its products and count their sparse field terms
+     */
+    async collectCorpusStats(filePath, corpusStats, formatHint = 'auto', options = {}) {
+        const fileName = path.basename(filePath);
+        const { items, profile, detectedFormat } = await this.openSource(filePath, formatHint, options);
+        // Prices are converted as in the second pass; the counts are thrown away
+        const currencyStats = { converted: 0, unchanged: 0, missingRate: 0 };
+
+        for await (const batch of batches(items, CONFIG.PROCESSING.BATCH_SIZE)) {
+            this.convertBatch(batch, detectedFormat, fileName, profile, currencyStats).forEach(product => {
+                const fieldTerms = product && this.embeddingGenerator.collectSparseFieldTerms(product, detectedFormat);
+                if (fieldTerms) corpusStats.addDocument(fieldTerms);
+            });
+        }
+    }
+
+    /**
+     * Pick the mapping profile for a file: an explicit name wins, then filename globs
+     * @returns {Object|null}
+     */
+    resolveMappingProfile(fileName, profileName = null) {
+        if (profileName) {
+            return this.mappingProfiles.get(profileName);
         }
+        return this.mappingProfiles.findForFile(fileName);
     }
 
     /**
      * Process products in batches with output sharding for large datasets
+     * Products are pulled from the (async) iterable one batch at a time and each line is
+     * written before the next batch is read, so memory stays flat regardless of file size.
+     * @param {EmbeddingSidecarWriter} embeddingSidecar - Receives product.embeddings of separate-embeddings runs
+     * @returns {Promise<Object>} { outputPath, outputFiles, totalProducts, withEmbeddings, validation }
      */
-    async processBatchesWithSharding(products, outputFilePath, detectedFormat, fileName) {
+    async processBatchesWithSharding(products, outputFilePath, detectedFormat, fileName, profile = null, embeddingSidecar = null) {
         const batchSize = CONFIG.PROCESSING.BATCH_SIZE;
-        const maxLinesPerShard = CONFIG.PROCESSING.MAX_LINES_PER_SHARD;
-        const convertedProducts = [];
-
-        let currentShard = 0;
-        let currentShardLines = 0;
-        let currentShardPath = outputFilePath;
-        let currentShardStream = null;
-
-        // Determine if sharding is needed based on product count
-        const shouldShard = CONFIG.PROCESSING.SHARD_OUTPUT && products.length > maxLinesPerShard;
-
-        // Initialize first output file
-        if (shouldShard) {
-            currentShardPath = this.getShardPath(outputFilePath, currentShard);
-            this.logger.info(`Large dataset detected (${products.length} products). Using sharded output.`);
-        } else {
-            currentShardPath = outputFilePath;
-        }
-        currentShardStream = fs.createWriteStream(currentShardPath, { flags: 'w' });
+        const writer = new ShardedJSONLWriter(outputFilePath, {
+            onShard: shardPath => this.logger.info(`Started new shard: ${path.basename(shardPath)}`)
+        });
+        // Opened on the first local inventory record, so files without store stock get no inventory output
+        const inventoryWriter = new ShardedJSONLWriter(this.getLocalInventoryPath(outputFilePath));
+        let localInventoryRecords = 0;
 
         let processedCount = 0;
+        let totalProducts = 0;
+        let withEmbeddings = 0;
+        let outputFiles = [];
+        let localInventoryFiles = [];
         const startTime = Date.now();
+        const validationStats = { checked: 0, valid: 0, repaired: 0, skipped: 0 };
+        this.stats.validation[fileName] = validationStats;
+        const currencyStats = this.currencyConverter ? {
+            target: this.currencyConverter.target,
+            ratesDate: this.currencyConverter.date,
+            converted: 0,
+            unchanged: 0,
+            missingRate: 0
+        } : null;
+        this.stats.currency[fileName] = currencyStats;
 
         try {
-            // Process in batches
-            for (let i = 0; i < products.length; i += batchSize) {
-                const batch = products.slice(i, i + batchSize);
-
+            for await (const batch of batches(products, batchSize)) {
                 // Process batch with retry logic
-                const batchResults = await this.processBatchWithRetry(batch, detectedFormat, fileName);
+                const batchResults = await this.processBatchWithRetry(batch, detectedFormat, fileName, profile);
 
-                // Write results to current shard
-                for (const product of batchResults) {
+                // Write results; write() waits for the file stream to drain
+                for (const convertedProduct of batchResults) {
+                    const product = convertedProduct && this.validateForOutput(convertedProduct, fileName, validationStats);
                     if (product) {
-                        // Check if we need to start a new shard (only if sharding is enabled)
-                        if (shouldShard && currentShardLines >= maxLinesPerShard) {
-                            currentShardStream.end();
-                            currentShard++;
-                            currentShardLines = 0;
-                            currentShardPath = this.getShardPath(outputFilePath, currentShard);
-                            currentShardStream = fs.createWriteStream(currentShardPath, { flags: 'w' });
-                            this.logger.info(`Started new shard: ${path.basename(currentShardPath)}`);
+                        // Local inventory goes to its own output, keyed by the (validated) product id
+                        if (product.localInventories) {
+                            for (const inventory of product.localInventories) {
+                                await inventoryWriter.write(JSON.stringify({ productId: product.id, ...inventory }));
+                                localInventoryRecords++;
+                            }
+                            delete product.localInventories;
                         }
+                        await this.detachEmbeddings(product, embeddingSidecar);
 
-                        currentShardStream.write(JSON.stringify(product) + '\n');
-                        currentShardLines++;
-                        convertedProducts.push(product);
+                        await writer.write(JSON.stringify(product));
+                        totalProducts++;
+                        if (this.hasEmbeddings(product, embeddingSidecar)) withEmbeddings++;
                     }
                 }
 
@@ -1509,75 +3119,301 @@ class UniversalConverter {
             }
 
         } finally {
-            // Close current shard stream
-            if (currentShardStream) {
-                currentShardStream.end();
-            }
+            // Flush and close the output so it is complete once this resolves
+            outputFiles = await writer.close();
+            localInventoryFiles = localInventoryRecords > 0 ? await inventoryWriter.close() : [];
+        }
+
+        if (validationStats.repaired > 0 || validationStats.skipped > 0) {
+            this.logger.warn(`Schema validation (${this.validationMode}): ${fileName}`, validationStats);
+        }
+        if (currencyStats && currencyStats.missingRate > 0) {
+            this.logger.warn(`${fileName}: ${currencyStats.missingRate} product(s) in a currency without a rate (${this.validationMode})`, currencyStats);
         }
 
-        return convertedProducts;
+        return {
+            outputPath: outputFiles[0],
+            outputFiles,
+            totalProducts,
+            withEmbeddings,
+            validation: validationStats,
+            ...(currencyStats && { currency: currencyStats }),
+            ...(localInventoryRecords > 0 && { localInventory: { outputFiles: localInventoryFiles, records: localInventoryRecords } })
+        };
     }
 
     /**
-     * Process a batch with retry logic
+     * Group a file's converted output into PRIMARY/VARIANT products (see lib/variant_grouping.js)
+     * Reads the output twice and rewrites it in place; generated primaries are embedded and validated
+     * like every other product. Updates summary.outputFiles/totalProducts/withEmbeddings.
+     * @param {EmbeddingSidecarWriter} embeddingSidecar - Receives the vectors of generated primaries in separate-embeddings runs
+     * @returns {Promise<Object>} Grouping report
      */
-    async processBatchWithRetry(batch, detectedFormat, fileName) {
-        const results = [];
+    async groupOutputFiles(summary, outputFilePath, fileName, embeddingSidecar = null) {
+        const grouper = new VariantGrouper({ ...this.groupingOptions, mode: this.validationMode });
 
-        for (const product of batch) {
-            let attempts = 0;
-            let success = false;
+        for await (const product of this.readJSONLFiles(summary.outputFiles)) {
+            grouper.observe(product);
+        }
+        const report = grouper.finalize();
 
-            while (attempts < CONFIG.PROCESSING.RETRY_ATTEMPTS && !success) {
-                try {
-                    attempts++;
-
-                    // Convert based on detected format
-                    let commerceProduct;
-                    if (detectedFormat === 'bpn') {
-                        commerceProduct = this.productConverter.convertBPNProduct(product);
-                    } else if (detectedFormat === 'vertex') {
-                        commerceProduct = this.productConverter.convertVertexProduct(product);
-                    } else {
-                        commerceProduct = this.productConverter.convertGenericProduct(product);
-                    }
+        if (report.orphanVariants > 0) {
+            this.logger.warn(`${fileName}: ${report.orphanVariants} VARIANT product(s) reference a missing primary (${this.validationMode})`, {
+                samples: report.orphanSamples
+            });
+        }
+        if (report.missingCollectionMembers > 0) {
+            this.logger.warn(`${fileName}: ${report.missingCollectionMembers} collection member id(s) are not in the output`);
+        }
+        if (!grouper.hasChanges()) return report;
 
-                    if (commerceProduct) {
-                        // Add embeddings
-                        const productWithEmbeddings = this.embeddingGenerator.addEmbeddingsToProduct(
-                            commerceProduct, detectedFormat
-                        );
-                        results.push(productWithEmbeddings);
-                        success = true;
-                    }
+        // Write next to the output, then swap the files in
+        const ext = path.extname(outputFilePath);
+        const groupedPath = path.join(path.dirname(outputFilePath), `${path.basename(outputFilePath, ext)}.grouping${ext}`);
+        const writer = new ShardedJSONLWriter(groupedPath);
 
-                } catch (error) {
-                    if (attempts >= CONFIG.PROCESSING.RETRY_ATTEMPTS) {
-                        this.logger.error(`Failed to process product after ${attempts} attempts`, {
-                            file: fileName,
-                            productId: product.id || 'unknown',
-                            error: error.message
-                        });
-                        results.push(null); // Mark as failed
-                    } else {
-                        // Wait before retry
-                        await new Promise(resolve => setTimeout(resolve, CONFIG.PROCESSING.RETRY_DELAY_MS));
+        let totalProducts = 0;
+        let withEmbeddings = 0;
+        let groupedFiles = [];
+        try {
+            for await (const product of this.readJSONLFiles(summary.outputFiles)) {
+                const { records, generated } = grouper.transform(product);
+
+                for (let record of records) {
+                    if (record === generated) {
+                        const [embedded] = await this.embeddingGenerator.addEmbeddingsToProducts([record], 'auto');
+                        record = this.validateForOutput(embedded, fileName, summary.validation);
+                        if (!record) continue;
+                        await this.detachEmbeddings(record, embeddingSidecar);
                     }
+                    await writer.write(JSON.stringify(record));
+                    totalProducts++;
+                    if (this.hasEmbeddings(record, embeddingSidecar)) withEmbeddings++;
                 }
             }
+        } finally {
+            groupedFiles = await writer.close();
         }
 
-        return results;
+        summary.outputFiles.forEach(file => fs.unlinkSync(file));
+        summary.outputFiles = groupedFiles.map((file, index) => {
+            const finalPath = groupedFiles.length === 1 ? outputFilePath : ShardedJSONLWriter.shardPath(outputFilePath, index);
+            fs.renameSync(file, finalPath);
+            return finalPath;
+        });
+        summary.outputPath = summary.outputFiles[0];
+        summary.totalProducts = totalProducts;
+        summary.withEmbeddings = withEmbeddings;
+
+        this.logger.info(`Grouped ${fileName}: ${report.groups} groups, ${report.generatedPrimaries} generated primaries, ${report.groupedVariants} variants`);
+        return report;
+    }
+
+    /**
+     * Move product.embeddings (separate-embeddings runs) to the embedding sidecar, keyed by the validated id
+     */
+    async detachEmbeddings(product, embeddingSidecar) {
+        if (!product.embeddings) return;
+
+        if (embeddingSidecar && Object.keys(product.embeddings).length > 0) {
+            await embeddingSidecar.write(product.id, product.embeddings);
+        }
+        delete product.embeddings;
+    }
+
+    /**
+     * Write a file's final output (after grouping) as Vector Search datapoints
+     * Dense vectors of separate-embeddings runs are read back from the embedding sidecar.
+     * @returns {Promise<Object>} { outputFiles, datapoints, skipped }
+     */
+    async writeVectorSearchOutput(summary, outputFilePath, fileName) {
+        const directory = this.options.vectorSearchDir ? path.resolve(this.options.vectorSearchDir) : null;
+        const writer = new VectorSearchWriter(VectorSearchWriter.outputPathFor(outputFilePath, directory), {
+            vocabulary: this.sparseVocabulary,
+            onShard: shardPath => this.logger.info(`Started new Vector Search shard: ${path.basename(shardPath)}`)
+        });
+        const embeddings = summary.embeddings ? await EmbeddingSidecarReader.open(summary.embeddings.outputFiles[0]) : null;
+
+        let outputFiles = [];
+        try {
+            for await (const product of this.readJSONLFiles(summary.outputFiles)) {
+                if (embeddings) embeddings.attach(product);
+                await writer.write(product);
+            }
+        } finally {
+            outputFiles = await writer.close();
+            if (embeddings) embeddings.close();
+        }
+
+        if (writer.skipped > 0) {
+            this.logger.warn(`${fileName}: ${writer.skipped} product(s) without embeddings left out of the Vector Search output`);
+        }
+        this.logger.info(`Vector Search datapoints: ${writer.datapoints} -> ${outputFiles.join(', ')}`);
+        return { outputFiles, datapoints: writer.datapoints, skipped: writer.skipped };
+    }
+
+    /**
+     * Yield the products of one or more JSONL files in order
+     */
+    async *readJSONLFiles(files) {
+        for (const file of files) {
+            const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (line.trim()) yield JSON.parse(line);
+            }
+        }
+    }
+
+    /**
+     * Check a converted product against the Retail Product schema before it is written
+     * @returns {Object|null} The product to write (possibly repaired), or null to skip it
+     * @throws In 'fail' mode when the product is invalid
+     */
+    validateForOutput(product, fileName, validationStats) {
+        const result = this.schemaValidator.check(product, this.validationMode);
+        validationStats.checked++;
+
+        if (result.status === 'valid') {
+            validationStats.valid++;
+            return result.product;
+        }
+
+        const violations = result.violations
+            .slice(0, CONFIG.VALIDATION.MAX_LOGGED_VIOLATIONS)
+            .map(violation => `${violation.field}: ${violation.message}${violation.repaired ? ' (repaired)' : ''}`);
+
+        if (result.status === 'repaired') {
+            validationStats.repaired++;
+            this.logger.debug('Repaired product schema violations', { file: fileName, productId: product.id, violations });
+            return result.product;
+        }
+
+        if (this.validationMode === 'fail') {
+            throw new Error(`Product ${product.id || 'unknown'} violates the Retail Product schema: ${violations.join('; ')}`);
+        }
+
+        validationStats.skipped++;
+        this.logger.warn('Skipping product with schema violations', { file: fileName, productId: product.id, violations });
+        return null;
+    }
+
+    /**
+     * Process a batch: convert every product, then embed the whole batch at once
+     * Retry/backoff happens per embedding micro-batch inside EmbeddingGenerator
+     * @returns {Array} Converted products in input order (variants follow their primary); null marks a failed product
+     */
+    async processBatchWithRetry(batch, detectedFormat, fileName, profile = null) {
+        const converted = this.convertBatch(batch, detectedFormat, fileName, profile, this.stats.currency[fileName]);
+
+        const convertible = converted.filter(Boolean);
+        const withEmbeddings = await this.embeddingGenerator.addEmbeddingsToProducts(convertible, detectedFormat);
+
+        // Put embedded products back in their original positions
+        let cursor = 0;
+        return converted.map(commerceProduct => commerceProduct ? withEmbeddings[cursor++] : null);
+    }
+
+    /**
+     * Convert a batch and apply price conversion, without embeddings
+     * @param {Object} currencyStats - Price conversion counters (unused without a currency converter)
+     * @returns {Array} Converted products in input order; null marks a failed product
+     */
+    convertBatch(batch, detectedFormat, fileName, profile = null, currencyStats = null) {
+        // Convert based on detected format; one source product may yield several (primary + variants)
+        const converted = batch.flatMap(product => {
+            try {
+                const result = this.convertProduct(product, detectedFormat, profile);
+                return Array.isArray(result) ? result : [result];
+            } catch (error) {
+                this.logger.error('Failed to convert product', {
+                    file: fileName,
+                    productId: product.id || 'unknown',
+                    error: error.message
+                });
+                return [null];
+            }
+        });
+
+        // Prices are converted before embedding so searchable text carries the target currency
+        if (this.currencyConverter) {
+            converted.forEach((product, index) => {
+                if (product) converted[index] = this.currencyConverter.convert(product, currencyStats);
+            });
+        }
+
+        return converted;
+    }
+
+    /**
+     * Convert a single product with the converter for its format
+     * @returns {Object|Array|null} Shopify/WooCommerce products convert to [primary, ...variants]
+     */
+    convertProduct(product, detectedFormat, profile = null) {
+        if (detectedFormat === 'bpn') {
+            return this.productConverter.convertBPNProduct(product);
+        } else if (detectedFormat === 'vertex') {
+            return this.productConverter.convertVertexProduct(product);
+        } else if (detectedFormat === 'merchant') {
+            return this.productConverter.convertMerchantCenterProduct(product);
+        } else if (detectedFormat === 'shopify') {
+            return this.productConverter.convertShopifyProduct(product);
+        } else if (detectedFormat === 'woocommerce') {
+            return this.productConverter.convertWooCommerceProduct(product);
+        }
+        return this.productConverter.convertGenericProduct(product, profile);
+    }
+
+    /**
+     * Local inventory output next to a product output: out.jsonl -> out_local_inventory.jsonl
+     */
+    getLocalInventoryPath(outputFilePath) {
+        const ext = path.extname(outputFilePath);
+        return path.join(path.dirname(outputFilePath),
+            `${path.basename(outputFilePath, ext)}${CONFIG.INVENTORY.OUTPUT_SUFFIX}${ext}`);
     }
 
     /**
      * Generate shard file path
      */
     getShardPath(originalPath, shardIndex) {
-        const dir = path.dirname(originalPath);
-        const ext = path.extname(originalPath);
-        const name = path.basename(originalPath, ext);
-        return path.join(dir, `${name}_shard_${shardIndex.toString().padStart(3, '0')}${ext}`);
+        return ShardedJSONLWriter.shardPath(originalPath, shardIndex);
+    }
+
+    /**
+     * Detect the source format from where products were found and the first product
+     * @param {string} container - Where the products were found (see StreamingJSONParser.openProducts)
+     * @param {Object} firstProduct - First product in the file (undefined for empty files)
+     * @param {string} formatHint - Format hint from user
+     * @returns {string} 'vertex' | 'bpn' | 'merchant' | 'shopify' | 'woocommerce' | 'generic'
+     */
+    detectFormat(container, firstProduct, formatHint = 'auto') {
+        if (formatHint !== 'auto') {
+            return formatHint;
+        }
+
+        // Store exports are recognized by their product shape, whatever the container
+        if (firstProduct && Array.isArray(firstProduct.variants) &&
+            (firstProduct.handle !== undefined || firstProduct.body_html !== undefined)) {
+            return 'shopify';
+        }
+        if (firstProduct && firstProduct.permalink !== undefined && firstProduct.stock_status !== undefined) {
+            return 'woocommerce';
+        }
+
+        if (container === 'products') {
+            return 'vertex';
+        }
+        if (container === 'merchant_feed') {
+            return 'merchant';
+        }
+
+        // CSV/TSV rows are always flat generic records
+        // Bare product lists: decide from the first product's structure
+        const productList = ['array', 'ndjson', 'pointer', 'discovered'].includes(container);
+        if (productList && firstProduct && (firstProduct.title || firstProduct.categories)) {
+            return 'vertex';
+        }
+        return 'generic';
     }
 
     /**
@@ -1587,124 +3423,54 @@ class UniversalConverter {
      * @returns {Object} { products: Array, detectedFormat: string }
      */
     detectFormatAndExtractProducts(jsonData, formatHint = 'auto') {
-        let products = [];
-        let detectedFormat = 'generic';
-
-        // If format hint is provided and not 'auto', use it
-        if (formatHint !== 'auto') {
-            detectedFormat = formatHint;
-        }
+        let products;
+        let container;
 
         // Handle different JSON structures
         if (Array.isArray(jsonData)) {
             // Direct array of products
             products = jsonData;
-
-            // Auto-detect format based on first product structure
-            if (formatHint === 'auto' && products.length > 0) {
-                const firstProduct = products[0];
-                if (firstProduct.title || firstProduct.categories) {
-                    detectedFormat = 'vertex';
-                } else {
-                    detectedFormat = 'generic';
-                }
-            }
+            container = 'array';
         } else if (jsonData.products && Array.isArray(jsonData.products)) {
             // Object with products array (like vertex catalog)
             products = jsonData.products;
-            if (formatHint === 'auto') {
-                detectedFormat = 'vertex';
-            }
+            container = 'products';
         } else if (jsonData.data && Array.isArray(jsonData.data)) {
             // Object with data array
             products = jsonData.data;
+            container = 'data';
         } else if (jsonData.items && Array.isArray(jsonData.items)) {
             // Object with items array
             products = jsonData.items;
+            container = 'items';
         } else {
             // Single product object
             products = [jsonData];
+            container = 'object';
         }
 
-        return { products, detectedFormat };
+        return { products, detectedFormat: this.detectFormat(container, products[0], formatHint) };
     }
 
     /**
      * Process BPN Products JSON file
+     * Uses the same batched convert/embed/write path as every other file, with the 'bpn' converter
+     * @param {string} inputFilePath - BPN export (defaults to CONFIG.INPUT_FILES.BPN_PRODUCTS)
+     * @param {string} outputFilePath - Output JSONL path (defaults to <input>_commerce_ready.jsonl)
+     * @returns {Promise<Object>} Conversion summary
      */
-    async processBPNProducts() {
+    async processBPNProducts(inputFilePath = CONFIG.INPUT_FILES.BPN_PRODUCTS, outputFilePath = null) {
         console.log('📦 Processing BPN Products JSON...');
 
-        try {
-            const inputPath = path.resolve(__dirname, CONFIG.INPUT_FILES.BPN_PRODUCTS);
-            const outputPath = path.resolve(__dirname, CONFIG.OUTPUT_FILES.BPN_PRODUCTS);
-
-            if (!fs.existsSync(inputPath)) {
-                throw new Error(`BPN Products file not found: ${inputPath}`);
-            }
-
-            const rawData = fs.readFileSync(inputPath, 'utf8');
-            const products = JSON.parse(rawData);
-
-            if (!Array.isArray(products)) {
-                throw new Error('BPN Products data must be an array');
-            }
-
-            this.stats.bpn.total = products.length;
-            console.log(`📊 Found ${products.length} BPN products to convert`);
-
-            // Ensure output directory exists
-            const outputDir = path.dirname(outputPath);
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
-            }
-
-            // Process products in batches
-            const batchSize = 100;
-            const convertedProducts = [];
-
-            for (let i = 0; i < products.length; i += batchSize) {
-                const batch = products.slice(i, i + batchSize);
-                console.log(`🔄 Processing BPN batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(products.length/batchSize)}`);
-
-                for (const product of batch) {
-                    try {
-                        // Convert to Commerce format using generic converter
-                        const commerceProduct = this.productConverter.convertGenericProduct(product);
-
-                        if (commerceProduct) {
-                            // Add embeddings
-                            const productWithEmbeddings = this.embeddingGenerator.addEmbeddingsToProduct(
-                                commerceProduct, 'generic'
-                            );
-
-                            convertedProducts.push(productWithEmbeddings);
-                            this.stats.vertex.converted++;
-
-                            if (productWithEmbeddings.attributes?.embedding_info) {
-                                this.stats.combined.withEmbeddings++;
-                            }
-                        }
-                    } catch (error) {
-                        console.error(`❌ Error processing product ${product.id}:`, error.message);
-                        this.stats.vertex.errors++;
-                    }
-                }
-            }
-
-            // Write JSONL output
-            const jsonlContent = convertedProducts.map(product => JSON.stringify(product)).join('\n');
-            fs.writeFileSync(outputPath, jsonlContent, 'utf8');
+        const inputPath = path.resolve(__dirname, inputFilePath);
+        const outputPath = outputFilePath || this.generateOutputPath(inputPath);
 
-            console.log(`✅ BPN Products conversion complete: ${outputPath}`);
-            console.log(`📊 Converted: ${this.stats.bpn.converted}/${this.stats.bpn.total}, Errors: ${this.stats.bpn.errors}`);
+        const summary = await this.processAnyJSONFile(inputPath, outputPath, 'bpn');
 
-            return convertedProducts;
+        console.log(`✅ BPN Products conversion complete: ${summary.outputFiles.join(', ')}`);
+        console.log(`📊 Converted: ${summary.totalProducts} products`);
 
-        } catch (error) {
-            console.error('❌ BPN Products processing failed:', error.message);
-            throw error;
-        }
+        return summary;
     }
 
     /**
@@ -1753,7 +3519,7 @@ class UniversalConverter {
 
                         if (commerceProduct) {
                             // Add embeddings
-                            const productWithEmbeddings = this.embeddingGenerator.addEmbeddingsToProduct(
+                            const productWithEmbeddings = await this.embeddingGenerator.addEmbeddingsToProduct(
                                 commerceProduct, 'vertex'
                             );
 
@@ -1805,6 +3571,9 @@ class UniversalConverter {
                 this.logger.info('Resuming from checkpoint...');
             }
 
+            // Validate the embedding provider before touching any files
+            await this.embeddingGenerator.initialize();
+
             // Discover all JSON files
             const jsonFiles = this.discoverJSONFiles();
             this.stats.combined.totalFiles = jsonFiles.length;
@@ -1816,11 +3585,25 @@ class UniversalConverter {
 
             this.logger.info(`Processing ${filesToProcess.length} JSON files (${jsonFiles.length - filesToProcess.length} already processed)...`);
 
+            // TF-IDF/BM25: first pass over every discovered file, including ones a resumed run skips.
+            // A plain tf run drops statistics left by an earlier run so the search API does not use them.
+            const statsPath = path.resolve(__dirname, CONFIG.OUTPUT_DIRECTORY, PATHS.OUTPUT_FILES.CORPUS_STATS);
+            if (this.sparseWeighting !== 'tf') {
+                await this.prepareSparseWeighting(jsonFiles, path.dirname(statsPath));
+            } else if (fs.existsSync(statsPath)) {
+                fs.unlinkSync(statsPath);
+                this.logger.info(`Removed corpus statistics of an earlier run: ${statsPath}`);
+            }
+
+            if (this.needsSparseVocabulary()) {
+                this.prepareSparseVocabulary(path.dirname(statsPath));
+            }
+
             // Initialize overall progress
             this.logger.initProgressBar(filesToProcess.length, 'Processing Files');
 
-            // Process files with concurrency control
-            const allConvertedProducts = [];
+            // Process files with concurrency control; only per-file summaries are kept in memory
+            const fileSummaries = [];
             let fileIndex = 0;
 
             if (this.processingQueue) {
@@ -1833,7 +3616,7 @@ class UniversalConverter {
 
                 results.forEach((result, index) => {
                     if (result.status === 'fulfilled' && result.value) {
-                        allConvertedProducts.push(...result.value);
+                        fileSummaries.push(result.value);
                     }
                 });
 
@@ -1841,9 +3624,9 @@ class UniversalConverter {
                 // Sequential processing fallback
                 for (const filePath of filesToProcess) {
                     try {
-                        const convertedProducts = await this.processFileWithTracking(filePath);
-                        if (convertedProducts) {
-                            allConvertedProducts.push(...convertedProducts);
+                        const summary = await this.processFileWithTracking(filePath);
+                        if (summary) {
+                            fileSummaries.push(summary);
                         }
 
                         fileIndex++;
@@ -1857,13 +3640,13 @@ class UniversalConverter {
 
             this.logger.stopProgress();
 
-            // Update combined stats with accurate embedding counting
-            this.stats.combined.total = allConvertedProducts.length;
-            this.stats.combined.withEmbeddings = this.countProductsWithEmbeddings(allConvertedProducts);
+            // Update combined stats from the per-file counts
+            this.stats.combined.total = fileSummaries.reduce((sum, summary) => sum + summary.totalProducts, 0);
+            this.stats.combined.withEmbeddings = fileSummaries.reduce((sum, summary) => sum + summary.withEmbeddings, 0);
 
-            // Write combined output with sharding if needed
-            if (allConvertedProducts.length > 0) {
-                await this.writeCombinedOutput(allConvertedProducts);
+            // Write combined output by concatenating the per-file outputs
+            if (this.stats.combined.total > 0) {
+                await this.writeCombinedOutput(fileSummaries);
             }
 
             // Final performance tracking
@@ -1907,30 +3690,34 @@ class UniversalConverter {
             this.logger.info(`Processing: ${fileName}`);
 
             const outputPath = this.generateOutputPath(filePath);
-            const convertedProducts = await this.processAnyJSONFile(filePath, outputPath, 'auto');
+            const summary = await this.processAnyJSONFile(filePath, outputPath, 'auto');
 
             const processingTime = Date.now() - fileStartTime;
 
-            // Track stats for this file with accurate embedding detection
-            const embeddingCount = this.countProductsWithEmbeddings(convertedProducts);
-            const actualOutputPath = this.getActualOutputPath(outputPath);
-
             this.stats.processedFiles[fileName] = {
                 inputPath: filePath,
-                outputPath: actualOutputPath,
-                totalProducts: convertedProducts.length,
-                withEmbeddings: embeddingCount,
+                outputPath: summary.outputPath,
+                outputFiles: summary.outputFiles,
+                totalProducts: summary.totalProducts,
+                withEmbeddings: summary.withEmbeddings,
                 processed: true,
+                validation: summary.validation,
+                lineErrors: summary.lineErrors,
+                ...(summary.grouping && { grouping: summary.grouping }),
+                ...(summary.currency && { currency: summary.currency }),
+                ...(summary.localInventory && { localInventory: summary.localInventory }),
+                ...(summary.vectorSearch && { vectorSearch: summary.vectorSearch }),
+                ...(summary.embeddings && { embeddings: summary.embeddings }),
                 processingTimeMs: processingTime,
-                averageItemsPerSecond: Math.round(convertedProducts.length / (processingTime / 1000))
+                averageItemsPerSecond: Math.round(summary.totalProducts / (processingTime / 1000))
             };
 
             // Mark as processed in checkpoint
             this.checkpointData.processedFiles.add(fileName);
 
-            this.logger.info(`Completed: ${fileName} (${convertedProducts.length} products, ${processingTime}ms)`);
+            this.logger.info(`Completed: ${fileName} (${summary.totalProducts} products, ${processingTime}ms)`);
 
-            return convertedProducts;
+            return summary;
 
         } catch (error) {
             this.logger.error(`Failed to process: ${fileName}`, { error: error.message });
@@ -1951,46 +3738,70 @@ class UniversalConverter {
 
     /**
      * Write combined output with sharding support
+     * Streams each file's output (in discovery order) into the combined file line by line
+     * @param {Array} fileSummaries - Summaries returned by processAnyJSONFile
+     * @returns {Promise<string[]>} Combined output files
      */
-    async writeCombinedOutput(allConvertedProducts) {
+    async writeCombinedOutput(fileSummaries) {
         const combinedPath = path.resolve(__dirname, CONFIG.OUTPUT_DIRECTORY, 'all_data_files_commerce_ready.jsonl');
+        const writer = new ShardedJSONLWriter(combinedPath, {
+            onShard: shardPath => this.logger.info(`Started combined shard: ${path.basename(shardPath)}`)
+        });
 
-        if (CONFIG.PROCESSING.SHARD_OUTPUT && allConvertedProducts.length > CONFIG.PROCESSING.MAX_LINES_PER_SHARD) {
-            // Write with sharding
-            this.logger.info(`Writing combined output with sharding (${allConvertedProducts.length} products)...`);
-
-            let currentShard = 0;
-            let currentShardLines = 0;
+        this.logger.info(`Writing combined output (${this.stats.combined.total} products)...`);
 
-            for (let i = 0; i < allConvertedProducts.length; i++) {
-                if (currentShardLines === 0) {
-                    // Start new shard
-                    const shardPath = this.getShardPath(combinedPath, currentShard);
-                    this.currentCombinedStream = fs.createWriteStream(shardPath, { flags: 'w' });
-                    this.logger.info(`Started combined shard: ${path.basename(shardPath)}`);
+        let combinedFiles = [];
+        try {
+            for (const summary of fileSummaries) {
+                for (const outputFile of summary.outputFiles) {
+                    const lines = readline.createInterface({
+                        input: fs.createReadStream(outputFile),
+                        crlfDelay: Infinity
+                    });
+
+                    for await (const line of lines) {
+                        if (line.trim()) {
+                            await writer.write(line);
+                        }
+                    }
                 }
+            }
+        } finally {
+            combinedFiles = await writer.close();
+        }
 
-                this.currentCombinedStream.write(JSON.stringify(allConvertedProducts[i]) + '\n');
-                currentShardLines++;
+        this.logger.info(`Combined output written: ${combinedFiles.join(', ')}`);
 
-                if (currentShardLines >= CONFIG.PROCESSING.MAX_LINES_PER_SHARD) {
-                    this.currentCombinedStream.end();
-                    currentShard++;
-                    currentShardLines = 0;
-                }
-            }
+        removeEmbeddingSidecars(combinedPath, this.separateEmbeddings);
+        if (this.separateEmbeddings) {
+            await this.writeCombinedEmbeddings(combinedPath, fileSummaries);
+        }
+        return combinedFiles;
+    }
 
-            if (this.currentCombinedStream) {
-                this.currentCombinedStream.end();
-            }
+    /**
+     * Combined embedding sidecar: the vectors of every per-file sidecar, in the same file order
+     */
+    async writeCombinedEmbeddings(combinedPath, fileSummaries) {
+        const combinedSidecar = new EmbeddingSidecarWriter(combinedPath, { format: this.separateEmbeddings });
 
-        } else {
-            // Write single file
-            this.logger.info(`Writing combined output (${allConvertedProducts.length} products)...`);
-            const combinedContent = allConvertedProducts.map(product => JSON.stringify(product)).join('\n');
-            fs.writeFileSync(combinedPath, combinedContent, 'utf8');
-            this.logger.info(`Combined output written: ${combinedPath}`);
+        try {
+            for (const summary of fileSummaries.filter(fileSummary => fileSummary.embeddings)) {
+                const reader = await EmbeddingSidecarReader.open(summary.embeddings.outputFiles[0]);
+                try {
+                    for (const [id, vectors] of reader) {
+                        await combinedSidecar.write(id, vectors);
+                    }
+                } finally {
+                    reader.close();
+                }
+            }
+        } finally {
+            await combinedSidecar.close();
         }
+
+        this.logger.info(`Combined embedding sidecar: ${combinedSidecar.size} products -> ${combinedSidecar.files.join(', ')}`);
+        return combinedSidecar.files;
     }
 
     /**
@@ -2036,7 +3847,10 @@ class UniversalConverter {
                 total_products: this.stats.combined.total,
                 products_with_embeddings: this.stats.combined.withEmbeddings,
                 embedding_success_rate: this.stats.combined.total > 0 ?
-                    ((this.stats.combined.withEmbeddings / this.stats.combined.total) * 100).toFixed(2) + '%' : '0.00%'
+                    ((this.stats.combined.withEmbeddings / this.stats.combined.total) * 100).toFixed(2) + '%' : '0.00%',
+                invalid_input_lines: successfulFiles.reduce(
+                    (sum, f) => sum + (this.stats.processedFiles[f].lineErrors ? this.stats.processedFiles[f].lineErrors.count : 0), 0
+                )
             },
 
             // Advanced embedding features
@@ -2048,10 +3862,59 @@ class UniversalConverter {
                 comprehensive_hybrid_metadata: CONFIG.EMBEDDINGS.ENABLE_HYBRID,
                 dense_dimensions: CONFIG.EMBEDDINGS.DENSE_DIM,
                 max_sparse_features: CONFIG.EMBEDDINGS.MAX_SPARSE_FEATURES,
+                sparse_weighting: this.sparseWeighting,
+                ...(this.corpusStats && { corpus_documents: this.corpusStats.documents }),
+                sparse_format: this.sparseFormat,
+                ...(this.sparseVocabulary && { sparse_vocabulary: {
+                    file: this.sparseVocabularyPath,
+                    terms: this.sparseVocabulary.size,
+                    revision: this.sparseVocabulary.revision
+                }}),
                 search_optimization_enabled: true,
                 vertex_ai_commerce_ready: true
             },
 
+            // Retail Product schema validation
+            schema_validation: {
+                mode: this.validationMode,
+                ...Object.values(this.stats.validation).reduce((totals, fileStats) => {
+                    Object.keys(totals).forEach(key => { totals[key] += fileStats[key]; });
+                    return totals;
+                }, { checked: 0, valid: 0, repaired: 0, skipped: 0 })
+            },
+
+            // Price conversion into one currency
+            ...(this.currencyConverter && { currency_conversion: {
+                target: this.currencyConverter.target,
+                rates_file: path.relative(__dirname, this.currencyConverter.source),
+                rates_date: this.currencyConverter.date,
+                ...Object.values(this.stats.currency).filter(Boolean).reduce((totals, fileStats) => {
+                    Object.keys(totals).forEach(key => { totals[key] += fileStats[key]; });
+                    return totals;
+                }, { converted: 0, unchanged: 0, missingRate: 0 })
+            }}),
+
+            // Vertex AI Vector Search datapoints
+            ...(this.vectorSearch && { vector_search: successfulFiles.reduce((totals, f) => {
+                const fileStats = this.stats.processedFiles[f].vectorSearch;
+                if (fileStats) {
+                    totals.datapoints += fileStats.datapoints;
+                    totals.skipped += fileStats.skipped;
+                    totals.output_files.push(...fileStats.outputFiles);
+                }
+                return totals;
+            }, { datapoints: 0, skipped: 0, output_files: [] }) }),
+
+            // Dense vectors written to embedding sidecars instead of the product output
+            ...(this.separateEmbeddings && { embedding_sidecars: successfulFiles.reduce((totals, f) => {
+                const fileStats = this.stats.processedFiles[f].embeddings;
+                if (fileStats) {
+                    totals.products += fileStats.products;
+                    totals.output_files.push(...fileStats.outputFiles);
+                }
+                return totals;
+            }, { format: this.separateEmbeddings, products: 0, output_files: [] }) }),
+
             // File-by-file breakdown
             processed_files: this.stats.processedFiles,
 
@@ -2112,20 +3975,27 @@ class UniversalConverter {
     countProductsWithEmbeddings(products) {
         if (!products || !Array.isArray(products)) return 0;
 
-        return products.filter(product => {
-            if (!product || !product.attributes) return false;
-
-            // Check for any type of embedding
-            const hasEmbeddings = !!(
-                product.attributes.dense_embedding?.numbers?.length > 0 ||
-                product.attributes.title_embedding?.numbers?.length > 0 ||
-                product.attributes.category_embedding?.numbers?.length > 0 ||
-                product.attributes.sparse_embedding?.text?.length > 0 ||
-                product.attributes.search_optimization?.vertex_ai_ready === true
-            );
+        return products.filter(product => this.hasEmbeddings(product)).length;
+    }
 
-            return hasEmbeddings;
-        }).length;
+    /**
+     * Check whether a single product carries any type of embedding
+     * @param {EmbeddingSidecarWriter} embeddingSidecar - Also counts dense vectors already moved to this sidecar
+     */
+    hasEmbeddings(product, embeddingSidecar = null) {
+        if (!product) return false;
+        if (product.embeddings && Object.keys(product.embeddings).length > 0) return true;
+        if (embeddingSidecar && embeddingSidecar.has(product.id)) return true;
+        if (!product.attributes) return false;
+
+        return !!(
+            product.attributes.dense_embedding?.numbers?.length > 0 ||
+            product.attributes.title_embedding?.numbers?.length > 0 ||
+            product.attributes.category_embedding?.numbers?.length > 0 ||
+            product.attributes.sparse_embedding?.text?.length > 0 ||
+            product.attributes[CONFIG.EMBEDDINGS.SPARSE_OUTPUT.VALUES_ATTRIBUTE]?.numbers?.length > 0 ||
+            product.attributes.search_optimization?.vertex_ai_ready === true
+        );
     }
 
     /**
@@ -2234,10 +4104,42 @@ class UniversalConverter {
 
 // Run conversion if called directly
 if (require.main === module) {
-    const converter = new UniversalConverter();
-
-    // Check for command line arguments
-    const args = process.argv.slice(2);
+    // Pull out --profile, --validation, --pointer, --group-by, --currency, --rates, --sparse-weighting,
+    // --corpus-stats, --sparse-format, --vocabulary, --vector-search and --separate-embeddings ("--flag=value" or "--flag value");
+    // the rest are positional. Flags whose value is optional only take "=value", so a bare one never swallows a path
+    const OPTIONAL_VALUE_FLAGS = ['vector-search'];
+    const args = [];
+    const flags = {};
+    const rawArgs = process.argv.slice(2);
+    for (let i = 0; i < rawArgs.length; i++) {
+        const flag = rawArgs[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (flag) {
+            if (flag[2] !== undefined) {
+                flags[flag[1]] = flag[2];
+            } else {
+                flags[flag[1]] = OPTIONAL_VALUE_FLAGS.includes(flag[1]) ? true : rawArgs[++i];
+            }
+        } else {
+            args.push(rawArgs[i]);
+        }
+    }
+    const profileName = flags.profile || null;
+
+    const converter = new UniversalConverter({
+        profile: profileName,
+        validationMode: flags.validation,
+        pointer: flags.pointer,
+        groupBy: flags['group-by'],
+        currency: flags.currency,
+        ratesFile: flags.rates,
+        sparseWeighting: flags['sparse-weighting'],
+        corpusStats: flags['corpus-stats'],
+        sparseFormat: flags['sparse-format'],
+        vocabulary: flags.vocabulary,
+        vectorSearch: flags['vector-search'] !== undefined,
+        vectorSearchDir: typeof flags['vector-search'] === 'string' ? flags['vector-search'] : null,
+        separateEmbeddings: flags['separate-embeddings']
+    });
 
     if (args.length > 0) {
         // Custom file processing mode
@@ -2249,6 +4151,31 @@ if (require.main === module) {
         console.log(`📁 Input: ${inputFile}`);
         console.log(`📁 Output: ${outputFile || 'auto-generated'}`);
         console.log(`🎯 Format hint: ${formatHint}`);
+        if (profileName) {
+            console.log(`🗺️  Mapping profile: ${profileName}`);
+        }
+        if (flags.pointer) {
+            console.log(`📍 Product array pointer: ${flags.pointer}`);
+        }
+        if (flags['group-by']) {
+            console.log(`🧩 Grouping variants by: ${flags['group-by']}`);
+        }
+        if (converter.currencyConverter) {
+            console.log(`💱 Converting prices to ${converter.currencyConverter.target} (rates of ${converter.currencyConverter.date})`);
+        }
+        if (converter.sparseWeighting !== 'tf') {
+            console.log(`⚖️  Sparse weighting: ${converter.sparseWeighting}` +
+                (flags['corpus-stats'] ? ` (corpus statistics: ${flags['corpus-stats']})` : ' (two passes)'));
+        }
+        if (converter.sparseFormat !== 'text') {
+            console.log(`🔢 Sparse format: ${converter.sparseFormat}` + (flags.vocabulary ? ` (vocabulary: ${flags.vocabulary})` : ''));
+        }
+        if (converter.vectorSearch) {
+            console.log(`🧭 Vector Search datapoints: ${converter.options.vectorSearchDir || `${CONFIG.VECTOR_SEARCH.OUTPUT_DIRECTORY}/ next to the output`}`);
+        }
+        if (converter.separateEmbeddings) {
+            console.log(`🧮 Dense embeddings in a separate ${converter.separateEmbeddings} file (join with npm run join:embeddings)`);
+        }
 
         converter.processAnyJSONFile(inputFile, outputFile, formatHint)
             .then(() => {
@@ -2273,3 +4200,11 @@ if (require.main === module) {
             });
     }
 }
+
+module.exports = {
+    UniversalConverter,
+    ProductConverter,
+    EmbeddingGenerator,
+    TextProcessor,
+    StreamingJSONParser
+};